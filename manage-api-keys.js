@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management
+ *
+ * Usage:
+ *   node manage-api-keys.js create "<name>" <viewer|driver|operator|admin>
+ *   node manage-api-keys.js list
+ *   node manage-api-keys.js revoke <id>
+ *
+ * Use this to create the first admin key; after that keys can be managed through /api/admin/api-keys.
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('./src/config/optimizedDatabase');
+const { initRepositories } = require('./src/repositories');
+const ApiKeyService = require('./src/services/apiKeyService');
+
+async function createKey([name, role]) {
+  if (!name || !role) {
+    throw new Error(`Usage: node manage-api-keys.js create "<name>" <${ApiKeyService.ROLES.join('|')}>`);
+  }
+
+  const { apiKey, key } = await ApiKeyService.createKey(name, role);
+  console.log(`✅ Created ${apiKey.role} key "${apiKey.name}" (id ${apiKey.id})`);
+  console.log(`🔑 ${key}`);
+  console.log('⚠️  Store this key now, it cannot be shown again.');
+}
+
+async function listKeys() {
+  const keys = await ApiKeyService.listKeys();
+
+  if (keys.length === 0) {
+    console.log('No API keys yet. Create one with: node manage-api-keys.js create ...');
+    return;
+  }
+
+  console.log('🔑 API keys:');
+  keys.forEach(key => {
+    const status = key.revokedAt ? '⛔ revoked' : '✅ active';
+    console.log(`   [${key.id}] ${key.keyPrefix}... ${key.role.padEnd(8)} ${status}  ${key.name}`);
+  });
+}
+
+async function revokeKey([id]) {
+  if (!id) {
+    throw new Error('Usage: node manage-api-keys.js revoke <id>');
+  }
+
+  const apiKey = await ApiKeyService.revokeKey(parseInt(id));
+  console.log(`✅ Revoked key "${apiKey.name}"`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  // Keys live wherever the server keeps them; memory storage only exists inside the server
+  const storage = await initRepositories('postgres');
+  if (storage.name === 'memory') {
+    throw new Error('STORAGE_BACKEND=memory keeps keys inside the server process; use the local admin key it prints at startup');
+  }
+
+  await connectDatabase();
+  try {
+    switch (command) {
+      case 'create':
+        await createKey(args);
+        break;
+      case 'list':
+        await listKeys();
+        break;
+      case 'revoke':
+        await revokeKey(args);
+        break;
+      default:
+        throw new Error('Unknown command. Use "create", "list" or "revoke"');
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
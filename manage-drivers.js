@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Driver Account Management
+ *
+ * Usage:
+ *   node manage-drivers.js create <username> <password> "<name>" [busNumber]
+ *   node manage-drivers.js list
+ *
+ * A driver with a busNumber can only log in for that bus; without one they pick the bus at login.
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('./src/config/optimizedDatabase');
+const AuthService = require('./src/services/authService');
+const { initRepositories, getRepositories } = require('./src/repositories');
+
+async function createDriver([username, password, name, busNumber]) {
+  if (!username || !password || !name) {
+    throw new Error('Usage: node manage-drivers.js create <username> <password> "<name>" [busNumber]');
+  }
+
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const driver = await AuthService.createDriver({ username, password, name, busNumber });
+  console.log(`✅ Created driver ${driver.username} (${driver.name})${driver.busNumber ? ` for bus ${driver.busNumber}` : ''}`);
+}
+
+async function listDrivers() {
+  const drivers = await getRepositories().drivers.getAll();
+
+  if (drivers.length === 0) {
+    console.log('No drivers yet. Create one with: node manage-drivers.js create ...');
+    return;
+  }
+
+  console.log('👤 Drivers:');
+  drivers.forEach(driver => {
+    const bus = driver.busNumber ? `bus ${driver.busNumber}` : 'any bus';
+    const status = driver.isActive ? '✅' : '⛔';
+    console.log(`   ${status} ${driver.username} - ${driver.name} (${bus})`);
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  const storage = await initRepositories('postgres');
+  if (storage.name === 'memory') {
+    throw new Error('STORAGE_BACKEND=memory keeps drivers inside the server process; use the local driver it prints at startup');
+  }
+
+  await connectDatabase();
+  try {
+    switch (command) {
+      case 'create':
+        await createDriver(args);
+        break;
+      case 'list':
+        await listDrivers();
+        break;
+      default:
+        throw new Error('Unknown command. Use "create" or "list"');
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
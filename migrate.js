@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migrations
+ *
+ * Usage:
+ *   node migrate.js up               apply every pending migration
+ *   node migrate.js down [steps]     revert the newest migration (or the newest <steps>)
+ *   node migrate.js status           list migrations and whether they are applied
+ *
+ * Migrations live in migrations/ as NNN_name.up.sql / NNN_name.down.sql pairs.
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('./src/config/optimizedDatabase');
+const { migrate, rollback, getStatus } = require('./src/utils/migrator');
+
+async function up() {
+  const applied = await migrate();
+
+  if (applied.length === 0) {
+    console.log('✅ Database schema is already up to date');
+    return;
+  }
+  console.log(`🎉 Applied ${applied.length} migration(s)`);
+}
+
+async function down([steps = '1']) {
+  const count = parseInt(steps);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Usage: node migrate.js down [steps]');
+  }
+
+  const reverted = await rollback(count);
+
+  if (reverted.length === 0) {
+    console.log('No migrations to roll back');
+    return;
+  }
+  console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+}
+
+async function status() {
+  const { migrations, unknown } = await getStatus();
+
+  console.log('🗄️  Migrations:');
+  migrations.forEach(migration => {
+    const state = migration.appliedAt
+      ? `✅ applied ${new Date(migration.appliedAt).toISOString()}`
+      : '⏳ pending';
+    console.log(`   ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${state}`);
+  });
+
+  unknown.forEach(row => {
+    console.log(`   ${String(row.version).padStart(3, '0')} ${row.name.padEnd(24)} ⚠️  applied, but not in migrations/`);
+  });
+
+  const pending = migrations.filter(migration => !migration.appliedAt).length;
+  console.log(pending > 0 ? `⏳ ${pending} pending, run "npm run migrate"` : '✅ Database schema is up to date');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  await connectDatabase();
+  try {
+    switch (command) {
+      case 'up':
+        await up();
+        break;
+      case 'down':
+        await down(args);
+        break;
+      case 'status':
+        await status();
+        break;
+      default:
+        throw new Error('Unknown command. Use "up", "down" or "status"');
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
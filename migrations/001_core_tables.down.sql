@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS update_buses_updated_at ON buses;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS drivers;
+DROP TABLE IF EXISTS locations;
+DROP TABLE IF EXISTS buses;
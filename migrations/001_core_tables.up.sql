@@ -0,0 +1,68 @@
+-- Buses, their locations, driver accounts and API keys.
+-- Every statement is IF NOT EXISTS so this also adopts databases set up by the old create-tables.js.
+
+CREATE TABLE IF NOT EXISTS buses (
+  id SERIAL PRIMARY KEY,
+  bus_number VARCHAR(20) UNIQUE NOT NULL,
+  driver_name VARCHAR(100) DEFAULT 'Unknown',
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bus_number VARCHAR(20) NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  accuracy DECIMAL(8, 2) DEFAULT 0,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  FOREIGN KEY (bus_number) REFERENCES buses(bus_number) ON DELETE CASCADE
+);
+
+-- Accounts that can log in and track a bus
+CREATE TABLE IF NOT EXISTS drivers (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  bus_number VARCHAR(20),
+  is_active BOOLEAN DEFAULT true,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only SHA-256 hashes of keys are stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(12) NOT NULL,
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'driver', 'operator', 'admin')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_buses_number ON buses(bus_number);
+CREATE INDEX IF NOT EXISTS idx_buses_active ON buses(is_active);
+CREATE INDEX IF NOT EXISTS idx_locations_bus_number ON locations(bus_number);
+CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON locations(timestamp);
+CREATE INDEX IF NOT EXISTS idx_locations_created_at ON locations(created_at);
+CREATE INDEX IF NOT EXISTS idx_drivers_username ON drivers(username);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_buses_updated_at ON buses;
+CREATE TRIGGER update_buses_updated_at
+  BEFORE UPDATE ON buses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
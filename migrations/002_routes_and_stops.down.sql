@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_buses_route;
+ALTER TABLE buses DROP COLUMN IF EXISTS route_id;
+
+DROP TABLE IF EXISTS segment_travel_times;
+DROP TABLE IF EXISTS route_stops;
+DROP TABLE IF EXISTS stops;
+DROP TABLE IF EXISTS routes;
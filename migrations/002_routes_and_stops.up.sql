@@ -0,0 +1,45 @@
+-- Routes, stops and the ordered route_stops join table
+CREATE TABLE IF NOT EXISTS routes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  path JSONB,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS stops (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  radius_meters INTEGER DEFAULT 50,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS route_stops (
+  route_id INTEGER NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+  stop_id INTEGER NOT NULL REFERENCES stops(id) ON DELETE CASCADE,
+  stop_order INTEGER NOT NULL,
+  PRIMARY KEY (route_id, stop_order),
+  UNIQUE (route_id, stop_id)
+);
+
+ALTER TABLE buses ADD COLUMN IF NOT EXISTS route_id INTEGER REFERENCES routes(id) ON DELETE SET NULL;
+
+-- Learned travel times between consecutive stops (feeds ETA estimates)
+CREATE TABLE IF NOT EXISTS segment_travel_times (
+  route_id INTEGER NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+  from_stop_id INTEGER NOT NULL REFERENCES stops(id) ON DELETE CASCADE,
+  to_stop_id INTEGER NOT NULL REFERENCES stops(id) ON DELETE CASCADE,
+  avg_seconds NUMERIC(10, 2) NOT NULL,
+  sample_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (route_id, from_stop_id, to_stop_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_route_stops_stop ON route_stops(stop_id);
+CREATE INDEX IF NOT EXISTS idx_buses_route ON buses(route_id);
@@ -0,0 +1,15 @@
+-- Arrivals at and departures from stops, with dwell time on departures
+CREATE TABLE IF NOT EXISTS stop_events (
+  id SERIAL PRIMARY KEY,
+  bus_number VARCHAR(20) NOT NULL REFERENCES buses(bus_number) ON DELETE CASCADE,
+  route_id INTEGER REFERENCES routes(id) ON DELETE SET NULL,
+  stop_id INTEGER NOT NULL REFERENCES stops(id) ON DELETE CASCADE,
+  event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('arrival', 'departure')),
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  dwell_seconds INTEGER,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stop_events_bus_time ON stop_events(bus_number, occurred_at);
@@ -0,0 +1,5 @@
+ALTER TABLE stop_events DROP COLUMN IF EXISTS trip_id;
+ALTER TABLE locations DROP COLUMN IF EXISTS trip_id;
+ALTER TABLE buses DROP COLUMN IF EXISTS current_trip_id;
+
+DROP TABLE IF EXISTS trips;
@@ -0,0 +1,23 @@
+-- One row per tracking run, opened on start-tracking and closed on stop-tracking
+CREATE TABLE IF NOT EXISTS trips (
+  id SERIAL PRIMARY KEY,
+  bus_number VARCHAR(20) NOT NULL REFERENCES buses(bus_number) ON DELETE CASCADE,
+  driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+  driver_name VARCHAR(100),
+  route_id INTEGER REFERENCES routes(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE,
+  distance_meters NUMERIC(12, 2) DEFAULT 0,
+  max_speed_kmh NUMERIC(6, 2) DEFAULT 0,
+  point_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE buses ADD COLUMN IF NOT EXISTS current_trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+ALTER TABLE stop_events ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trips_bus_started ON trips(bus_number, started_at);
+CREATE INDEX IF NOT EXISTS idx_locations_trip ON locations(trip_id);
+CREATE INDEX IF NOT EXISTS idx_stop_events_trip ON stop_events(trip_id);
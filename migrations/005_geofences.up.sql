@@ -0,0 +1,28 @@
+-- Named zones (campus gate, depot, hostel zone): a circle or a polygon of [lat, lng] vertices
+CREATE TABLE IF NOT EXISTS geofences (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  shape VARCHAR(10) NOT NULL CHECK (shape IN ('circle', 'polygon')),
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  radius_meters INTEGER,
+  polygon JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Buses entering and leaving geofences
+CREATE TABLE IF NOT EXISTS geofence_events (
+  id SERIAL PRIMARY KEY,
+  geofence_id INTEGER NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+  bus_number VARCHAR(20) NOT NULL REFERENCES buses(bus_number) ON DELETE CASCADE,
+  trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+  event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('enter', 'exit')),
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_events_bus_time ON geofence_events(bus_number, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_geofence_events_geofence_time ON geofence_events(geofence_id, occurred_at);
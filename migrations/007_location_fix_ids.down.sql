@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_locations_bus_fix;
+ALTER TABLE locations DROP COLUMN IF EXISTS fix_id;
@@ -0,0 +1,4 @@
+-- Client-generated fix ids, so re-sent fixes are only stored once per bus
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS fix_id VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_bus_fix ON locations(bus_number, fix_id) WHERE fix_id IS NOT NULL;
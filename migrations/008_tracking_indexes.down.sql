@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_buses_active_updated;
+DROP INDEX IF EXISTS idx_locations_bus_timestamp;
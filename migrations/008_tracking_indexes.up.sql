@@ -0,0 +1,4 @@
+-- Indexes optimize-database.js used to create by hand: the latest fix per bus (active-bus list,
+-- ETA, backfill checks) and the active buses list
+CREATE INDEX IF NOT EXISTS idx_locations_bus_timestamp ON locations(bus_number, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_buses_active_updated ON buses(is_active, updated_at DESC) WHERE is_active = true;
@@ -8,9 +8,12 @@ const SERVER_URL = 'http://localhost:3000';
 const MONITORING_INTERVAL = 10000; // 10 seconds
 const ALERT_THRESHOLDS = {
   responseTime: 500, // ms
+  p95ResponseTime: 200, // ms, across all requests
   memoryUsage: 800,  // MB
-  errorRate: 5       // %
+  errorRate: 5,      // % of requests answered 5xx
+  cacheHitRate: 70   // %
 };
+const TOP_ROUTES = 8;
 
 class PerformanceMonitor {
   constructor() {
@@ -146,6 +149,39 @@ class PerformanceMonitor {
       }
     }
 
+    // Check latency percentiles, server errors and cache effectiveness
+    if (metricsResult.success && metricsResult.metrics.performance) {
+      const { p95ResponseTime, errorRate } = metricsResult.metrics.performance;
+      if (p95ResponseTime > ALERT_THRESHOLDS.p95ResponseTime) {
+        alerts.push({
+          type: 'SLOW_P95',
+          message: `p95 response time ${p95ResponseTime}ms (threshold: ${ALERT_THRESHOLDS.p95ResponseTime}ms)`,
+          severity: 'WARNING',
+          timestamp
+        });
+      }
+      if (errorRate > ALERT_THRESHOLDS.errorRate) {
+        alerts.push({
+          type: 'HIGH_ERROR_RATE',
+          message: `${errorRate}% of requests failed with 5xx (threshold: ${ALERT_THRESHOLDS.errorRate}%)`,
+          severity: 'CRITICAL',
+          timestamp
+        });
+      }
+    }
+
+    if (metricsResult.success && metricsResult.metrics.cache) {
+      const { hitRate } = metricsResult.metrics.cache;
+      if (hitRate !== null && hitRate < ALERT_THRESHOLDS.cacheHitRate) {
+        alerts.push({
+          type: 'LOW_CACHE_HIT_RATE',
+          message: `Cache hit rate at ${hitRate}% (threshold: ${ALERT_THRESHOLDS.cacheHitRate}%)`,
+          severity: 'WARNING',
+          timestamp
+        });
+      }
+    }
+
     // Check server availability
     if (!healthResult.success) {
       alerts.push({
@@ -189,9 +225,27 @@ class PerformanceMonitor {
       console.log('📊 PERFORMANCE METRICS:');
       
       if (m.performance) {
-        console.log(`   📈 Total Requests: ${m.performance.totalRequests.toLocaleString()}`);
-        console.log(`   ⚡ Avg Response: ${m.performance.avgResponseTime}ms`);
-        console.log(`   🔄 Requests/min: ${m.performance.requestsPerMinute}`);
+        const p = m.performance;
+        console.log(`   📈 Total Requests: ${p.totalRequests.toLocaleString()}${m.cluster ? ` (${m.cluster.workers} workers${m.cluster.complete ? '' : ', some not reporting'})` : ''}`);
+        console.log(`   ⚡ Response: avg ${p.avgResponseTime}ms | p50 ${p.p50ResponseTime}ms | p95 ${p.p95ResponseTime}ms | p99 ${p.p99ResponseTime}ms`);
+        console.log(`   🔄 Requests/min: ${p.requestsPerMinute}`);
+        if (p.statusCodes) {
+          const codes = Object.entries(p.statusCodes).map(([status, count]) => `${status}: ${count}`).join(', ');
+          console.log(`   🔢 Status Codes: ${codes || '-'} (5xx ${p.errorRate}%)`);
+        }
+      }
+      
+      if (m.cache) {
+        const rate = (value) => value === null ? '-' : `${value}%`;
+        const prefixes = Object.entries(m.cache.byPrefix)
+          .map(([prefix, group]) => `${prefix} ${rate(group.hitRate)}`)
+          .join(', ');
+        console.log(`   🗄️  Cache Hit Rate: ${rate(m.cache.hitRate)} (${m.cache.hits} hits / ${m.cache.misses} misses)${prefixes ? ` - ${prefixes}` : ''}`);
+      }
+      
+      if (m.database) {
+        const q = m.database.queries;
+        console.log(`   🐘 DB Queries: ${q.count.toLocaleString()} | avg ${q.avg}ms | p95 ${q.p95}ms | p99 ${q.p99}ms | slow ${m.database.slow} | errors ${m.database.errors}`);
       }
       
       if (m.memory) {
@@ -209,6 +263,18 @@ class PerformanceMonitor {
 
     console.log('');
 
+    // Busiest routes
+    if (metricsResult.success && metricsResult.metrics && metricsResult.metrics.routes) {
+      console.log('🛣️  ROUTES (busiest first):');
+      console.log(`   ${'route'.padEnd(46)}${['count', 'p50', 'p95', 'p99'].map(h => h.padStart(8)).join('')}  status`);
+      metricsResult.metrics.routes.slice(0, TOP_ROUTES).forEach(route => {
+        const codes = Object.entries(route.statusCodes).map(([status, count]) => `${status}×${count}`).join(' ');
+        const timings = [route.p50, route.p95, route.p99].map(ms => `${ms}ms`.padStart(8)).join('');
+        console.log(`   ${route.route.slice(0, 45).padEnd(46)}${String(route.count).padStart(8)}${timings}  ${codes}`);
+      });
+      console.log('');
+    }
+
     // Alerts
     if (alerts.length > 0) {
       console.log('🚨 ALERTS:');
@@ -270,7 +336,7 @@ class PerformanceMonitor {
   }
 }
 
-// Load testing function
+// Read-path load test (simulate-fleet.js drives the write path)
 async function runLoadTest(concurrent = 100, duration = 30) {
   console.log(`🧪 Running load test: ${concurrent} concurrent users for ${duration}s`);
   
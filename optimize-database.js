@@ -13,38 +13,9 @@ async function optimizeDatabase() {
   console.log('🚀 Starting database optimization...');
   
   try {
-    // 1. Create indexes for high-performance queries
-    console.log('📊 Creating performance indexes...');
-    
-    const indexes = [
-      // Buses table indexes
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_buses_active_updated ON buses(is_active, updated_at DESC) WHERE is_active = true',
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_buses_bus_number ON buses(bus_number)',
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_buses_active ON buses(is_active) WHERE is_active = true',
-      
-      // Locations table indexes for live tracking
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_locations_bus_timestamp ON locations(bus_number, timestamp DESC)',
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_locations_timestamp ON locations(timestamp DESC)',
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_locations_recent ON locations(timestamp DESC)',
-      
-      // Composite index for the most common query (active buses with latest location)
-      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_buses_locations_composite ON buses(is_active, bus_number, updated_at) WHERE is_active = true'
-    ];
+    // Indexes are created by the migrations in migrations/ ("npm run migrate")
     
-    for (const indexQuery of indexes) {
-      try {
-        await pool.query(indexQuery);
-        console.log(`✅ Created index: ${indexQuery.split(' ')[5] || 'unnamed'}`);
-      } catch (error) {
-        if (error.message.includes('already exists')) {
-          console.log(`⏭️ Index already exists: ${indexQuery.split(' ')[5] || 'unnamed'}`);
-        } else {
-          console.error(`❌ Failed to create index: ${error.message}`);
-        }
-      }
-    }
-    
-    // 2. Optimize table settings for performance
+    // 1. Optimize table settings for performance
     console.log('⚙️ Optimizing table settings...');
     
     const optimizations = [
@@ -66,13 +37,13 @@ async function optimizeDatabase() {
       }
     }
     
-    // 3. Update table statistics for query planner
+    // 2. Update table statistics for query planner
     console.log('📈 Updating table statistics...');
     await pool.query('ANALYZE buses');
     await pool.query('ANALYZE locations');
     console.log('✅ Statistics updated');
     
-    // 4. Check current database performance
+    // 3. Check current database performance
     console.log('🔍 Checking database performance...');
     
     const stats = await pool.query(`
@@ -92,7 +63,7 @@ async function optimizeDatabase() {
       console.log(`   ${row.tablename}.${row.column_name}: distinct=${row.n_distinct}, correlation=${row.correlation}`);
     });
     
-    // 5. Check index usage
+    // 4. Check index usage
     const indexStats = await pool.query(`
       SELECT 
         schemaname,
@@ -110,7 +81,7 @@ async function optimizeDatabase() {
       console.log(`   ${row.indexname}: reads=${row.idx_tup_read}, fetches=${row.idx_tup_fetch}`);
     });
     
-    // 6. Vacuum and analyze for optimal performance
+    // 5. Vacuum and analyze for optimal performance
     console.log('🧹 Running maintenance...');
     await pool.query('VACUUM ANALYZE buses');
     await pool.query('VACUUM ANALYZE locations');
@@ -118,7 +89,7 @@ async function optimizeDatabase() {
     
     console.log('🎉 Database optimization completed successfully!');
     
-    // 7. Performance recommendations
+    // 6. Performance recommendations
     console.log('\n📋 Performance Recommendations:');
     console.log('   ✅ Indexes optimized for 2000+ concurrent reads');
     console.log('   ✅ Tables configured for high-throughput inserts');
@@ -143,18 +114,8 @@ async function cleanupOldData() {
     `);
     console.log(`✅ Cleaned up ${locationCleanup.rowCount} old location records`);
     
-    // Update buses to inactive if no location updates in 2 hours
-    const busCleanup = await pool.query(`
-      UPDATE buses 
-      SET is_active = false, updated_at = NOW()
-      WHERE is_active = true 
-        AND bus_number NOT IN (
-          SELECT DISTINCT bus_number 
-          FROM locations 
-          WHERE timestamp >= NOW() - INTERVAL '2 hours'
-        )
-    `);
-    console.log(`✅ Marked ${busCleanup.rowCount} buses as inactive`);
+    // Silent buses are stopped by the running server (BUS_AUTO_STOP_AFTER_MINUTES), which also
+    // closes their trips and announces the change
     
     // Vacuum after cleanup
     await pool.query('VACUUM ANALYZE buses');
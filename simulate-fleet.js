@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+
+/**
+ * GPS Fleet Simulator
+ *
+ * Usage:
+ *   node simulate-fleet.js route <routeId> [buses] [minutes] [--option=value ...]
+ *   node simulate-fleet.js gpx <file.gpx> [buses] [minutes] [--option=value ...]
+ *
+ * Options:
+ *   --url=http://localhost:3000   server to drive (optimized server)
+ *   --speed=30                    cruising speed in km/h; each bus varies around it
+ *   --interval=10                 seconds between fixes (the server stores one per bus every 8s)
+ *   --gaps=0.02                   chance per fix that a bus loses signal for 30-120s
+ *   --outliers=0.01               chance per fix of a multipath jump the GPS filter should drop
+ *   --prefix=SIM                  bus numbers are SIM-1, SIM-2, ...
+ *
+ * Each virtual bus starts tracking, drives up and down the path with GPS noise and stops
+ * tracking at the end. Fixes taken during a signal gap are queued and uploaded through the
+ * batch endpoint on reconnect, like the Android app does. Driver tokens are signed with
+ * AUTH_TOKEN_SECRET, so run this with the server's .env.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { signToken } = require('./src/utils/security');
+const { cumulativeDistances } = require('./src/utils/geo');
+
+const DEFAULT_OPTIONS = {
+  url: 'http://localhost:3000',
+  speed: 30,
+  interval: 10,
+  gaps: 0.02,
+  outliers: 0.01,
+  prefix: 'SIM'
+};
+const MAX_BATCH_SIZE = 50; // Server limit per batch request
+const REQUEST_TIMEOUT = 10000;
+const PROGRESS_INTERVAL = 30000;
+const METERS_PER_DEGREE = 111320;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+// Standard normal sample (Box-Muller)
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const rate = (count, total) => total > 0 ? `${((count / total) * 100).toFixed(1)}%` : '-';
+
+/**
+ * A path from a route on the server: its drawn polyline, or its stops in order
+ */
+async function loadRoutePath(baseUrl, routeId) {
+  const response = await fetch(`${baseUrl}/api/routes/${routeId}`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) })
+    .catch(error => {
+      throw new Error(`Could not reach ${baseUrl}: ${error.cause ? error.cause.code || error.cause.message : error.message}`);
+    });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.message || `Could not load route ${routeId} (HTTP ${response.status})`);
+  }
+
+  const route = body.data;
+  return {
+    name: `route ${route.code}`,
+    routeId: route.id,
+    points: route.path || route.stops.map(stop => [stop.latitude, stop.longitude])
+  };
+}
+
+/**
+ * A path from the track points (or route points) of a GPX file
+ */
+function loadGpxPath(file) {
+  const xml = fs.readFileSync(file, 'utf8');
+  const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\b${name}=["']([^"']+)["']`));
+    return match ? parseFloat(match[1]) : NaN;
+  };
+
+  const points = [...xml.matchAll(/<(?:trkpt|rtept)\b[^>]*>/g)]
+    .map(([tag]) => [attribute(tag, 'lat'), attribute(tag, 'lon')])
+    .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+
+  return { name: path.basename(file), routeId: null, points };
+}
+
+/**
+ * Running totals for the whole fleet
+ */
+class FleetStats {
+  constructor() {
+    this.latency = { 'start-tracking': [], location: [], batch: [], 'stop-tracking': [] };
+    this.statusCodes = {};
+    this.networkErrors = 0;
+    this.fixes = { taken: 0, stored: 0, throttled: 0, rejected: 0, duplicate: 0, failed: 0 };
+    this.backfill = { batches: 0, fixes: 0, delays: [] }; // Delay: fix taken -> acknowledged
+    this.buses = { started: 0, stopped: 0 };
+  }
+
+  recordResponse(kind, milliseconds, status) {
+    this.latency[kind].push(milliseconds);
+    this.statusCodes[status] = (this.statusCodes[status] || 0) + 1;
+  }
+
+  displayProgress(elapsedMs) {
+    const minutes = Math.floor(elapsedMs / 60000);
+    const seconds = String(Math.floor((elapsedMs % 60000) / 1000)).padStart(2, '0');
+    const writes = [...this.latency.location].sort((a, b) => a - b);
+
+    console.log(`⏱️  ${minutes}:${seconds} - ${this.fixes.taken} fixes, ${rate(this.fixes.stored, this.fixes.taken)} stored, ` +
+      `location p95 ${percentile(writes, 95).toFixed(0)}ms`);
+  }
+
+  displayResults({ busCount, minutes, pathName }) {
+    const { fixes, backfill } = this;
+
+    console.log(`\n📊 Fleet Simulation Results (${busCount} buses, ${minutes} min on ${pathName}):`);
+    console.log(`   🚌 Buses started: ${this.buses.started}/${busCount}, stopped: ${this.buses.stopped}/${busCount}`);
+    console.log(`   📍 Fixes taken: ${fixes.taken}`);
+    console.log(`      ✅ Stored: ${fixes.stored} (${rate(fixes.stored, fixes.taken)})`);
+    console.log(`      ⏳ Throttled: ${fixes.throttled} (${rate(fixes.throttled, fixes.taken)})`);
+    console.log(`      🛰️  Rejected by GPS filter: ${fixes.rejected} (${rate(fixes.rejected, fixes.taken)})`);
+    console.log(`      ♻️  Duplicates: ${fixes.duplicate}`);
+    console.log(`      ❌ Failed: ${fixes.failed} (${rate(fixes.failed, fixes.taken)})`);
+
+    const delays = [...backfill.delays].sort((a, b) => a - b);
+    console.log(`   📦 Backfill: ${backfill.batches} batches, ${backfill.fixes} fixes` +
+      (delays.length ? `, delivered after p50 ${(percentile(delays, 50) / 1000).toFixed(0)}s / max ${(delays[delays.length - 1] / 1000).toFixed(0)}s` : ''));
+
+    console.log('   ⚡ Write latency (ms):');
+    console.log(`      ${'request'.padEnd(15)}${['count', 'mean', 'p50', 'p95', 'p99', 'max'].map(h => h.padStart(8)).join('')}`);
+    Object.entries(this.latency).forEach(([kind, samples]) => {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const mean = sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0;
+      const columns = [mean, percentile(sorted, 50), percentile(sorted, 95), percentile(sorted, 99), sorted[sorted.length - 1] || 0];
+      console.log(`      ${kind.padEnd(15)}${String(sorted.length).padStart(8)}${columns.map(value => value.toFixed(0).padStart(8)).join('')}`);
+    });
+
+    const codes = Object.entries(this.statusCodes).map(([status, count]) => `${status} ×${count}`).join(', ');
+    console.log(`   🔢 Status codes: ${codes || '-'}${this.networkErrors ? `, network errors ×${this.networkErrors}` : ''}`);
+  }
+}
+
+/**
+ * One bus shuttling along the path, reporting fixes like the driver app
+ */
+class VirtualBus {
+  constructor(index, fleet) {
+    this.fleet = fleet;
+    this.busNumber = `${fleet.options.prefix}-${index + 1}`;
+    this.token = signToken({ sub: null, name: 'Simulated Driver', bus: this.busNumber, scope: 'driver' }, fleet.tokenTtl);
+    // Each phone has its own address, so per-IP rate limits apply per bus (the server trusts one proxy hop)
+    this.forwardedFor = `10.77.${Math.floor(index / 250)}.${(index % 250) + 1}`;
+
+    // Spread the fleet along the path, half of it driving in each direction
+    this.odometer = (index / fleet.busCount) * 2 * fleet.pathLength;
+    this.cruiseSpeed = fleet.options.speed * randomBetween(0.8, 1.2) / 3.6; // m/s
+    this.lastMovedAt = Date.now();
+
+    this.fixCount = 0;
+    this.queue = []; // Fixes waiting for signal
+    this.offlineUntil = 0;
+  }
+
+  async request(kind, method, urlPath, body) {
+    const started = performance.now();
+    try {
+      const response = await fetch(`${this.fleet.options.url}${urlPath}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.token}`,
+          'X-Forwarded-For': this.forwardedFor
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      this.fleet.stats.recordResponse(kind, performance.now() - started, response.status);
+      return { status: response.status, body: payload };
+    } catch (error) {
+      this.fleet.stats.networkErrors++;
+      return { status: 0, body: { message: error.message } };
+    }
+  }
+
+  /**
+   * Drive on for the time since the last fix; the bus turns around at either end of the path
+   */
+  move() {
+    const now = Date.now();
+    const trafficFactor = Math.random() < 0.1 ? 0 : randomBetween(0.6, 1.1); // Sometimes held at a signal
+    this.odometer += this.cruiseSpeed * trafficFactor * (now - this.lastMovedAt) / 1000;
+    this.lastMovedAt = now;
+  }
+
+  position() {
+    const { points, distances, pathLength } = this.fleet;
+    const lap = this.odometer % (2 * pathLength);
+    const along = lap <= pathLength ? lap : 2 * pathLength - lap;
+
+    let i = 1;
+    while (i < distances.length - 1 && distances[i] < along) i++;
+    const segment = distances[i] - distances[i - 1];
+    const t = segment > 0 ? (along - distances[i - 1]) / segment : 0;
+
+    return [
+      points[i - 1][0] + (points[i][0] - points[i - 1][0]) * t,
+      points[i - 1][1] + (points[i][1] - points[i - 1][1]) * t
+    ];
+  }
+
+  /**
+   * A noisy reading of the current position, occasionally a multipath jump
+   */
+  takeFix() {
+    const [latitude, longitude] = this.position();
+    const accuracy = randomBetween(4, 15);
+
+    let northMeters = gaussian() * accuracy / 2;
+    let eastMeters = gaussian() * accuracy / 2;
+    if (Math.random() < this.fleet.options.outliers) {
+      const jump = randomBetween(300, 800);
+      const direction = randomBetween(0, 2 * Math.PI);
+      northMeters += jump * Math.cos(direction);
+      eastMeters += jump * Math.sin(direction);
+    }
+
+    this.fixCount++;
+    this.fleet.stats.fixes.taken++;
+
+    return {
+      busNumber: this.busNumber,
+      latitude: +(latitude + northMeters / METERS_PER_DEGREE).toFixed(7),
+      longitude: +(longitude + eastMeters / (METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180))).toFixed(7),
+      accuracy: +accuracy.toFixed(1),
+      timestamp: new Date().toISOString(),
+      fixId: `${this.busNumber}-${this.fixCount}`
+    };
+  }
+
+  async sendLive(fix) {
+    const { fixes } = this.fleet.stats;
+    const { status, body } = await this.request('location', 'POST', `/api/buses/${this.busNumber}/location`, fix);
+
+    if (status === 0) {
+      this.queue.push(fix); // Lost on the way: retry with the next backfill
+      return;
+    }
+    if (status !== 200) {
+      fixes.failed++;
+      return;
+    }
+
+    const { rateLimited, rejected, duplicate } = body.data;
+    if (rateLimited) fixes.throttled++;
+    else if (rejected) fixes.rejected++;
+    else if (duplicate) fixes.duplicate++;
+    else fixes.stored++;
+  }
+
+  /**
+   * Upload queued fixes, oldest first, in batches the server accepts
+   */
+  async flushQueue() {
+    const { stats } = this.fleet;
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.slice(0, MAX_BATCH_SIZE);
+      const { status, body } = await this.request('batch', 'POST', '/api/buses/locations/batch', { locations: batch });
+      if (status === 0) return; // Still no connection; keep them queued
+
+      this.queue.splice(0, batch.length);
+      stats.backfill.batches++;
+      stats.backfill.fixes += batch.length;
+
+      if (status !== 200 && status !== 207) {
+        stats.fixes.failed += batch.length;
+        continue;
+      }
+
+      const acknowledgedAt = Date.now();
+      body.data.results.forEach((result, i) => {
+        if (result.status === 201) {
+          stats.fixes.stored++;
+          stats.backfill.delays.push(acknowledgedAt - new Date(batch[i].timestamp).getTime());
+        } else if (result.result === 'duplicate') {
+          stats.fixes.duplicate++;
+        } else if (result.error && result.error.code === 'GPS_REJECTED') {
+          stats.fixes.rejected++;
+        } else {
+          stats.fixes.failed++;
+        }
+      });
+    }
+  }
+
+  async tick() {
+    this.move();
+    const fix = this.takeFix();
+    const now = Date.now();
+
+    if (this.offlineUntil > now) {
+      this.queue.push(fix);
+    } else if (Math.random() < this.fleet.options.gaps) {
+      this.offlineUntil = now + randomBetween(30, 120) * 1000;
+      this.queue.push(fix);
+    } else {
+      await this.flushQueue();
+      await this.sendLive(fix);
+    }
+  }
+
+  async run() {
+    const { fleet } = this;
+    const started = await this.request('start-tracking', 'POST', '/api/buses/start-tracking', {
+      busNumber: this.busNumber,
+      driverName: 'Simulated Driver',
+      ...(fleet.routeId && { routeId: fleet.routeId })
+    });
+    if (started.status !== 200) {
+      console.error(`❌ ${this.busNumber} could not start tracking: ${started.body.message}`);
+      return;
+    }
+    fleet.stats.buses.started++;
+
+    // Don't have every bus report in the same instant
+    await sleep(randomBetween(0, fleet.intervalMs));
+    this.lastMovedAt = Date.now();
+
+    while (!fleet.stopping && Date.now() < fleet.endsAt) {
+      const tickStarted = Date.now();
+      await this.tick();
+      await sleep(Math.max(0, fleet.intervalMs - (Date.now() - tickStarted)));
+    }
+
+    // Signal is back for the end of the run
+    await this.flushQueue();
+    const stopped = await this.request('stop-tracking', 'POST', '/api/buses/stop-tracking', { busNumber: this.busNumber });
+    if (stopped.status === 200) {
+      fleet.stats.buses.stopped++;
+    } else {
+      console.error(`❌ ${this.busNumber} could not stop tracking: ${stopped.body.message}`);
+    }
+  }
+}
+
+async function simulateFleet({ source, busCount = 5, minutes = 5, ...overrides }) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const route = source.type === 'route'
+    ? await loadRoutePath(options.url, source.value)
+    : loadGpxPath(source.value);
+
+  if (route.points.length < 2) {
+    throw new Error(`${route.name} needs at least two points to drive along`);
+  }
+
+  const distances = cumulativeDistances(route.points);
+  const fleet = {
+    options,
+    busCount,
+    routeId: route.routeId,
+    points: route.points,
+    distances,
+    pathLength: distances[distances.length - 1],
+    intervalMs: options.interval * 1000,
+    endsAt: Date.now() + minutes * 60 * 1000,
+    tokenTtl: minutes * 60 + 3600,
+    stopping: false,
+    stats: new FleetStats()
+  };
+
+  console.log(`🚌 Simulating ${busCount} buses for ${minutes} min on ${route.name} (${(fleet.pathLength / 1000).toFixed(1)} km)`);
+  console.log(`📡 Server: ${options.url}, a fix every ${options.interval}s at ~${options.speed} km/h\n`);
+
+  // Ctrl+C ends the run early; buses still upload their queues and stop tracking
+  const onInterrupt = () => {
+    if (fleet.stopping) process.exit(1);
+    console.log('\n👋 Stopping buses (Ctrl+C again to quit now)...');
+    fleet.stopping = true;
+  };
+  process.on('SIGINT', onInterrupt);
+
+  const startedAt = Date.now();
+  const progress = setInterval(() => fleet.stats.displayProgress(Date.now() - startedAt), PROGRESS_INTERVAL);
+
+  try {
+    await Promise.all(Array.from({ length: busCount }, (_, index) => new VirtualBus(index, fleet).run()));
+  } finally {
+    clearInterval(progress);
+    process.removeListener('SIGINT', onInterrupt);
+  }
+
+  fleet.stats.displayResults({ busCount, minutes, pathName: route.name });
+  return fleet.stats;
+}
+
+function parseOptions(args) {
+  return Object.fromEntries(args.map(arg => {
+    const [name, value = ''] = arg.slice(2).split('=');
+    if (!(name in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option --${name}`);
+    }
+    if (typeof DEFAULT_OPTIONS[name] !== 'number') {
+      return [name, value];
+    }
+
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`--${name} must be a non-negative number`);
+    }
+    return [name, number];
+  }));
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [type, value, buses, minutes] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!['route', 'gpx'].includes(type) || !value) {
+    console.error('Usage: node simulate-fleet.js (route <routeId> | gpx <file.gpx>) [buses] [minutes] [--option=value ...]');
+    process.exit(1);
+  }
+
+  Promise.resolve()
+    .then(() => simulateFleet({
+      source: { type, value },
+      busCount: parseInt(buses) || 5,
+      minutes: parseFloat(minutes) || 5,
+      ...parseOptions(args.filter(arg => arg.startsWith('--')))
+    }))
+    .then(stats => process.exit(stats.buses.started > 0 ? 0 : 1))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { simulateFleet };
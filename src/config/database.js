@@ -1,8 +1,11 @@
 const { createClient } = require('@supabase/supabase-js');
 
 let supabase = null;
+let supabaseAdmin = null;
 
 const connectSupabase = async () => {
+  if (supabase) return supabase;
+
   try {
     const supabaseUrl = process.env.SUPABASE_URL;
     const supabaseKey = process.env.SUPABASE_ANON_KEY;
@@ -38,7 +41,25 @@ const getSupabase = () => {
   return supabase;
 };
 
+// Service-role client for tables that row level security hides from the anon key (api_keys)
+const getSupabaseAdmin = () => {
+  if (!supabaseAdmin) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !serviceRoleKey) {
+      throw new Error('Missing Supabase environment variables. Please check SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    supabaseAdmin = createClient(supabaseUrl, serviceRoleKey, {
+      auth: { persistSession: false }
+    });
+  }
+  return supabaseAdmin;
+};
+
 module.exports = {
   connectSupabase,
-  getSupabase
+  getSupabase,
+  getSupabaseAdmin
 };
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { recordQuery } = require('../services/metricsService');
 
 // Direct PostgreSQL connection with connection pooling for thousands of users
 let pool = null;
@@ -38,6 +39,9 @@ const connectDatabase = async () => {
     throw new Error('DATABASE_URL environment variable is required');
   }
 
+  // Already connected (the schema check and the storage backend both ask for the pool)
+  if (pool) return pool;
+
   // Try primary connection first
   try {
     console.log('🔄 Attempting primary database connection (IPv4 forced)...');
@@ -140,22 +144,25 @@ const getPool = () => {
   return pool;
 };
 
-// Optimized query function with retry logic
+// Optimized query function with retry logic (pass retries = 0 for statements that aren't safe to
+// repeat: a reset connection doesn't mean the statement didn't run)
 const executeQuery = async (text, params = [], retries = 2) => {
   const client = await getPool().connect();
+  const start = performance.now();
   
   try {
-    const start = Date.now();
     const result = await client.query(text, params);
-    const duration = Date.now() - start;
+    const duration = performance.now() - start;
+    recordQuery(duration);
     
     // Log slow queries (> 100ms)
     if (duration > 100) {
-      console.warn(`⚠️  Slow query (${duration}ms): ${text.substring(0, 50)}...`);
+      console.warn(`⚠️  Slow query (${Math.round(duration)}ms): ${text.substring(0, 50)}...`);
     }
     
     return result;
   } catch (error) {
+    recordQuery(performance.now() - start, true);
     if (retries > 0 && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
       console.log(`🔄 Retrying query, ${retries} attempts left`);
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -167,18 +174,37 @@ const executeQuery = async (text, params = [], retries = 2) => {
   }
 };
 
-// Batch insert for bulk operations (more efficient for multiple locations)
-const executeBatchInsert = async (table, columns, values) => {
-  if (values.length === 0) return { rowCount: 0 };
+// Batch insert for bulk operations (more efficient for multiple locations), optionally with an
+// ON CONFLICT clause. Never retried here: a batch whose connection reset may already be written,
+// only the caller can tell when retrying is safe
+const executeBatchInsert = async (table, columns, values, onConflict = '') => {
+  if (values.length === 0) return { rowCount: 0, rows: [] };
   
   const placeholders = values.map((_, i) => 
     `(${columns.map((_, j) => `$${i * columns.length + j + 1}`).join(', ')})`
   ).join(', ');
   
-  const query = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders} RETURNING *`;
+  const query = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders} ${onConflict} RETURNING *`;
   const flatValues = values.flat();
   
-  return executeQuery(query, flatValues);
+  return executeQuery(query, flatValues, 0);
+};
+
+// Run several statements atomically on one connection
+const withTransaction = async (callback) => {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 };
 
 // Graceful shutdown
@@ -214,6 +240,7 @@ module.exports = {
   getPool,
   executeQuery,
   executeBatchInsert,
+  withTransaction,
   closeDatabase,
   checkHealth
 };
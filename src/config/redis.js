@@ -0,0 +1,77 @@
+const { createClient } = require('redis');
+
+// Shared Redis connection (optional, only used when a Redis backend is configured)
+let client = null;
+const subscribers = [];
+
+const createRedisClient = () => {
+  return createClient({
+    url: process.env.REDIS_URL,
+    socket: {
+      connectTimeout: 10000,
+      // Back off up to 5 seconds between reconnect attempts
+      reconnectStrategy: (retries) => Math.min(retries * 200, 5000)
+    }
+  });
+};
+
+const connectRedis = async () => {
+  if (client) return client;
+
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL environment variable is required for the Redis backend');
+  }
+
+  client = createRedisClient();
+  client.on('error', (err) => {
+    console.error('❌ Redis connection error:', err.message);
+  });
+
+  try {
+    await client.connect();
+    console.log(`✅ Worker ${process.pid}: Redis connected`);
+    return client;
+  } catch (error) {
+    client.destroy();
+    client = null;
+    throw error;
+  }
+};
+
+const getRedisClient = () => {
+  if (!client) {
+    throw new Error('Redis not initialized. Call connectRedis() first.');
+  }
+  return client;
+};
+
+// Subscribers need a dedicated connection (a subscribed client can't run other commands)
+const createRedisSubscriber = async () => {
+  const subscriber = getRedisClient().duplicate();
+  subscriber.on('error', (err) => {
+    console.error('❌ Redis subscriber error:', err.message);
+  });
+
+  await subscriber.connect();
+  subscribers.push(subscriber);
+  return subscriber;
+};
+
+const closeRedis = async () => {
+  while (subscribers.length > 0) {
+    await subscribers.pop().close();
+  }
+
+  if (client) {
+    console.log('🔌 Closing Redis connection...');
+    await client.close();
+    client = null;
+  }
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  createRedisSubscriber,
+  closeRedis
+};
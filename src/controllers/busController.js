@@ -19,9 +19,13 @@ class BusController {
 
       const { busNumber, driverName } = req.body;
       
-      const result = await BusService.startTracking(busNumber, driverName);
+      const bus = await BusService.startTracking(busNumber, { driverName });
       
-      res.status(200).json(result);
+      res.status(200).json({
+        success: true,
+        message: `Bus ${busNumber} tracking started successfully`,
+        bus: bus
+      });
     } catch (error) {
       next(error);
     }
@@ -44,9 +48,12 @@ class BusController {
 
       const { busNumber } = req.body;
       
-      const result = await BusService.stopTracking(busNumber);
+      await BusService.stopTracking(busNumber);
       
-      res.status(200).json(result);
+      res.status(200).json({
+        success: true,
+        message: `Bus ${busNumber} tracking stopped successfully`
+      });
     } catch (error) {
       next(error);
     }
@@ -127,9 +134,13 @@ class BusController {
       const { busNumber } = req.params;
       const locationData = req.body;
       
-      const result = await BusService.updateLocation(busNumber, locationData);
+      const location = await BusService.updateLocation(busNumber, locationData);
       
-      res.status(200).json(result);
+      res.status(200).json({
+        success: true,
+        message: `Location updated for bus ${busNumber}`,
+        location: location
+      });
     } catch (error) {
       next(error);
     }
@@ -143,8 +154,7 @@ class BusController {
     try {
       const { busNumber } = req.params;
       
-      const Location = require('../models/Location');
-      const latestLocation = await Location.getLatestByBusNumber(busNumber);
+      const latestLocation = await BusService.getCurrentLocation(busNumber);
       
       if (!latestLocation) {
         return res.status(404).json({
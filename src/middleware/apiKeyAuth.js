@@ -0,0 +1,45 @@
+const ApiKeyService = require('../services/apiKeyService');
+
+/**
+ * Build a requireRole(role) middleware backed by the given API key store
+ * (the storage backend's apiKeyStore on both servers).
+ *
+ * Keys are sent as `X-API-Key`. Requests without a key act as the public viewer role.
+ * A valid driver tracking token (req.driverSession) counts as the driver role.
+ */
+const createRoleGuard = (ApiKeyModel) => {
+  return (requiredRole) => async (req, res, next) => {
+    try {
+      const rawKey = req.get('X-API-Key');
+      let role = req.driverSession ? 'driver' : 'viewer';
+
+      if (rawKey) {
+        const apiKey = await ApiKeyService.authenticate(rawKey, ApiKeyModel);
+        if (!apiKey) {
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid or revoked API key'
+          });
+        }
+
+        req.apiKey = { id: apiKey.id, name: apiKey.name, role: apiKey.role };
+        role = apiKey.role;
+      }
+
+      if (!ApiKeyService.hasRole(role, requiredRole)) {
+        return res.status(rawKey ? 403 : 401).json({
+          success: false,
+          message: `This endpoint requires the ${requiredRole} role`
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  createRoleGuard
+};
@@ -0,0 +1,31 @@
+const AuthService = require('../services/authService');
+
+/**
+ * Require a driver tracking token (Authorization: Bearer <token>) and attach it as req.driverSession
+ */
+const requireDriverToken = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Driver authentication required'
+    });
+  }
+
+  const session = AuthService.verifyDriverToken(token);
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token, please log in again'
+    });
+  }
+
+  req.driverSession = session;
+  next();
+};
+
+module.exports = {
+  requireDriverToken
+};
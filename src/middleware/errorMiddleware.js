@@ -5,7 +5,7 @@ const notFound = (req, res, next) => {
 };
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   
   console.error(`❌ Error ${statusCode}:`, err.message);
   if (process.env.NODE_ENV === 'development') {
@@ -15,6 +15,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message: err.message,
+    ...(err.statusCode && err.code && { code: err.code }),
     timestamp: new Date().toISOString(),
     path: req.originalUrl,
     method: req.method,
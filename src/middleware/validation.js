@@ -1,7 +1,9 @@
-const { body, param, query } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
-const validateBusNumber = () => {
-  return body('busNumber')
+const MAX_BATCH_LOCATIONS = 50;
+
+const validateBusNumber = (field = 'busNumber') => {
+  return body(field)
     .notEmpty()
     .withMessage('Bus number is required')
     .isLength({ min: 1, max: 20 })
@@ -19,29 +21,37 @@ const validateDriverName = () => {
     .withMessage('Driver name can only contain letters and spaces');
 };
 
-const validateLocation = () => {
+// `prefix` applies the same rules to each element of an array (e.g. 'locations.*.')
+const validateLocation = (prefix = '') => {
   return [
-    body('latitude')
+    body(`${prefix}latitude`)
       .notEmpty()
       .withMessage('Latitude is required')
       .isFloat({ min: -90, max: 90 })
       .withMessage('Latitude must be between -90 and 90'),
     
-    body('longitude')
+    body(`${prefix}longitude`)
       .notEmpty()
       .withMessage('Longitude is required')
       .isFloat({ min: -180, max: 180 })
       .withMessage('Longitude must be between -180 and 180'),
     
-    body('accuracy')
+    body(`${prefix}accuracy`)
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Accuracy must be a positive number'),
     
-    body('timestamp')
+    body(`${prefix}timestamp`)
       .optional()
       .isISO8601()
-      .withMessage('Timestamp must be a valid ISO 8601 date')
+      .withMessage('Timestamp must be a valid ISO 8601 date'),
+    
+    body(`${prefix}fixId`)
+      .optional()
+      .isString()
+      .withMessage('Fix ID must be a string')
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Fix ID must be between 1 and 64 characters')
   ];
 };
 
@@ -60,6 +70,84 @@ const validateHours = () => {
     .withMessage('Hours must be between 1 and 168 (1 week)');
 };
 
+const validateMaxPoints = () => {
+  return query('maxPoints')
+    .optional()
+    .isInt({ min: 2, max: 5000 })
+    .withMessage('maxPoints must be between 2 and 5000');
+};
+
+const validateTolerance = () => {
+  return query('tolerance')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Tolerance must be between 0 and 1000 meters');
+};
+
+const validatePoint = () => {
+  return [
+    query('lat')
+      .notEmpty()
+      .withMessage('lat is required')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('lat must be between -90 and 90'),
+
+    query('lng')
+      .notEmpty()
+      .withMessage('lng is required')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('lng must be between -180 and 180'),
+
+    query('radius')
+      .optional()
+      .isFloat({ min: 1, max: 50000 })
+      .withMessage('Radius must be between 1 and 50000 meters')
+  ];
+};
+
+// minLng,minLat,maxLng,maxLat (the GeoJSON bbox order)
+const validateBbox = () => {
+  return query('bbox')
+    .notEmpty()
+    .withMessage('bbox is required')
+    .custom((value) => {
+      const parts = String(value).split(',');
+      const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+
+      if (parts.length !== 4 || parts.some(part => part.trim() === '' || !Number.isFinite(Number(part)))) {
+        throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+      }
+      if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+        throw new Error('bbox is outside valid coordinates');
+      }
+      if (minLat > maxLat || minLng > maxLng) {
+        throw new Error('bbox minimums must not exceed its maximums');
+      }
+      return true;
+    });
+};
+
+const validateExportFormat = () => {
+  return query('format')
+    .optional()
+    .isIn(['json', 'gpx', 'kml', 'geojson', 'csv'])
+    .withMessage('Format must be one of: json, gpx, kml, geojson, csv');
+};
+
+const validateDate = () => {
+  return query('date')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Date must be in YYYY-MM-DD format');
+};
+
+const validateLimit = () => {
+  return query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100');
+};
+
 const validateDays = () => {
   return query('days')
     .optional()
@@ -67,10 +155,323 @@ const validateDays = () => {
     .withMessage('Days must be between 1 and 30');
 };
 
+const validateIdParam = () => {
+  return param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer')
+    .toInt();
+};
+
+const validateApiKeyFields = () => {
+  return [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Key name is required')
+      .isLength({ max: 100 })
+      .withMessage('Key name must be at most 100 characters'),
+
+    body('role')
+      .isIn(['viewer', 'driver', 'operator', 'admin'])
+      .withMessage('Role must be one of: viewer, driver, operator, admin')
+  ];
+};
+
+const validateRouteId = () => {
+  return body('routeId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Route ID must be a positive integer')
+    .toInt();
+};
+
+const validateRouteFields = (isUpdate = false) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('code'))
+      .notEmpty()
+      .withMessage('Route code is required')
+      .isLength({ max: 20 })
+      .withMessage('Route code must be at most 20 characters')
+      .matches(/^[A-Z0-9\-]+$/i)
+      .withMessage('Route code can only contain letters, numbers, and hyphens'),
+
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Route name is required')
+      .isLength({ max: 100 })
+      .withMessage('Route name must be at most 100 characters'),
+
+    body('description')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+
+    body('path')
+      .optional()
+      .isArray({ min: 2 })
+      .withMessage('Path must be an array of at least 2 [latitude, longitude] points'),
+
+    body('path.*')
+      .isArray({ min: 2, max: 2 })
+      .withMessage('Each path point must be [latitude, longitude]'),
+
+    body('path.*.0')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Path point latitude must be between -90 and 90')
+      .toFloat(),
+
+    body('path.*.1')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Path point longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+
+    ...validateStopIds(true)
+  ];
+};
+
+const validateStopIds = (optional = false) => {
+  const stopIds = body('stopIds')
+    .isArray()
+    .withMessage('stopIds must be an array of stop ids');
+
+  return [
+    optional ? stopIds.optional() : stopIds,
+    body('stopIds.*')
+      .isInt({ min: 1 })
+      .withMessage('Each stop id must be a positive integer')
+      .toInt()
+  ];
+};
+
+const validateStopFields = (isUpdate = false) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Stop name is required')
+      .isLength({ max: 100 })
+      .withMessage('Stop name must be at most 100 characters'),
+
+    required(body('latitude'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+
+    required(body('longitude'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('radiusMeters')
+      .optional()
+      .isInt({ min: 10, max: 1000 })
+      .withMessage('Radius must be between 10 and 1000 meters')
+      .toInt()
+  ];
+};
+
+// Shape-specific requirements (centre and radius, or vertices) are checked by GeofenceService
+// once an update is merged with the stored geofence
+const validateGeofenceFields = (isUpdate = false) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Geofence name is required')
+      .isLength({ max: 100 })
+      .withMessage('Geofence name must be at most 100 characters'),
+
+    required(body('shape'))
+      .isIn(['circle', 'polygon'])
+      .withMessage('Shape must be circle or polygon'),
+
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('radiusMeters')
+      .optional()
+      .isInt({ min: 10, max: 50000 })
+      .withMessage('Radius must be between 10 and 50000 meters')
+      .toInt(),
+
+    body('polygon')
+      .optional()
+      .isArray({ min: 3, max: 500 })
+      .withMessage('Polygon must be an array of 3 to 500 [latitude, longitude] vertices'),
+
+    body('polygon.*')
+      .custom((vertex) => Array.isArray(vertex) && vertex.length === 2 &&
+        Number.isFinite(vertex[0]) && Math.abs(vertex[0]) <= 90 &&
+        Number.isFinite(vertex[1]) && Math.abs(vertex[1]) <= 180)
+      .withMessage('Each polygon vertex must be [latitude, longitude]')
+  ];
+};
+
+// Event type names are checked by WebhookService against the events it can deliver
+const validateWebhookFields = (isUpdate = false) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('url'))
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http(s) URL'),
+
+    body('description')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+
+    required(body('eventTypes'))
+      .isArray({ min: 1 })
+      .withMessage('eventTypes must be a non-empty array of event types'),
+
+    body('eventTypes.*')
+      .isString()
+      .withMessage('Each event type must be a string'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ];
+};
+
+const validateDeliveryLog = () => {
+  return [
+    query('status')
+      .optional()
+      .isIn(['pending', 'delivered', 'dead'])
+      .withMessage('Status must be one of: pending, delivered, dead'),
+    validateLimit()
+  ];
+};
+
+const validateCredentials = () => {
+  return [
+    body('username')
+      .notEmpty()
+      .withMessage('Username is required')
+      .isLength({ max: 50 })
+      .withMessage('Username must be at most 50 characters'),
+
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+      .isLength({ max: 128 })
+      .withMessage('Password must be at most 128 characters')
+  ];
+};
+
+// Respond with the standard 400 envelope when any preceding validator failed
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Reject a missing, empty or oversized array before its per-element rules run over it
+ */
+const checkArraySize = (field, max) => (req, res, next) => {
+  const items = req.body && req.body[field];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${field[0].toUpperCase()}${field.slice(1)} array is required and must not be empty`
+    });
+  }
+
+  if (items.length > max) {
+    return res.status(400).json({
+      success: false,
+      message: `Maximum ${max} ${field} per batch request`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validation errors for the elements of an array field, as index -> messages
+ */
+const getItemErrors = (req, field) => {
+  const pattern = new RegExp(`^${field}\\[(\\d+)\\]`);
+  const byIndex = new Map();
+  
+  validationResult(req).array().forEach(error => {
+    const match = error.path && error.path.match(pattern);
+    if (!match) return;
+    
+    const index = parseInt(match[1]);
+    byIndex.set(index, [...(byIndex.get(index) || []), error.msg]);
+  });
+  
+  return byIndex;
+};
+
 module.exports = {
-  validateStartTracking: [validateBusNumber(), validateDriverName()],
+  handleValidationErrors,
+  getItemErrors,
+  validateStartTracking: [validateBusNumber(), validateDriverName(), validateRouteId()],
   validateStopTracking: [validateBusNumber()],
   validateUpdateLocation: [validateBusNumberParam(), ...validateLocation()],
-  validateGetHistory: [validateBusNumberParam(), validateHours()],
-  validateCleanup: [validateDays()]
+  validateBatchLocations: [
+    checkArraySize('locations', MAX_BATCH_LOCATIONS),
+    validateBusNumber('locations.*.busNumber'),
+    ...validateLocation('locations.*.')
+  ],
+  validateGetHistory: [validateBusNumberParam(), validateHours(), validateMaxPoints(), validateTolerance(), validateExportFormat()],
+  validateBusNumberParam: [validateBusNumberParam()],
+  validateGetStopEvents: [validateBusNumberParam(), validateDate()],
+  validateGetTrips: [validateBusNumberParam(), validateDate(), validateLimit(), validateExportFormat()],
+  validateGetTrip: [validateIdParam(), validateExportFormat()],
+  validateNearby: validatePoint(),
+  validateWithin: [validateBbox()],
+  validateCleanup: [validateDays()],
+  validateDriverLogin: [...validateCredentials(), validateBusNumber().optional()],
+  validateCreateApiKey: validateApiKeyFields(),
+  validateIdParam: [validateIdParam()],
+  validateCreateRoute: validateRouteFields(),
+  validateUpdateRoute: [validateIdParam(), ...validateRouteFields(true)],
+  validateRouteStops: [validateIdParam(), ...validateStopIds()],
+  validateCreateStop: validateStopFields(),
+  validateUpdateStop: [validateIdParam(), ...validateStopFields(true)],
+  validateCreateGeofence: validateGeofenceFields(),
+  validateUpdateGeofence: [validateIdParam(), ...validateGeofenceFields(true)],
+  validateGetGeofenceEvents: [validateIdParam(), validateDate()],
+  validateCreateWebhook: validateWebhookFields(),
+  validateUpdateWebhook: [validateIdParam(), ...validateWebhookFields(true)],
+  validateGetDeliveries: [validateIdParam(), ...validateDeliveryLog()],
+  validateGetDeadLetters: [
+    query('webhookId').optional().isInt({ min: 1 }).withMessage('webhookId must be a positive integer'),
+    validateLimit()
+  ]
 };
@@ -0,0 +1,103 @@
+const { getSupabaseAdmin } = require('../config/database');
+
+class ApiKey {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.keyPrefix = data.key_prefix;
+    this.role = data.role;
+    this.createdAt = data.created_at;
+    this.lastUsedAt = data.last_used_at;
+    this.revokedAt = data.revoked_at;
+  }
+
+  static async findActiveByHash(keyHash) {
+    const supabase = getSupabaseAdmin();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .is('revoked_at', null)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows found
+        return null;
+      }
+      throw error;
+    }
+
+    return new ApiKey(data);
+  }
+
+  static async create(keyData) {
+    const supabase = getSupabaseAdmin();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([{
+        name: keyData.name,
+        key_prefix: keyData.keyPrefix,
+        key_hash: keyData.keyHash,
+        role: keyData.role,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return new ApiKey(data);
+  }
+
+  static async getAll() {
+    const supabase = getSupabaseAdmin();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(key => new ApiKey(key));
+  }
+
+  // Null when the key doesn't exist or was already revoked
+  static async revoke(id) {
+    const supabase = getSupabaseAdmin();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length > 0 ? new ApiKey(data[0]) : null;
+  }
+
+  static async touchLastUsed(id) {
+    const supabase = getSupabaseAdmin();
+
+    const { error } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKey;
@@ -1,4 +1,5 @@
 const { getSupabase } = require('../config/database');
+const Location = require('./Location');
 
 class Bus {
   constructor(data) {
@@ -6,13 +7,15 @@ class Bus {
     this.busNumber = data.bus_number;
     this.driverName = data.driver_name;
     this.isActive = data.is_active;
+    this.routeId = data.route_id || null;
+    this.currentTripId = data.current_trip_id || null; // Open trip while tracking
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
   static async findByBusNumber(busNumber) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('buses')
       .select('*')
@@ -31,13 +34,14 @@ class Bus {
 
   static async create(busData) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('buses')
       .insert([{
         bus_number: busData.busNumber,
         driver_name: busData.driverName || 'Unknown',
         is_active: true,
+        route_id: busData.routeId || null,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }])
@@ -51,29 +55,42 @@ class Bus {
     return new Bus(data);
   }
 
-  static async updateActiveStatus(busNumber, isActive) {
+  // Updates return null when the bus doesn't exist
+  static async update(busNumber, changes) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('buses')
-      .update({ 
-        is_active: isActive,
+      .update({
+        ...changes,
         updated_at: new Date().toISOString()
       })
       .eq('bus_number', busNumber)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       throw error;
     }
 
-    return new Bus(data);
+    return data ? new Bus(data) : null;
+  }
+
+  static async updateActiveStatus(busNumber, isActive) {
+    return this.update(busNumber, { is_active: isActive });
+  }
+
+  static async assignRoute(busNumber, routeId) {
+    return this.update(busNumber, { route_id: routeId });
+  }
+
+  static async setCurrentTrip(busNumber, tripId) {
+    return this.update(busNumber, { current_trip_id: tripId });
   }
 
   static async getAll() {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('buses')
       .select('*')
@@ -88,7 +105,7 @@ class Bus {
 
   static async getActiveBuses() {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('buses')
       .select('*')
@@ -101,6 +118,52 @@ class Bus {
 
     return data.map(bus => new Bus(bus));
   }
+
+  static async getActiveBusesOnRoutes(routeIds) {
+    if (routeIds.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('buses')
+      .select('*')
+      .eq('is_active', true)
+      .in('route_id', routeIds)
+      .order('bus_number', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(bus => new Bus(bus));
+  }
+
+  // Active buses with their latest fix, most recently heard first; buses whose latest fix is
+  // older than minutesAgo are left out (every active bus when minutesAgo is null)
+  static async getActiveBusesWithRecentActivity(minutesAgo = 30) {
+    const activeBuses = await this.getActiveBuses();
+    const cutoff = minutesAgo != null ? Date.now() - minutesAgo * 60 * 1000 : null;
+
+    const busesWithLocations = [];
+    for (const bus of activeBuses) {
+      const latest = await Location.getLatestByBusNumber(bus.busNumber);
+      if (latest && cutoff !== null && new Date(latest.timestamp).getTime() < cutoff) continue;
+
+      busesWithLocations.push({
+        bus,
+        latestLocation: latest ? {
+          latitude: latest.latitude,
+          longitude: latest.longitude,
+          accuracy: latest.accuracy,
+          timestamp: latest.timestamp
+        } : null
+      });
+    }
+
+    // Same order as the SQL version: newest fix first, buses without fixes last
+    const fixTime = item => item.latestLocation ? new Date(item.latestLocation.timestamp).getTime() : -Infinity;
+    return busesWithLocations.sort((a, b) => fixTime(b) - fixTime(a));
+  }
 }
 
 module.exports = Bus;
@@ -1,122 +1,254 @@
 const { getSupabase } = require('../config/database');
 const { randomUUID } = require('crypto');
 
+// PostgREST returns at most this many rows per request, so longer reads are paged
+const PAGE_SIZE = 1000;
+
+// Unique violation: the bus already has a fix with this fixId (idx_locations_bus_fix)
+const UNIQUE_VIOLATION = '23505';
+
+const toRow = (locationData) => ({
+  id: locationData.id || randomUUID(),
+  bus_number: locationData.busNumber,
+  latitude: locationData.latitude,
+  longitude: locationData.longitude,
+  accuracy: locationData.accuracy || 0,
+  timestamp: locationData.timestamp || new Date().toISOString(),
+  trip_id: locationData.tripId || null,
+  fix_id: locationData.fixId || null,
+  created_at: new Date().toISOString()
+});
+
+// Filter values with reserved characters (timestamps) must be quoted inside or()
+const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
 class Location {
   constructor(data) {
     this.id = data.id;
     this.busNumber = data.bus_number;
-    this.latitude = data.latitude;
-    this.longitude = data.longitude;
-    this.accuracy = data.accuracy;
+    this.latitude = parseFloat(data.latitude);
+    this.longitude = parseFloat(data.longitude);
+    this.accuracy = parseFloat(data.accuracy || 0);
     this.timestamp = data.timestamp;
+    this.tripId = data.trip_id || null;
+    this.fixId = data.fix_id || null; // Client-generated id, unique per bus
     this.createdAt = data.created_at;
   }
 
+  // Returns null when the bus already has a fix with this fixId
   static async create(locationData) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('locations')
-      .insert([{
-        id: randomUUID(),
-        bus_number: locationData.busNumber,
-        latitude: locationData.latitude,
-        longitude: locationData.longitude,
-        accuracy: locationData.accuracy,
-        timestamp: locationData.timestamp || new Date().toISOString(),
-        created_at: new Date().toISOString()
-      }])
+      .insert([toRow(locationData)])
       .select()
       .single();
 
     if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return null;
+      }
       throw error;
     }
 
     return new Location(data);
   }
 
-  static async getByBusNumber(busNumber, limit = 50) {
+  // Fixes whose fixId the bus already has are skipped and left out of the result. PostgREST
+  // can't target the partial unique index with ON CONFLICT, so known fix ids are filtered
+  // first and a racing duplicate makes the batch fall back to one insert per row.
+  static async batchCreate(locationsData) {
+    if (locationsData.length === 0) return [];
+
     const supabase = getSupabase();
-    
+    const rows = await this.withoutStoredFixIds(locationsData.map(toRow));
+    if (rows.length === 0) return [];
+
     const { data, error } = await supabase
       .from('locations')
-      .select('*')
-      .eq('bus_number', busNumber)
-      .order('timestamp', { ascending: false })
-      .limit(limit);
+      .insert(rows)
+      .select();
 
     if (error) {
-      throw error;
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw error;
+      }
+
+      const saved = [];
+      for (const row of rows) {
+        const location = await this.create({
+          id: row.id,
+          busNumber: row.bus_number,
+          latitude: row.latitude,
+          longitude: row.longitude,
+          accuracy: row.accuracy,
+          timestamp: row.timestamp,
+          tripId: row.trip_id,
+          fixId: row.fix_id
+        });
+        if (location) saved.push(location);
+      }
+      return saved;
     }
 
     return data.map(location => new Location(location));
   }
 
-  static async getLatestByBusNumber(busNumber) {
+  // Drop rows whose (bus_number, fix_id) is already stored, and repeats within the batch
+  static async withoutStoredFixIds(rows) {
+    const supabase = getSupabase();
+    const stored = new Set();
+
+    for (const busNumber of new Set(rows.filter(row => row.fix_id).map(row => row.bus_number))) {
+      const fixIds = rows.filter(row => row.bus_number === busNumber && row.fix_id).map(row => row.fix_id);
+
+      const { data, error } = await supabase
+        .from('locations')
+        .select('fix_id')
+        .eq('bus_number', busNumber)
+        .in('fix_id', fixIds);
+
+      if (error) {
+        throw error;
+      }
+
+      data.forEach(row => stored.add(`${busNumber}:${row.fix_id}`));
+    }
+
+    return rows.filter(row => {
+      if (!row.fix_id) return true;
+
+      const key = `${row.bus_number}:${row.fix_id}`;
+      if (stored.has(key)) return false;
+      stored.add(key);
+      return true;
+    });
+  }
+
+  // Newest first
+  static async getByBusNumber(busNumber, limit = 50, offset = 0) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('locations')
       .select('*')
       .eq('bus_number', busNumber)
       .order('timestamp', { ascending: false })
-      .limit(1)
-      .single();
+      .range(offset, offset + limit - 1);
 
     if (error) {
-      if (error.code === 'PGRST116') { // No rows found
-        return null;
-      }
       throw error;
     }
 
-    return new Location(data);
+    return data.map(location => new Location(location));
   }
 
-  static async getLocationsByTimeRange(busNumber, startTime, endTime) {
+  static async getLatestByBusNumber(busNumber) {
     const supabase = getSupabase();
-    
+
     const { data, error } = await supabase
       .from('locations')
       .select('*')
       .eq('bus_number', busNumber)
-      .gte('timestamp', startTime)
-      .lte('timestamp', endTime)
-      .order('timestamp', { ascending: true });
+      .order('timestamp', { ascending: false })
+      .limit(1)
+      .maybeSingle();
 
     if (error) {
       throw error;
     }
 
-    return data.map(location => new Location(location));
+    return data ? new Location(data) : null;
   }
 
-  static async deleteOldLocations(daysOld = 7) {
+  // Every fix in the last N hours, oldest first, capped at the newest maxRows
+  static async getByBusNumberSince(busNumber, hours, maxRows = 20000) {
     const supabase = getSupabase();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-    
-    const { data, error } = await supabase
-      .from('locations')
-      .delete()
-      .lt('created_at', cutoffDate.toISOString());
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const locations = [];
 
-    if (error) {
-      throw error;
+    while (locations.length < maxRows) {
+      const from = locations.length;
+      const to = Math.min(from + PAGE_SIZE, maxRows) - 1;
+
+      const { data, error } = await supabase
+        .from('locations')
+        .select('*')
+        .eq('bus_number', busNumber)
+        .gte('timestamp', since)
+        .order('timestamp', { ascending: false })
+        .range(from, to);
+
+      if (error) {
+        throw error;
+      }
+
+      locations.push(...data.map(location => new Location(location)));
+      if (data.length < to - from + 1) break;
+    }
+
+    return locations.reverse();
+  }
+
+  // Fixes matching a filter, oldest first, read in keyset-paginated pages so exports of long
+  // ranges never hold more than one page in memory
+  static async *streamWhere(applyFilter) {
+    const supabase = getSupabase();
+    let cursor = null;
+
+    while (true) {
+      let query = applyFilter(supabase.from('locations').select('*'));
+      if (cursor) {
+        query = query.or(`timestamp.gt.${quote(cursor.timestamp)},and(timestamp.eq.${quote(cursor.timestamp)},id.gt.${cursor.id})`);
+      }
+
+      const { data, error } = await query
+        .order('timestamp', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const row of data) {
+        yield new Location(row);
+      }
+
+      if (data.length < PAGE_SIZE) return;
+      const last = data[data.length - 1];
+      cursor = { timestamp: last.timestamp, id: last.id };
     }
+  }
+
+  static streamByBusNumberSince(busNumber, hours) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    return this.streamWhere(query => query.eq('bus_number', busNumber).gte('timestamp', since));
+  }
 
-    return data;
+  static streamByTripId(tripId) {
+    return this.streamWhere(query => query.eq('trip_id', tripId));
+  }
+
+  // Every fix recorded during one trip, oldest first
+  static async getByTripId(tripId) {
+    const locations = [];
+    for await (const location of this.streamByTripId(tripId)) {
+      locations.push(location);
+    }
+    return locations;
   }
 
+  // Latest fix of every bus that reported in the last N minutes
   static async getBusesWithRecentLocations(minutesAgo = 30) {
     const supabase = getSupabase();
     const cutoffTime = new Date();
     cutoffTime.setMinutes(cutoffTime.getMinutes() - minutesAgo);
-    
+
     const { data, error } = await supabase
       .from('locations')
-      .select('bus_number, latitude, longitude, accuracy, timestamp')
+      .select('*')
       .gte('timestamp', cutoffTime.toISOString())
       .order('timestamp', { ascending: false });
 
@@ -127,7 +259,7 @@ class Location {
     // Group by bus number and get the latest location for each
     const latestLocations = {};
     data.forEach(location => {
-      if (!latestLocations[location.bus_number] || 
+      if (!latestLocations[location.bus_number] ||
           new Date(location.timestamp) > new Date(latestLocations[location.bus_number].timestamp)) {
         latestLocations[location.bus_number] = new Location(location);
       }
@@ -135,6 +267,93 @@ class Location {
 
     return Object.values(latestLocations);
   }
+
+  static async deleteOldLocations(daysOld = 7) {
+    const supabase = getSupabase();
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+    const { count, error } = await supabase
+      .from('locations')
+      .delete({ count: 'exact' })
+      .lt('created_at', cutoffDate.toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  // Keep one location in every keepSampleEvery per bus once older than daysOld, delete the rest
+  static async smartCleanup(daysOld = 7, keepSampleEvery = 10) {
+    const supabase = getSupabase();
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+    const doomed = [];
+    let busNumber = null;
+    let rowNumber = 0;
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('locations')
+        .select('id, bus_number')
+        .lt('created_at', cutoffDate.toISOString())
+        .order('bus_number', { ascending: true })
+        .order('timestamp', { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      data.forEach(row => {
+        rowNumber = row.bus_number === busNumber ? rowNumber + 1 : 1;
+        busNumber = row.bus_number;
+        if (rowNumber % keepSampleEvery !== 0) doomed.push(row.id);
+      });
+
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    for (let i = 0; i < doomed.length; i += PAGE_SIZE) {
+      const { error } = await supabase
+        .from('locations')
+        .delete()
+        .in('id', doomed.slice(i, i + PAGE_SIZE));
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return doomed.length;
+  }
+
+  static async getLocationStats() {
+    const supabase = getSupabase();
+
+    const [total, buses, oldest, newest] = await Promise.all([
+      supabase.from('locations').select('*', { count: 'exact', head: true }),
+      // Buses with at least one stored fix
+      supabase.from('buses').select('bus_number, locations!inner(id)', { count: 'exact', head: true }),
+      supabase.from('locations').select('created_at').order('created_at', { ascending: true }).limit(1).maybeSingle(),
+      supabase.from('locations').select('created_at').order('created_at', { ascending: false }).limit(1).maybeSingle()
+    ]);
+
+    const error = total.error || buses.error || oldest.error || newest.error;
+    if (error) {
+      throw error;
+    }
+
+    return {
+      totalLocations: total.count || 0,
+      uniqueBuses: buses.count || 0,
+      oldestRecord: oldest.data ? oldest.data.created_at : null,
+      newestRecord: newest.data ? newest.data.created_at : null
+    };
+  }
 }
 
 module.exports = Location;
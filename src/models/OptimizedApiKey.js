@@ -0,0 +1,57 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedApiKey {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.keyPrefix = data.key_prefix;
+    this.role = data.role;
+    this.createdAt = data.created_at;
+    this.lastUsedAt = data.last_used_at;
+    this.revokedAt = data.revoked_at;
+  }
+
+  static async findActiveByHash(keyHash) {
+    const query = 'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL';
+    const result = await executeQuery(query, [keyHash]);
+
+    return result.rows.length > 0 ? new OptimizedApiKey(result.rows[0]) : null;
+  }
+
+  static async create(keyData) {
+    const query = `
+      INSERT INTO api_keys (name, key_prefix, key_hash, role, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING *
+    `;
+
+    const values = [keyData.name, keyData.keyPrefix, keyData.keyHash, keyData.role];
+    const result = await executeQuery(query, values);
+    return new OptimizedApiKey(result.rows[0]);
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM api_keys ORDER BY created_at DESC';
+    const result = await executeQuery(query);
+    return result.rows.map(key => new OptimizedApiKey(key));
+  }
+
+  static async revoke(id) {
+    const query = `
+      UPDATE api_keys
+      SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await executeQuery(query, [id]);
+    return result.rows.length > 0 ? new OptimizedApiKey(result.rows[0]) : null;
+  }
+
+  static async touchLastUsed(id) {
+    const query = 'UPDATE api_keys SET last_used_at = NOW() WHERE id = $1';
+    await executeQuery(query, [id]);
+  }
+}
+
+module.exports = OptimizedApiKey;
@@ -6,6 +6,8 @@ class OptimizedBus {
     this.busNumber = data.bus_number;
     this.driverName = data.driver_name;
     this.isActive = data.is_active;
+    this.routeId = data.route_id || null;
+    this.currentTripId = data.current_trip_id || null; // Open trip while tracking
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -19,21 +21,23 @@ class OptimizedBus {
 
   static async create(busData) {
     const query = `
-      INSERT INTO buses (bus_number, driver_name, is_active, created_at, updated_at)
-      VALUES ($1, $2, $3, NOW(), NOW())
+      INSERT INTO buses (bus_number, driver_name, is_active, route_id, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
       RETURNING *
     `;
     
     const values = [
       busData.busNumber,
       busData.driverName || 'Unknown',
-      true
+      true,
+      busData.routeId || null
     ];
     
     const result = await executeQuery(query, values);
     return new OptimizedBus(result.rows[0]);
   }
 
+  // Updates return null when the bus doesn't exist
   static async updateActiveStatus(busNumber, isActive) {
     const query = `
       UPDATE buses 
@@ -43,12 +47,37 @@ class OptimizedBus {
     `;
     
     const result = await executeQuery(query, [isActive, busNumber]);
+    return result.rows.length > 0 ? new OptimizedBus(result.rows[0]) : null;
+  }
+
+  static async assignRoute(busNumber, routeId) {
+    const query = `
+      UPDATE buses 
+      SET route_id = $1, updated_at = NOW()
+      WHERE bus_number = $2
+      RETURNING *
+    `;
     
-    if (result.rows.length === 0) {
-      throw new Error(`Bus ${busNumber} not found`);
-    }
+    const result = await executeQuery(query, [routeId, busNumber]);
+    return result.rows.length > 0 ? new OptimizedBus(result.rows[0]) : null;
+  }
+
+  static async setCurrentTrip(busNumber, tripId) {
+    const query = `
+      UPDATE buses 
+      SET current_trip_id = $1, updated_at = NOW()
+      WHERE bus_number = $2
+      RETURNING *
+    `;
     
-    return new OptimizedBus(result.rows[0]);
+    const result = await executeQuery(query, [tripId, busNumber]);
+    return result.rows.length > 0 ? new OptimizedBus(result.rows[0]) : null;
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM buses ORDER BY created_at DESC';
+    const result = await executeQuery(query);
+    return result.rows.map(bus => new OptimizedBus(bus));
   }
 
   static async getActiveBuses() {
@@ -62,6 +91,19 @@ class OptimizedBus {
     return result.rows.map(bus => new OptimizedBus(bus));
   }
 
+  static async getActiveBusesOnRoutes(routeIds) {
+    if (routeIds.length === 0) return [];
+
+    const query = `
+      SELECT * FROM buses
+      WHERE is_active = true AND route_id = ANY($1::int[])
+      ORDER BY bus_number
+    `;
+
+    const result = await executeQuery(query, [routeIds]);
+    return result.rows.map(bus => new OptimizedBus(bus));
+  }
+
   // Batch operations for efficiency
   static async batchUpdateActiveStatus(busNumbers, isActive) {
     if (busNumbers.length === 0) return [];
@@ -78,7 +120,7 @@ class OptimizedBus {
     return result.rows.map(bus => new OptimizedBus(bus));
   }
 
-  // Get buses with recent activity (optimized for dashboard)
+  // Get buses with recent activity (optimized for dashboard); every active bus when minutesAgo is null
   static async getActiveBusesWithRecentActivity(minutesAgo = 30) {
     const query = `
       SELECT 
@@ -96,7 +138,7 @@ class OptimizedBus {
         LIMIT 1
       ) l ON true
       WHERE b.is_active = true
-        AND (l.timestamp IS NULL OR l.timestamp >= NOW() - INTERVAL '${minutesAgo} minutes')
+        ${minutesAgo != null ? `AND (l.timestamp IS NULL OR l.timestamp >= NOW() - INTERVAL '${minutesAgo} minutes')` : ''}
       ORDER BY l.timestamp DESC NULLS LAST
     `;
     
@@ -0,0 +1,64 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedDriver {
+  constructor(data) {
+    this.id = data.id;
+    this.username = data.username;
+    this.name = data.name;
+    this.busNumber = data.bus_number; // Assigned bus, null if the driver may drive any bus
+    this.isActive = data.is_active;
+    this.lastLoginAt = data.last_login_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findByUsername(username) {
+    const query = 'SELECT * FROM drivers WHERE username = $1';
+    const result = await executeQuery(query, [username]);
+
+    return result.rows.length > 0 ? new OptimizedDriver(result.rows[0]) : null;
+  }
+
+  // Includes the password hash, only for credential checks
+  static async findCredentialsByUsername(username) {
+    const query = 'SELECT * FROM drivers WHERE username = $1';
+    const result = await executeQuery(query, [username]);
+
+    if (result.rows.length === 0) return null;
+    return {
+      driver: new OptimizedDriver(result.rows[0]),
+      passwordHash: result.rows[0].password_hash
+    };
+  }
+
+  static async create(driverData) {
+    const query = `
+      INSERT INTO drivers (username, password_hash, name, bus_number, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, true, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      driverData.username,
+      driverData.passwordHash,
+      driverData.name,
+      driverData.busNumber || null
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedDriver(result.rows[0]);
+  }
+
+  static async updateLastLogin(id) {
+    const query = 'UPDATE drivers SET last_login_at = NOW() WHERE id = $1';
+    await executeQuery(query, [id]);
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM drivers ORDER BY username';
+    const result = await executeQuery(query);
+    return result.rows.map(driver => new OptimizedDriver(driver));
+  }
+}
+
+module.exports = OptimizedDriver;
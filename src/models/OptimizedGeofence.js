@@ -0,0 +1,91 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedGeofence {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.shape = data.shape; // 'circle' or 'polygon'
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+
+    if (this.shape === 'circle') {
+      this.latitude = parseFloat(data.latitude);
+      this.longitude = parseFloat(data.longitude);
+      this.radiusMeters = parseInt(data.radius_meters);
+    } else {
+      this.polygon = data.polygon; // [[lat, lng], ...]
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM geofences WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedGeofence(result.rows[0]) : null;
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM geofences ORDER BY name';
+    const result = await executeQuery(query);
+    return result.rows.map(geofence => new OptimizedGeofence(geofence));
+  }
+
+  static async create(geofenceData) {
+    const query = `
+      INSERT INTO geofences (name, shape, latitude, longitude, radius_meters, polygon, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const isCircle = geofenceData.shape === 'circle';
+    const values = [
+      geofenceData.name,
+      geofenceData.shape,
+      isCircle ? geofenceData.latitude : null,
+      isCircle ? geofenceData.longitude : null,
+      isCircle ? geofenceData.radiusMeters : null,
+      isCircle ? null : JSON.stringify(geofenceData.polygon)
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedGeofence(result.rows[0]);
+  }
+
+  // Replaces the whole shape, so a circle can become a polygon and vice versa
+  static async update(id, geofenceData) {
+    const query = `
+      UPDATE geofences
+      SET name = $2,
+          shape = $3,
+          latitude = $4,
+          longitude = $5,
+          radius_meters = $6,
+          polygon = $7,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const isCircle = geofenceData.shape === 'circle';
+    const values = [
+      id,
+      geofenceData.name,
+      geofenceData.shape,
+      isCircle ? geofenceData.latitude : null,
+      isCircle ? geofenceData.longitude : null,
+      isCircle ? geofenceData.radiusMeters : null,
+      isCircle ? null : JSON.stringify(geofenceData.polygon)
+    ];
+
+    const result = await executeQuery(query, values);
+    return result.rows.length > 0 ? new OptimizedGeofence(result.rows[0]) : null;
+  }
+
+  static async delete(id) {
+    const query = 'DELETE FROM geofences WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = OptimizedGeofence;
@@ -0,0 +1,91 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedGeofenceEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.geofenceId = data.geofence_id;
+    this.busNumber = data.bus_number;
+    this.tripId = data.trip_id || null;
+    this.eventType = data.event_type; // 'enter' or 'exit'
+    this.occurredAt = data.occurred_at;
+    this.latitude = data.latitude !== null ? parseFloat(data.latitude) : null;
+    this.longitude = data.longitude !== null ? parseFloat(data.longitude) : null;
+    this.createdAt = data.created_at;
+
+    // Present when joined with geofences
+    if (data.geofence_name !== undefined) {
+      this.geofenceName = data.geofence_name;
+    }
+  }
+
+  static async create(eventData) {
+    const query = `
+      INSERT INTO geofence_events (geofence_id, bus_number, trip_id, event_type, occurred_at, latitude, longitude, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      eventData.geofenceId,
+      eventData.busNumber,
+      eventData.tripId || null,
+      eventData.eventType,
+      eventData.occurredAt,
+      eventData.latitude ?? null,
+      eventData.longitude ?? null
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedGeofenceEvent(result.rows[0]);
+  }
+
+  // Geofences a bus last entered without leaving, with when it entered
+  static async getOpenEntriesForBus(busNumber) {
+    const query = `
+      SELECT * FROM (
+        SELECT DISTINCT ON (geofence_id) *
+        FROM geofence_events
+        WHERE bus_number = $1
+        ORDER BY geofence_id, occurred_at DESC, id DESC
+      ) latest
+      WHERE event_type = 'enter'
+    `;
+
+    const result = await executeQuery(query, [busNumber]);
+    return result.rows.map(event => new OptimizedGeofenceEvent(event));
+  }
+
+  // One bus's geofence log for a calendar day in the given timezone
+  static async getByBusAndDate(busNumber, date, timezone) {
+    const query = `
+      SELECT e.*, g.name AS geofence_name
+      FROM geofence_events e
+      JOIN geofences g ON g.id = e.geofence_id
+      WHERE e.bus_number = $1
+        AND e.occurred_at >= ($2::date)::timestamp AT TIME ZONE $3
+        AND e.occurred_at < ($2::date + 1)::timestamp AT TIME ZONE $3
+      ORDER BY e.occurred_at, e.id
+    `;
+
+    const result = await executeQuery(query, [busNumber, date, timezone]);
+    return result.rows.map(event => new OptimizedGeofenceEvent(event));
+  }
+
+  // Every bus's transitions for one geofence on a calendar day
+  static async getByGeofenceAndDate(geofenceId, date, timezone) {
+    const query = `
+      SELECT e.*, g.name AS geofence_name
+      FROM geofence_events e
+      JOIN geofences g ON g.id = e.geofence_id
+      WHERE e.geofence_id = $1
+        AND e.occurred_at >= ($2::date)::timestamp AT TIME ZONE $3
+        AND e.occurred_at < ($2::date + 1)::timestamp AT TIME ZONE $3
+      ORDER BY e.occurred_at, e.id
+    `;
+
+    const result = await executeQuery(query, [geofenceId, date, timezone]);
+    return result.rows.map(event => new OptimizedGeofenceEvent(event));
+  }
+}
+
+module.exports = OptimizedGeofenceEvent;
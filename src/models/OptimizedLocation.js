@@ -1,6 +1,9 @@
 const { executeQuery, executeBatchInsert } = require('../config/optimizedDatabase');
 const { randomUUID } = require('crypto');
 
+// A fix re-sent with a fixId the bus already has is dropped (matches idx_locations_bus_fix)
+const ON_DUPLICATE_FIX = 'ON CONFLICT (bus_number, fix_id) WHERE fix_id IS NOT NULL DO NOTHING';
+
 class OptimizedLocation {
   constructor(data) {
     this.id = data.id;
@@ -9,13 +12,17 @@ class OptimizedLocation {
     this.longitude = parseFloat(data.longitude);
     this.accuracy = parseFloat(data.accuracy || 0);
     this.timestamp = data.timestamp;
+    this.tripId = data.trip_id || null;
+    this.fixId = data.fix_id || null; // Client-generated id, unique per bus
     this.createdAt = data.created_at;
   }
 
+  // Returns null when the bus already has a fix with this fixId
   static async create(locationData) {
     const query = `
-      INSERT INTO locations (id, bus_number, latitude, longitude, accuracy, timestamp, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      INSERT INTO locations (id, bus_number, latitude, longitude, accuracy, timestamp, trip_id, fix_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      ${ON_DUPLICATE_FIX}
       RETURNING *
     `;
     
@@ -25,29 +32,34 @@ class OptimizedLocation {
       locationData.latitude,
       locationData.longitude,
       locationData.accuracy || 0,
-      locationData.timestamp || new Date().toISOString()
+      locationData.timestamp || new Date().toISOString(),
+      locationData.tripId || null,
+      locationData.fixId || null
     ];
     
     const result = await executeQuery(query, values);
-    return new OptimizedLocation(result.rows[0]);
+    return result.rows.length > 0 ? new OptimizedLocation(result.rows[0]) : null;
   }
 
-  // Batch insert for multiple locations (more efficient for bulk updates)
+  // Batch insert for multiple locations (more efficient for bulk updates); fixes whose fixId
+  // the bus already has are skipped and left out of the result
   static async batchCreate(locationsData) {
     if (locationsData.length === 0) return [];
     
-    const columns = ['id', 'bus_number', 'latitude', 'longitude', 'accuracy', 'timestamp', 'created_at'];
+    const columns = ['id', 'bus_number', 'latitude', 'longitude', 'accuracy', 'timestamp', 'trip_id', 'fix_id', 'created_at'];
     const values = locationsData.map(loc => [
-      randomUUID(),
+      loc.id || randomUUID(),
       loc.busNumber,
       loc.latitude,
       loc.longitude,
       loc.accuracy || 0,
       loc.timestamp || new Date().toISOString(),
+      loc.tripId || null,
+      loc.fixId || null,
       new Date().toISOString()
     ]);
     
-    const result = await executeBatchInsert('locations', columns, values);
+    const result = await executeBatchInsert('locations', columns, values, ON_DUPLICATE_FIX);
     return result.rows.map(row => new OptimizedLocation(row));
   }
 
@@ -63,15 +75,83 @@ class OptimizedLocation {
     return result.rows.length > 0 ? new OptimizedLocation(result.rows[0]) : null;
   }
 
-  static async getByBusNumber(busNumber, limit = 50) {
+  // Newest first
+  static async getByBusNumber(busNumber, limit = 50, offset = 0) {
     const query = `
       SELECT * FROM locations 
       WHERE bus_number = $1 
       ORDER BY timestamp DESC 
-      LIMIT $2
+      LIMIT $2 OFFSET $3
+    `;
+    
+    const result = await executeQuery(query, [busNumber, limit, offset]);
+    return result.rows.map(location => new OptimizedLocation(location));
+  }
+
+  // Every fix in the last N hours, oldest first. Capped at the newest maxRows so a week of
+  // history can't exhaust memory.
+  static async getByBusNumberSince(busNumber, hours, maxRows = 20000) {
+    const query = `
+      SELECT * FROM (
+        SELECT * FROM locations 
+        WHERE bus_number = $1 
+          AND timestamp >= NOW() - make_interval(hours => $2)
+        ORDER BY timestamp DESC 
+        LIMIT $3
+      ) recent
+      ORDER BY timestamp ASC
     `;
     
-    const result = await executeQuery(query, [busNumber, limit]);
+    const result = await executeQuery(query, [busNumber, hours, maxRows]);
+    return result.rows.map(location => new OptimizedLocation(location));
+  }
+
+  // Fixes matching a condition, oldest first, read in keyset-paginated batches so exports
+  // of long ranges never hold more than one batch in memory
+  static async *streamWhere(condition, params, batchSize = 1000) {
+    let cursor = null;
+    
+    while (true) {
+      const n = params.length;
+      // The cursor keeps the timestamp as text, since JS dates would drop the microseconds
+      const query = `
+        SELECT *, timestamp::text AS cursor_timestamp FROM locations 
+        WHERE ${condition}
+          ${cursor ? `AND (timestamp, id) > ($${n + 2}, $${n + 3})` : ''}
+        ORDER BY timestamp ASC, id ASC 
+        LIMIT $${n + 1}
+      `;
+      
+      const values = cursor ? [...params, batchSize, cursor.timestamp, cursor.id] : [...params, batchSize];
+      const result = await executeQuery(query, values);
+      
+      for (const row of result.rows) {
+        yield new OptimizedLocation(row);
+      }
+      
+      if (result.rows.length < batchSize) return;
+      const last = result.rows[result.rows.length - 1];
+      cursor = { timestamp: last.cursor_timestamp, id: last.id };
+    }
+  }
+
+  static streamByBusNumberSince(busNumber, hours) {
+    return this.streamWhere('bus_number = $1 AND timestamp >= NOW() - make_interval(hours => $2)', [busNumber, hours]);
+  }
+
+  static streamByTripId(tripId) {
+    return this.streamWhere('trip_id = $1', [tripId]);
+  }
+
+  // Every fix recorded during one trip, oldest first
+  static async getByTripId(tripId) {
+    const query = `
+      SELECT * FROM locations 
+      WHERE trip_id = $1 
+      ORDER BY timestamp ASC
+    `;
+    
+    const result = await executeQuery(query, [tripId]);
     return result.rows.map(location => new OptimizedLocation(location));
   }
 
@@ -136,6 +216,28 @@ class OptimizedLocation {
     return locations;
   }
 
+  // Latest fix of every bus that reported in the last N minutes
+  static async getBusesWithRecentLocations(minutesAgo = 30) {
+    const query = `
+      SELECT DISTINCT ON (bus_number) * FROM locations 
+      WHERE timestamp >= NOW() - make_interval(mins => $1)
+      ORDER BY bus_number, timestamp DESC
+    `;
+    
+    const result = await executeQuery(query, [minutesAgo]);
+    return result.rows.map(location => new OptimizedLocation(location));
+  }
+
+  static async deleteOldLocations(daysOld = 7) {
+    const query = `
+      DELETE FROM locations 
+      WHERE created_at < NOW() - make_interval(days => $1)
+    `;
+    
+    const result = await executeQuery(query, [daysOld]);
+    return result.rowCount;
+  }
+
   // Efficient cleanup with smart retention
   static async smartCleanup(daysOld = 7, keepSampleEvery = 10) {
     // Keep one location every N records for historical data, delete the rest
@@ -170,7 +272,14 @@ class OptimizedLocation {
     `;
     
     const result = await executeQuery(query);
-    return result.rows[0];
+    const stats = result.rows[0];
+    
+    return {
+      totalLocations: parseInt(stats.total_locations) || 0,
+      uniqueBuses: parseInt(stats.unique_buses) || 0,
+      oldestRecord: stats.oldest_record,
+      newestRecord: stats.newest_record
+    };
   }
 }
 
@@ -0,0 +1,126 @@
+const { executeQuery, withTransaction } = require('../config/optimizedDatabase');
+const OptimizedStop = require('./OptimizedStop');
+
+class OptimizedRoute {
+  constructor(data) {
+    this.id = data.id;
+    this.code = data.code;
+    this.name = data.name;
+    this.description = data.description;
+    this.path = data.path || null; // Optional polyline: [[lat, lng], ...]
+    this.isActive = data.is_active;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM routes WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedRoute(result.rows[0]) : null;
+  }
+
+  static async findByCode(code) {
+    const query = 'SELECT * FROM routes WHERE code = $1';
+    const result = await executeQuery(query, [code]);
+
+    return result.rows.length > 0 ? new OptimizedRoute(result.rows[0]) : null;
+  }
+
+  static async getAll(includeInactive = false) {
+    const query = `
+      SELECT * FROM routes
+      ${includeInactive ? '' : 'WHERE is_active = true'}
+      ORDER BY code
+    `;
+
+    const result = await executeQuery(query);
+    return result.rows.map(route => new OptimizedRoute(route));
+  }
+
+  static async create(routeData) {
+    const query = `
+      INSERT INTO routes (code, name, description, path, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      routeData.code,
+      routeData.name,
+      routeData.description || null,
+      routeData.path ? JSON.stringify(routeData.path) : null,
+      routeData.isActive !== false
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedRoute(result.rows[0]);
+  }
+
+  static async update(id, routeData) {
+    const query = `
+      UPDATE routes
+      SET code = COALESCE($2, code),
+          name = COALESCE($3, name),
+          description = COALESCE($4, description),
+          path = COALESCE($5, path),
+          is_active = COALESCE($6, is_active),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      routeData.code,
+      routeData.name,
+      routeData.description,
+      routeData.path ? JSON.stringify(routeData.path) : null,
+      routeData.isActive
+    ];
+
+    const result = await executeQuery(query, values);
+    return result.rows.length > 0 ? new OptimizedRoute(result.rows[0]) : null;
+  }
+
+  static async delete(id) {
+    const query = 'DELETE FROM routes WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+    return result.rowCount > 0;
+  }
+
+  // Stops in travel order
+  static async getStops(routeId) {
+    const query = `
+      SELECT s.*, rs.stop_order
+      FROM route_stops rs
+      JOIN stops s ON s.id = rs.stop_id
+      WHERE rs.route_id = $1
+      ORDER BY rs.stop_order
+    `;
+
+    const result = await executeQuery(query, [routeId]);
+    return result.rows.map(stop => new OptimizedStop(stop));
+  }
+
+  // Replace the ordered stop list in one transaction
+  static async setStops(routeId, stopIds) {
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM route_stops WHERE route_id = $1', [routeId]);
+
+      if (stopIds.length > 0) {
+        const placeholders = stopIds.map((_, i) => `($1, $${i * 2 + 2}, $${i * 2 + 3})`).join(', ');
+        const values = stopIds.flatMap((stopId, i) => [stopId, i + 1]);
+
+        await client.query(
+          `INSERT INTO route_stops (route_id, stop_id, stop_order) VALUES ${placeholders}`,
+          [routeId, ...values]
+        );
+      }
+    });
+
+    return this.getStops(routeId);
+  }
+}
+
+module.exports = OptimizedRoute;
@@ -0,0 +1,50 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+// Averages stop following a moving window of roughly this many traversals,
+// so timetable or traffic changes show up within a few days
+const MAX_SAMPLE_WEIGHT = 50;
+
+class OptimizedSegmentTime {
+  constructor(data) {
+    this.routeId = data.route_id;
+    this.fromStopId = data.from_stop_id;
+    this.toStopId = data.to_stop_id;
+    this.avgSeconds = parseFloat(data.avg_seconds);
+    this.sampleCount = parseInt(data.sample_count) || 0;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Observed travel times between consecutive stops, keyed "from-to"
+  static async getForRoute(routeId) {
+    const query = 'SELECT * FROM segment_travel_times WHERE route_id = $1';
+    const result = await executeQuery(query, [routeId]);
+
+    const segments = {};
+    result.rows.forEach(row => {
+      const segment = new OptimizedSegmentTime(row);
+      segments[`${segment.fromStopId}-${segment.toStopId}`] = segment;
+    });
+    return segments;
+  }
+
+  // Fold one observed traversal into the running average
+  static async recordTraversal(routeId, fromStopId, toStopId, seconds) {
+    const query = `
+      INSERT INTO segment_travel_times (route_id, from_stop_id, to_stop_id, avg_seconds, sample_count, updated_at)
+      VALUES ($1, $2, $3, $4, 1, NOW())
+      ON CONFLICT (route_id, from_stop_id, to_stop_id) DO UPDATE
+      SET avg_seconds = segment_travel_times.avg_seconds +
+            ($4 - segment_travel_times.avg_seconds) / LEAST(segment_travel_times.sample_count + 1, $5),
+          sample_count = segment_travel_times.sample_count + 1,
+          updated_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await executeQuery(query, [routeId, fromStopId, toStopId, seconds, MAX_SAMPLE_WEIGHT]);
+    return new OptimizedSegmentTime(result.rows[0]);
+  }
+}
+
+OptimizedSegmentTime.MAX_SAMPLE_WEIGHT = MAX_SAMPLE_WEIGHT;
+
+module.exports = OptimizedSegmentTime;
@@ -0,0 +1,108 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedStop {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.latitude = parseFloat(data.latitude);
+    this.longitude = parseFloat(data.longitude);
+    this.radiusMeters = parseInt(data.radius_meters) || 50;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+
+    // Present when loaded as part of a route
+    if (data.stop_order !== undefined) {
+      this.stopOrder = data.stop_order;
+    }
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM stops WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedStop(result.rows[0]) : null;
+  }
+
+  static async findByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const query = 'SELECT * FROM stops WHERE id = ANY($1::int[])';
+    const result = await executeQuery(query, [ids]);
+    return result.rows.map(stop => new OptimizedStop(stop));
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM stops ORDER BY name';
+    const result = await executeQuery(query);
+    return result.rows.map(stop => new OptimizedStop(stop));
+  }
+
+  static async create(stopData) {
+    const query = `
+      INSERT INTO stops (name, latitude, longitude, radius_meters, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      stopData.name,
+      stopData.latitude,
+      stopData.longitude,
+      stopData.radiusMeters || 50
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedStop(result.rows[0]);
+  }
+
+  static async update(id, stopData) {
+    const query = `
+      UPDATE stops
+      SET name = COALESCE($2, name),
+          latitude = COALESCE($3, latitude),
+          longitude = COALESCE($4, longitude),
+          radius_meters = COALESCE($5, radius_meters),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      stopData.name,
+      stopData.latitude,
+      stopData.longitude,
+      stopData.radiusMeters
+    ];
+
+    const result = await executeQuery(query, values);
+    return result.rows.length > 0 ? new OptimizedStop(result.rows[0]) : null;
+  }
+
+  static async delete(id) {
+    const query = 'DELETE FROM stops WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+    return result.rowCount > 0;
+  }
+
+  // Routes that serve a stop, with the stop's position on each
+  static async getRoutesForStop(stopId) {
+    const query = `
+      SELECT r.id, r.code, r.name, rs.stop_order
+      FROM route_stops rs
+      JOIN routes r ON r.id = rs.route_id
+      WHERE rs.stop_id = $1
+      ORDER BY r.code
+    `;
+
+    const result = await executeQuery(query, [stopId]);
+    return result.rows.map(row => ({
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      stopOrder: row.stop_order
+    }));
+  }
+}
+
+module.exports = OptimizedStop;
@@ -0,0 +1,88 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedStopEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.busNumber = data.bus_number;
+    this.routeId = data.route_id;
+    this.tripId = data.trip_id || null;
+    this.stopId = data.stop_id;
+    this.eventType = data.event_type; // 'arrival' or 'departure'
+    this.occurredAt = data.occurred_at;
+    this.dwellSeconds = data.dwell_seconds !== null ? parseInt(data.dwell_seconds) : null; // Departures only
+    this.latitude = data.latitude !== null ? parseFloat(data.latitude) : null;
+    this.longitude = data.longitude !== null ? parseFloat(data.longitude) : null;
+    this.createdAt = data.created_at;
+
+    // Present when joined with stops
+    if (data.stop_name !== undefined) {
+      this.stopName = data.stop_name;
+    }
+  }
+
+  static async create(eventData) {
+    const query = `
+      INSERT INTO stop_events (bus_number, route_id, trip_id, stop_id, event_type, occurred_at, dwell_seconds, latitude, longitude, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      eventData.busNumber,
+      eventData.routeId || null,
+      eventData.tripId || null,
+      eventData.stopId,
+      eventData.eventType,
+      eventData.occurredAt,
+      eventData.dwellSeconds ?? null,
+      eventData.latitude ?? null,
+      eventData.longitude ?? null
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedStopEvent(result.rows[0]);
+  }
+
+  static async getLatestForBus(busNumber) {
+    const query = `
+      SELECT * FROM stop_events
+      WHERE bus_number = $1
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT 1
+    `;
+
+    const result = await executeQuery(query, [busNumber]);
+    return result.rows.length > 0 ? new OptimizedStopEvent(result.rows[0]) : null;
+  }
+
+  static async getByTripId(tripId) {
+    const query = `
+      SELECT e.*, s.name AS stop_name
+      FROM stop_events e
+      JOIN stops s ON s.id = e.stop_id
+      WHERE e.trip_id = $1
+      ORDER BY e.occurred_at, e.id
+    `;
+
+    const result = await executeQuery(query, [tripId]);
+    return result.rows.map(event => new OptimizedStopEvent(event));
+  }
+
+  // One bus's stop log for a calendar day in the given timezone
+  static async getByBusAndDate(busNumber, date, timezone) {
+    const query = `
+      SELECT e.*, s.name AS stop_name
+      FROM stop_events e
+      JOIN stops s ON s.id = e.stop_id
+      WHERE e.bus_number = $1
+        AND e.occurred_at >= ($2::date)::timestamp AT TIME ZONE $3
+        AND e.occurred_at < ($2::date + 1)::timestamp AT TIME ZONE $3
+      ORDER BY e.occurred_at, e.id
+    `;
+
+    const result = await executeQuery(query, [busNumber, date, timezone]);
+    return result.rows.map(event => new OptimizedStopEvent(event));
+  }
+}
+
+module.exports = OptimizedStopEvent;
@@ -0,0 +1,87 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedTrip {
+  constructor(data) {
+    this.id = data.id;
+    this.busNumber = data.bus_number;
+    this.driverId = data.driver_id;
+    this.driverName = data.driver_name;
+    this.routeId = data.route_id;
+    this.startedAt = data.started_at;
+    this.endedAt = data.ended_at; // null while the trip is running
+    this.distanceMeters = parseFloat(data.distance_meters || 0);
+    this.maxSpeedKmh = parseFloat(data.max_speed_kmh || 0);
+    this.pointCount = parseInt(data.point_count) || 0;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM trips WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedTrip(result.rows[0]) : null;
+  }
+
+  static async create(tripData) {
+    const query = `
+      INSERT INTO trips (bus_number, driver_id, driver_name, route_id, started_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      tripData.busNumber,
+      tripData.driverId || null,
+      tripData.driverName || null,
+      tripData.routeId || null
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedTrip(result.rows[0]);
+  }
+
+  // Close a running trip and store its totals (no-op for a trip that is already closed)
+  static async close(id, stats) {
+    const query = `
+      UPDATE trips
+      SET ended_at = NOW(),
+          distance_meters = $2,
+          max_speed_kmh = $3,
+          point_count = $4,
+          updated_at = NOW()
+      WHERE id = $1 AND ended_at IS NULL
+      RETURNING *
+    `;
+
+    const values = [id, stats.distanceMeters, stats.maxSpeedKmh, stats.pointCount];
+    const result = await executeQuery(query, values);
+    return result.rows.length > 0 ? new OptimizedTrip(result.rows[0]) : null;
+  }
+
+  // Most recent first, optionally only trips started on one calendar day in the given timezone
+  static async getByBusNumber(busNumber, { date, timezone, limit = 20 } = {}) {
+    const values = [busNumber, limit];
+    let dateFilter = '';
+
+    if (date) {
+      values.push(date, timezone);
+      dateFilter = `
+        AND started_at >= ($3::date)::timestamp AT TIME ZONE $4
+        AND started_at < ($3::date + 1)::timestamp AT TIME ZONE $4
+      `;
+    }
+
+    const query = `
+      SELECT * FROM trips
+      WHERE bus_number = $1 ${dateFilter}
+      ORDER BY started_at DESC
+      LIMIT $2
+    `;
+
+    const result = await executeQuery(query, values);
+    return result.rows.map(trip => new OptimizedTrip(trip));
+  }
+}
+
+module.exports = OptimizedTrip;
@@ -0,0 +1,83 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedWebhook {
+  constructor(data) {
+    this.id = data.id;
+    this.url = data.url;
+    this.description = data.description || null;
+    this.eventTypes = data.event_types;
+    this.secret = data.secret; // Signing key, only shown when the webhook is created
+    this.isActive = data.is_active;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM webhooks WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedWebhook(result.rows[0]) : null;
+  }
+
+  static async getAll() {
+    const query = 'SELECT * FROM webhooks ORDER BY created_at DESC';
+    const result = await executeQuery(query);
+    return result.rows.map(webhook => new OptimizedWebhook(webhook));
+  }
+
+  static async getActive() {
+    const query = 'SELECT * FROM webhooks WHERE is_active = true';
+    const result = await executeQuery(query);
+    return result.rows.map(webhook => new OptimizedWebhook(webhook));
+  }
+
+  static async create(webhookData) {
+    const query = `
+      INSERT INTO webhooks (url, description, event_types, secret, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, true, NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      webhookData.url,
+      webhookData.description || null,
+      webhookData.eventTypes,
+      webhookData.secret
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedWebhook(result.rows[0]);
+  }
+
+  static async update(id, webhookData) {
+    const query = `
+      UPDATE webhooks
+      SET url = COALESCE($2, url),
+          description = COALESCE($3, description),
+          event_types = COALESCE($4, event_types),
+          is_active = COALESCE($5, is_active),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      webhookData.url,
+      webhookData.description,
+      webhookData.eventTypes,
+      webhookData.isActive
+    ];
+
+    const result = await executeQuery(query, values);
+    return result.rows.length > 0 ? new OptimizedWebhook(result.rows[0]) : null;
+  }
+
+  static async delete(id) {
+    const query = 'DELETE FROM webhooks WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = OptimizedWebhook;
@@ -0,0 +1,50 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedWebhookDeadLetter {
+  constructor(data) {
+    this.id = data.id;
+    this.deliveryId = data.delivery_id;
+    this.webhookId = data.webhook_id;
+    this.eventType = data.event_type;
+    this.payload = data.payload;
+    this.attempts = data.attempts;
+    this.lastStatusCode = data.last_status_code;
+    this.lastError = data.last_error;
+    this.replayedAt = data.replayed_at;
+    this.createdAt = data.created_at;
+  }
+
+  static async findById(id) {
+    const query = 'SELECT * FROM webhook_dead_letters WHERE id = $1';
+    const result = await executeQuery(query, [id]);
+
+    return result.rows.length > 0 ? new OptimizedWebhookDeadLetter(result.rows[0]) : null;
+  }
+
+  // Newest first, optionally for one webhook
+  static async getAll({ webhookId, limit = 50 } = {}) {
+    const query = `
+      SELECT * FROM webhook_dead_letters
+      WHERE ($1::int IS NULL OR webhook_id = $1)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `;
+
+    const result = await executeQuery(query, [webhookId || null, limit]);
+    return result.rows.map(deadLetter => new OptimizedWebhookDeadLetter(deadLetter));
+  }
+
+  static async markReplayed(id) {
+    const query = `
+      UPDATE webhook_dead_letters
+      SET replayed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await executeQuery(query, [id]);
+    return result.rows.length > 0 ? new OptimizedWebhookDeadLetter(result.rows[0]) : null;
+  }
+}
+
+module.exports = OptimizedWebhookDeadLetter;
@@ -0,0 +1,123 @@
+const { executeQuery } = require('../config/optimizedDatabase');
+
+class OptimizedWebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.webhookId = data.webhook_id;
+    this.eventId = data.event_id;
+    this.eventType = data.event_type;
+    this.payload = data.payload;
+    this.status = data.status; // 'pending', 'delivered' or 'dead'
+    this.attempts = data.attempts;
+    this.lastStatusCode = data.last_status_code;
+    this.lastError = data.last_error;
+    this.nextAttemptAt = data.next_attempt_at;
+    this.deliveredAt = data.delivered_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // New deliveries are leased to the worker that creates them for their first attempt
+  static async create(deliveryData, leaseSeconds) {
+    const query = `
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 'pending', 0, NOW() + make_interval(secs => $5), NOW(), NOW())
+      RETURNING *
+    `;
+
+    const values = [
+      deliveryData.webhookId,
+      deliveryData.eventId,
+      deliveryData.eventType,
+      JSON.stringify(deliveryData.payload),
+      leaseSeconds
+    ];
+
+    const result = await executeQuery(query, values);
+    return new OptimizedWebhookDelivery(result.rows[0]);
+  }
+
+  // Lease due retries to this worker; SKIP LOCKED keeps workers from taking the same rows
+  static async claimDue(limit, leaseSeconds) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    const result = await executeQuery(query, [limit, leaseSeconds]);
+    return result.rows.map(delivery => new OptimizedWebhookDelivery(delivery));
+  }
+
+  static async markDelivered(id, statusCode) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = attempts + 1, last_status_code = $2, last_error = NULL,
+          next_attempt_at = NULL, delivered_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `;
+
+    await executeQuery(query, [id, statusCode]);
+  }
+
+  static async scheduleRetry(id, { statusCode, error, delaySeconds }) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET attempts = attempts + 1, last_status_code = $2, last_error = $3,
+          next_attempt_at = NOW() + make_interval(secs => $4), updated_at = NOW()
+      WHERE id = $1
+    `;
+
+    await executeQuery(query, [id, statusCode ?? null, error, delaySeconds]);
+  }
+
+  // Give up on a delivery and copy it to the dead-letter table in one statement
+  static async moveToDeadLetters(id, { statusCode, error }) {
+    const query = `
+      WITH dead AS (
+        UPDATE webhook_deliveries
+        SET status = 'dead', attempts = attempts + 1, last_status_code = $2, last_error = $3,
+            next_attempt_at = NULL, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      )
+      INSERT INTO webhook_dead_letters (delivery_id, webhook_id, event_type, payload, attempts, last_status_code, last_error, created_at)
+      SELECT id, webhook_id, event_type, payload, attempts, last_status_code, last_error, NOW() FROM dead
+    `;
+
+    await executeQuery(query, [id, statusCode ?? null, error]);
+  }
+
+  // Delivery log for one webhook, newest first
+  static async getByWebhookId(webhookId, { status, limit = 50 } = {}) {
+    const query = `
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `;
+
+    const result = await executeQuery(query, [webhookId, status || null, limit]);
+    return result.rows.map(delivery => new OptimizedWebhookDelivery(delivery));
+  }
+
+  // Delivered rows are only kept for the log; dead ones stay in webhook_dead_letters
+  static async cleanupDelivered(days) {
+    const query = `
+      DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)
+    `;
+
+    const result = await executeQuery(query, [days]);
+    return result.rowCount;
+  }
+}
+
+module.exports = OptimizedWebhookDelivery;
@@ -1,4 +1,5 @@
 const cluster = require('cluster');
+const crypto = require('crypto');
 const os = require('os');
 const express = require('express');
 const cors = require('cors');
@@ -11,10 +12,30 @@ const cron = require('node-cron');
 require('dotenv').config();
 
 const { connectDatabase, checkHealth } = require('./config/optimizedDatabase');
+const { assertSchemaCurrent, SCHEMA_NOT_CURRENT_EXIT_CODE } = require('./utils/migrator');
+const { initRepositories, apiKeyStore } = require('./repositories');
 const OptimizedBusService = require('./services/optimizedBusService');
+const ApiKeyService = require('./services/apiKeyService');
+const AuthService = require('./services/authService');
+const GpsFilterService = require('./services/gpsFilterService');
+const WebhookService = require('./services/webhookService');
+const locationWriteBuffer = require('./services/locationWriteBuffer');
+const locationSocket = require('./services/locationSocketService');
+const eventStream = require('./services/eventStreamService');
+const { startEventBroker, stopEventBroker, relayBetweenWorkers, getBrokerStats } = require('./services/eventBroker');
+const metrics = require('./services/metricsService');
+const { closeRedis } = require('./config/redis');
+const { initCacheStore } = require('./services/cacheStore');
+const { createRoleGuard } = require('./middleware/apiKeyAuth');
+
+// In-memory storage lives inside one process, so workers couldn't share it
+const inMemory = process.env.STORAGE_BACKEND === 'memory';
+
+// The master tells one live worker to run the cluster-wide scheduled jobs
+const JOBS_CHANNEL = 'svce:jobs';
 
 // Determine number of workers (limit for free tier)
-const numWorkers = Math.min(os.cpus().length, 2); // Max 2 workers for free tier
+const numWorkers = inMemory ? 1 : Math.min(os.cpus().length, 2); // Max 2 workers for free tier
 
 if (cluster.isMaster) {
   console.log(`🚀 Master process ${process.pid} starting...`);
@@ -25,10 +46,43 @@ if (cluster.isMaster) {
     cluster.fork();
   }
 
+  // Relay tracking events between workers (IPC event broker backend)
+  relayBetweenWorkers(cluster);
+
+  // Let any worker answer /api/metrics for the whole cluster
+  metrics.relayMetricsBetweenWorkers(cluster);
+
+  // Hand the scheduled jobs to a live worker whenever they have no leader
+  let jobLeader = null;
+  const assignJobLeader = () => {
+    if (jobLeader && !jobLeader.isDead()) return;
+    jobLeader = Object.values(cluster.workers).find(worker => worker.isConnected()) || null;
+    if (jobLeader) {
+      jobLeader.send({ channel: JOBS_CHANNEL, type: 'lead' });
+      console.log(`⏰ Worker ${jobLeader.process.pid} now runs the scheduled tasks`);
+    }
+  };
+  cluster.on('online', assignJobLeader);
+
   // Handle worker crashes
+  let schemaNotCurrent = false;
   cluster.on('exit', (worker, code, signal) => {
+    if (schemaNotCurrent) return;
+
+    // Restarting can't fix an out-of-date schema, every worker would fail the same way
+    if (code === SCHEMA_NOT_CURRENT_EXIT_CODE) {
+      schemaNotCurrent = true;
+      console.error('🛑 Database schema is not current, refusing to start. Run "npm run migrate" and restart.');
+      for (const id in cluster.workers) {
+        cluster.workers[id].kill();
+      }
+      process.exitCode = 1;
+      return;
+    }
+
     console.log(`💀 Worker ${worker.process.pid} died. Restarting...`);
     cluster.fork();
+    assignJobLeader();
   });
 
   // Graceful shutdown
@@ -156,14 +210,13 @@ if (cluster.isMaster) {
     limit: '1mb' 
   }));
   
-  // Performance monitoring middleware
-  let requestCount = 0;
-  let totalResponseTime = 0;
-  const startTime = Date.now();
+  // Performance monitoring middleware (latency per route pattern, see metricsService)
+  let requestSequence = 0;
   
   app.use((req, res, next) => {
-    const requestStart = Date.now();
-    requestCount++;
+    const requestStart = performance.now();
+    const requestId = ++requestSequence;
+    const routePattern = metrics.trackRoutePattern(req);
     
     // Monitor memory usage for high-traffic endpoints
     if (req.path.includes('/active') || req.path.includes('/location')) {
@@ -178,8 +231,9 @@ if (cluster.isMaster) {
     // Override end to capture response time
     const originalEnd = res.end;
     res.end = function(...args) {
-      const responseTime = Date.now() - requestStart;
-      totalResponseTime += responseTime;
+      const elapsed = performance.now() - requestStart;
+      const responseTime = Math.round(elapsed);
+      metrics.recordRequest(req.method, routePattern(), res.statusCode, elapsed);
       
       // Log slow requests (>500ms)
       if (responseTime > 500) {
@@ -194,9 +248,11 @@ if (cluster.isMaster) {
         console.log(`🚨 HIGH MEMORY: ${req.memorySnapshot.heapUsed}MB heap used on ${req.path}`);
       }
       
-      // Set performance headers
-      res.setHeader('X-Response-Time', `${responseTime}ms`);
-      res.setHeader('X-Request-ID', requestCount);
+      // Set performance headers (streamed responses already sent theirs)
+      if (!res.headersSent) {
+        res.setHeader('X-Response-Time', `${responseTime}ms`);
+        res.setHeader('X-Request-ID', requestId);
+      }
       
       originalEnd.apply(this, args);
     };
@@ -216,6 +272,7 @@ if (cluster.isMaster) {
   // Apply rate limiting
   app.use('/api/', speedLimiter);
   app.use('/api/', generalLimiter);
+  app.use('/api/auth/login', authLimiter);
   app.use('/api/buses/start-tracking', authLimiter);
   app.use('/api/buses/stop-tracking', authLimiter);
   app.use('/api/buses/:busNumber/location', locationLimiter);
@@ -223,7 +280,7 @@ if (cluster.isMaster) {
   // Health check endpoint (detailed for monitoring)
   app.get('/health', async (req, res) => {
     try {
-      const dbHealth = await checkHealth();
+      const dbHealth = inMemory ? { healthy: true, storage: 'memory' } : await checkHealth();
       const systemHealth = await OptimizedBusService.getSystemHealth();
       
       res.status(200).json({
@@ -251,7 +308,19 @@ if (cluster.isMaster) {
 
   // Optimized API routes
   const optimizedBusRoutes = require('./routes/optimizedBusRoutes');
+  const authRoutes = require('./routes/authRoutes');
+  const adminRoutes = require('./routes/adminRoutes');
+  const routeRoutes = require('./routes/routeRoutes');
+  const stopRoutes = require('./routes/stopRoutes');
+  const tripRoutes = require('./routes/tripRoutes');
+  const geofenceRoutes = require('./routes/geofenceRoutes');
   app.use('/api/buses', optimizedBusRoutes);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/routes', routeRoutes);
+  app.use('/api/stops', stopRoutes);
+  app.use('/api/trips', tripRoutes);
+  app.use('/api/geofences', geofenceRoutes);
 
   // Enhanced health check endpoint
   app.get('/health', (req, res) => {
@@ -271,11 +340,11 @@ if (cluster.isMaster) {
     });
   });
   
-  // Performance metrics endpoint
-  app.get('/api/metrics', (req, res) => {
+  // Performance metrics endpoint (requests, cache and database summed over every worker)
+  app.get('/api/metrics', async (req, res) => {
     const uptime = process.uptime();
-    const avgResponseTime = requestCount > 0 ? (totalResponseTime / requestCount) : 0;
     const memUsage = process.memoryUsage();
+    const summary = await metrics.getClusterMetrics();
     
     res.json({
       success: true,
@@ -287,24 +356,45 @@ if (cluster.isMaster) {
           worker: cluster.worker ? cluster.worker.id : 'master'
         },
         performance: {
-          totalRequests: requestCount,
-          avgResponseTime: Math.round(avgResponseTime),
-          requestsPerMinute: requestCount > 0 ? Math.round((requestCount / uptime) * 60) : 0
+          totalRequests: summary.requests.count,
+          avgResponseTime: summary.requests.avg,
+          p50ResponseTime: summary.requests.p50,
+          p95ResponseTime: summary.requests.p95,
+          p99ResponseTime: summary.requests.p99,
+          maxResponseTime: summary.requests.max,
+          requestsPerMinute: summary.requests.perMinute,
+          errorRate: summary.requests.errorRate,
+          statusCodes: summary.requests.statusCodes,
+          since: summary.since
         },
+        cluster: {
+          workers: summary.workers,
+          complete: summary.complete // false when a worker didn't report in time
+        },
+        routes: summary.routes,
+        cache: summary.cache,
+        database: summary.database,
         memory: {
           heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
           heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
           external: Math.round(memUsage.external / 1024 / 1024),
           rss: Math.round(memUsage.rss / 1024 / 1024),
           heapUtilization: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100)
-        }
+        },
+        realtime: {
+          websocket: locationSocket.getStats(),
+          sse: eventStream.getStats(),
+          broker: getBrokerStats()
+        },
+        gpsFilter: GpsFilterService.getStats()
       },
       timestamp: new Date().toISOString()
     });
   });
 
   // System monitoring endpoint
-  app.get('/api/system/stats', async (req, res) => {
+  const requireRole = createRoleGuard(apiKeyStore);
+  app.get('/api/system/stats', requireRole('operator'), async (req, res) => {
     try {
       const stats = await OptimizedBusService.getSystemHealth();
       const uptime = process.uptime();
@@ -320,10 +410,7 @@ if (cluster.isMaster) {
               heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
               heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024)
             },
-            performance: {
-              totalRequests: requestCount,
-              avgResponseTime: requestCount > 0 ? Math.round(totalResponseTime / requestCount) : 0
-            }
+            performance: metrics.summarize(metrics.getSnapshot()).requests
           }
         },
         timestamp: new Date().toISOString()
@@ -345,9 +432,49 @@ if (cluster.isMaster) {
   // Initialize database and start server
   const startOptimizedServer = async () => {
     try {
-      // Connect to database
-      await connectDatabase();
-      console.log(`✅ Worker ${process.pid}: Database connected`);
+      // Answer the other workers' /api/metrics snapshot requests from the start
+      metrics.startMetricsSharing();
+      
+      // Driver tracking tokens can't be issued or checked without a signing secret
+      if (!process.env.AUTH_TOKEN_SECRET) {
+        throw new Error('AUTH_TOKEN_SECRET environment variable is required');
+      }
+      
+      if (!inMemory) {
+        // Connect to database
+        await connectDatabase();
+        console.log(`✅ Worker ${process.pid}: Database connected`);
+        
+        // Refuse to serve against a schema with pending (or unknown) migrations
+        try {
+          await assertSchemaCurrent();
+        } catch (error) {
+          console.error(`❌ Worker ${process.pid}: ${error.message}`);
+          process.exit(SCHEMA_NOT_CURRENT_EXIT_CODE);
+        }
+      }
+      
+      // Every table from PostgreSQL, unless STORAGE_BACKEND says otherwise
+      await initRepositories('postgres');
+      
+      // In-memory storage starts empty, so hand out an admin key and a driver login for this run
+      if (inMemory) {
+        const { key } = await ApiKeyService.createKey('local-admin', 'admin');
+        console.log(`🔑 Local admin API key (valid until restart): ${key}`);
+        
+        const password = crypto.randomBytes(12).toString('base64url');
+        await AuthService.createDriver({ username: 'local-driver', password, name: 'Local Driver' });
+        console.log(`👤 Local driver login (valid until restart): local-driver / ${password}`);
+      }
+      
+      // Shared (or per-worker) cache for bus status, latest locations and write throttles
+      await initCacheStore();
+      
+      // Share location and tracking events with the other workers
+      await startEventBroker();
+      
+      // Deliver this worker's tracking events to registered webhooks
+      WebhookService.start();
       
       // Start HTTP server
       const server = app.listen(PORT, '0.0.0.0', () => {
@@ -355,8 +482,12 @@ if (cluster.isMaster) {
         console.log(`📡 Available on network: http://192.168.29.250:${PORT}`);
         console.log(`🔗 API Base URL: http://192.168.29.250:${PORT}/api`);
         console.log(`❤️  Health check: http://192.168.29.250:${PORT}/health`);
+        console.log(`📡 Live locations: ws://192.168.29.250:${PORT}/api/buses/live`);
       });
 
+      // Live location push channel (shares the HTTP port)
+      locationSocket.attach(server);
+
       // Optimize server settings
       server.keepAliveTimeout = 65000;
       server.headersTimeout = 66000;
@@ -366,9 +497,21 @@ if (cluster.isMaster) {
       const shutdown = async (signal) => {
         console.log(`🛑 Worker ${process.pid} received ${signal}, shutting down gracefully...`);
         
+        // Upgraded sockets and open event streams keep the HTTP server open, close them first
+        locationSocket.close();
+        eventStream.close();
+        
         server.close(async () => {
           console.log(`✅ Worker ${process.pid}: HTTP server closed`);
           
+          // Buffered location rows must reach the database before it closes
+          await locationWriteBuffer.drain();
+          console.log(`✅ Worker ${process.pid}: Location write buffer drained`);
+          
+          await WebhookService.stop();
+          await stopEventBroker();
+          await closeRedis();
+          
           // Close database connections
           const { closeDatabase } = require('./config/optimizedDatabase');
           await closeDatabase();
@@ -386,8 +529,36 @@ if (cluster.isMaster) {
     }
   };
 
-  // Schedule cleanup tasks (only run on one worker)
-  if (cluster.worker.id === 1) {
+  // Drop expired cache entries every 5 minutes to prevent memory leaks
+  // (every worker, each may hold its own in-memory cache)
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await OptimizedBusService.pruneCaches();
+    } catch (error) {
+      console.error('❌ Cache pruning failed:', error);
+    }
+  });
+
+  // Schedule cleanup tasks (only on the worker the master picks to lead them)
+  const scheduleLeaderJobs = () => {
+    // Mark silent buses stale and stop tracking the ones gone quiet for too long
+    cron.schedule('*/30 * * * * *', async () => {
+      try {
+        await OptimizedBusService.checkBusStatuses();
+      } catch (error) {
+        console.error('❌ Bus status check failed:', error);
+      }
+    });
+
+    // Retry failed webhook deliveries whose backoff has elapsed
+    cron.schedule('*/15 * * * * *', async () => {
+      try {
+        await WebhookService.processDueDeliveries();
+      } catch (error) {
+        console.error('❌ Webhook retry run failed:', error);
+      }
+    });
+
     // Clean up old data every 6 hours
     cron.schedule('0 */6 * * *', async () => {
       try {
@@ -398,34 +569,38 @@ if (cluster.isMaster) {
       }
     });
 
-    // Clear cache every hour to prevent memory leaks
-    cron.schedule('0 * * * *', () => {
-      console.log('🗑️  Clearing caches...');
-      OptimizedBusService.clearAllCaches();
-    });
-
     // Performance monitoring task (every 5 minutes)
-    cron.schedule('*/5 * * * *', () => {
-      const memUsage = process.memoryUsage();
-      const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
-      const uptime = process.uptime();
-      const avgResponseTime = requestCount > 0 ? Math.round(totalResponseTime / requestCount) : 0;
-      
-      console.log(`📊 Performance Check: Heap=${heapUsedMB}MB, Uptime=${Math.floor(uptime/60)}m, AvgResponse=${avgResponseTime}ms, Requests=${requestCount}`);
-      
-      // Alert if memory usage is high
-      if (heapUsedMB > 800) {
-        console.log(`🚨 HIGH MEMORY ALERT: ${heapUsedMB}MB heap usage detected`);
-      }
-      
-      // Alert if average response time is slow
-      if (avgResponseTime > 200) {
-        console.log(`⚠️ SLOW RESPONSE ALERT: ${avgResponseTime}ms average response time`);
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const memUsage = process.memoryUsage();
+        const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
+        const uptime = process.uptime();
+        const { requests } = await metrics.getClusterMetrics();
+
+        console.log(`📊 Performance Check: Heap=${heapUsedMB}MB, Uptime=${Math.floor(uptime/60)}m, p50/p95=${requests.p50}/${requests.p95}ms, Requests=${requests.count}`);
+
+        // Alert if memory usage is high
+        if (heapUsedMB > 800) {
+          console.log(`🚨 HIGH MEMORY ALERT: ${heapUsedMB}MB heap usage detected`);
+        }
+
+        // Alert if the slowest requests are slow
+        if (requests.p95 > 200) {
+          console.log(`⚠️ SLOW RESPONSE ALERT: ${requests.p95}ms p95 response time`);
+        }
+      } catch (error) {
+        console.error('❌ Performance check failed:', error);
       }
     });
 
-    console.log('⏰ Scheduled tasks initialized on worker 1');
-  }
+    console.log(`⏰ Scheduled tasks initialized on worker ${cluster.worker.id}`);
+  };
+
+  process.on('message', message => {
+    if (message && message.channel === JOBS_CHANNEL && message.type === 'lead') {
+      scheduleLeaderJobs();
+    }
+  });
 
   // Start the server
   startOptimizedServer();
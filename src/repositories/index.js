@@ -0,0 +1,117 @@
+const { connectDatabase } = require('../config/optimizedDatabase');
+const { connectSupabase } = require('../config/database');
+const OptimizedBus = require('../models/OptimizedBus');
+const OptimizedLocation = require('../models/OptimizedLocation');
+const OptimizedApiKey = require('../models/OptimizedApiKey');
+const OptimizedTrip = require('../models/OptimizedTrip');
+const OptimizedRoute = require('../models/OptimizedRoute');
+const OptimizedStop = require('../models/OptimizedStop');
+const OptimizedStopEvent = require('../models/OptimizedStopEvent');
+const OptimizedSegmentTime = require('../models/OptimizedSegmentTime');
+const OptimizedGeofence = require('../models/OptimizedGeofence');
+const OptimizedGeofenceEvent = require('../models/OptimizedGeofenceEvent');
+const OptimizedWebhook = require('../models/OptimizedWebhook');
+const OptimizedWebhookDelivery = require('../models/OptimizedWebhookDelivery');
+const OptimizedWebhookDeadLetter = require('../models/OptimizedWebhookDeadLetter');
+const OptimizedDriver = require('../models/OptimizedDriver');
+const Bus = require('../models/Bus');
+const Location = require('../models/Location');
+const ApiKey = require('../models/ApiKey');
+const { createMemoryRepositories } = require('./memoryRepository');
+
+/**
+ * Storage backends for every table, picked with STORAGE_BACKEND.
+ *
+ * Every backend provides the same methods, returning the same entity shapes:
+ *
+ *   buses:     findByBusNumber, create({ busNumber, driverName, routeId }),
+ *              updateActiveStatus, assignRoute, setCurrentTrip (null when the bus is missing),
+ *              getAll, getActiveBuses, getActiveBusesOnRoutes(routeIds),
+ *              getActiveBusesWithRecentActivity(minutesAgo | null) -> [{ bus, latestLocation }]
+ *   locations: create (null for a duplicate fixId), batchCreate, getLatestByBusNumber,
+ *              getByBusNumber(busNumber, limit, offset), getByBusNumberSince(busNumber, hours, maxRows),
+ *              streamByBusNumberSince, streamByTripId, getByTripId, getBusesWithRecentLocations,
+ *              deleteOldLocations, smartCleanup, getLocationStats
+ *   apiKeys:   findActiveByHash, touchLastUsed, create, getAll, revoke (null when already revoked)
+ *
+ * and trips, routes, stops, stopEvents, segmentTimes, geofences, geofenceEvents, webhooks,
+ * webhookDeliveries, webhookDeadLetters and drivers with the methods of their Optimized* models.
+ *
+ * postgres and supabase are the model classes themselves (supabase only has buses, locations
+ * and API keys; the other tables come from PostgreSQL over DATABASE_URL). memory keeps
+ * everything in this process and needs no external services (local development and tests).
+ */
+const POSTGRES_TABLES = {
+  trips: OptimizedTrip,
+  routes: OptimizedRoute,
+  stops: OptimizedStop,
+  stopEvents: OptimizedStopEvent,
+  segmentTimes: OptimizedSegmentTime,
+  geofences: OptimizedGeofence,
+  geofenceEvents: OptimizedGeofenceEvent,
+  webhooks: OptimizedWebhook,
+  webhookDeliveries: OptimizedWebhookDelivery,
+  webhookDeadLetters: OptimizedWebhookDeadLetter,
+  drivers: OptimizedDriver
+};
+
+const BACKENDS = {
+  postgres: {
+    connect: connectDatabase,
+    create: () => ({ name: 'postgres', buses: OptimizedBus, locations: OptimizedLocation, apiKeys: OptimizedApiKey, ...POSTGRES_TABLES })
+  },
+  supabase: {
+    connect: connectSupabase,
+    create: () => ({ name: 'supabase', buses: Bus, locations: Location, apiKeys: ApiKey, ...POSTGRES_TABLES })
+  },
+  memory: {
+    connect: async () => {},
+    create: createMemoryRepositories
+  }
+};
+
+let repositories = null;
+
+/**
+ * Connect the backend named by STORAGE_BACKEND (or `defaultBackend` when unset)
+ */
+const initRepositories = async (defaultBackend = 'postgres') => {
+  const name = process.env.STORAGE_BACKEND || defaultBackend;
+  const backend = BACKENDS[name];
+
+  if (!backend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  try {
+    await backend.connect();
+    repositories = backend.create();
+
+    console.log(`🗄️  Storage backend: ${name}`);
+    return repositories;
+  } catch (error) {
+    console.error(`❌ Failed to initialize ${name} storage:`, error.message);
+    throw error;
+  }
+};
+
+const getRepositories = () => {
+  if (!repositories) {
+    throw new Error('Storage not initialized. Call initRepositories() first.');
+  }
+  return repositories;
+};
+
+// API key lookups for createRoleGuard, resolved per call so routes can be wired before
+// storage is initialized
+const apiKeyStore = {
+  findActiveByHash: (keyHash) => getRepositories().apiKeys.findActiveByHash(keyHash),
+  touchLastUsed: (id) => getRepositories().apiKeys.touchLastUsed(id)
+};
+
+module.exports = {
+  BACKENDS,
+  initRepositories,
+  getRepositories,
+  apiKeyStore
+};
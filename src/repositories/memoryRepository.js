@@ -0,0 +1,1097 @@
+const { randomUUID } = require('crypto');
+const Bus = require('../models/Bus');
+const Location = require('../models/Location');
+const ApiKey = require('../models/ApiKey');
+const OptimizedTrip = require('../models/OptimizedTrip');
+const OptimizedRoute = require('../models/OptimizedRoute');
+const OptimizedStop = require('../models/OptimizedStop');
+const OptimizedStopEvent = require('../models/OptimizedStopEvent');
+const OptimizedSegmentTime = require('../models/OptimizedSegmentTime');
+const OptimizedGeofence = require('../models/OptimizedGeofence');
+const OptimizedGeofenceEvent = require('../models/OptimizedGeofenceEvent');
+const OptimizedWebhook = require('../models/OptimizedWebhook');
+const OptimizedWebhookDelivery = require('../models/OptimizedWebhookDelivery');
+const OptimizedWebhookDeadLetter = require('../models/OptimizedWebhookDeadLetter');
+const OptimizedDriver = require('../models/OptimizedDriver');
+
+// Rows are kept in the same snake_case shape the databases return, so entities are built by
+// the same model constructors. Everything is lost when the process exits.
+
+const minutesAgo = (minutes) => Date.now() - minutes * 60 * 1000;
+const timeOf = (row) => new Date(row.timestamp).getTime();
+const byTimeAndId = (a, b) => timeOf(a) - timeOf(b) || String(a.id).localeCompare(String(b.id));
+
+const now = () => new Date().toISOString();
+const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+
+// ORDER BY <column>, id
+const byColumnAndId = (column) => (a, b) => new Date(a[column]) - new Date(b[column]) || a.id - b.id;
+const newestFirst = (column) => (a, b) => byColumnAndId(column)(b, a);
+
+// YYYY-MM-DD of a timestamp in the given timezone (en-CA formats dates that way), for the
+// "one calendar day" reports
+const dateIn = (timestamp, timezone) => {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date(timestamp));
+};
+
+// Entities get their own copy of the row, as if freshly read, so changing one can't change
+// what is stored
+const load = (Model, row) => new Model(structuredClone(row));
+
+// Like SET column = COALESCE($n, column): null or undefined keeps the stored value
+const coalesce = (row, changes) => {
+  Object.entries(changes).forEach(([column, value]) => {
+    if (value != null) row[column] = value;
+  });
+  row.updated_at = now();
+};
+
+class MemoryBusRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findByBusNumber(busNumber) {
+    const row = this.store.buses.get(busNumber);
+    return row ? new Bus(row) : null;
+  }
+
+  async create(busData) {
+    if (this.store.buses.has(busData.busNumber)) {
+      throw new Error(`Bus ${busData.busNumber} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const row = {
+      id: ++this.store.lastBusId,
+      bus_number: busData.busNumber,
+      driver_name: busData.driverName || 'Unknown',
+      is_active: true,
+      route_id: busData.routeId || null,
+      current_trip_id: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.store.buses.set(row.bus_number, row);
+    return new Bus(row);
+  }
+
+  // Updates return null when the bus doesn't exist
+  async update(busNumber, changes) {
+    const row = this.store.buses.get(busNumber);
+    if (!row) return null;
+
+    Object.assign(row, changes, { updated_at: new Date().toISOString() });
+    return new Bus(row);
+  }
+
+  async updateActiveStatus(busNumber, isActive) {
+    return this.update(busNumber, { is_active: isActive });
+  }
+
+  async assignRoute(busNumber, routeId) {
+    return this.update(busNumber, { route_id: routeId });
+  }
+
+  async setCurrentTrip(busNumber, tripId) {
+    return this.update(busNumber, { current_trip_id: tripId });
+  }
+
+  async getAll() {
+    return [...this.store.buses.values()]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(row => new Bus(row));
+  }
+
+  async getActiveBuses() {
+    return [...this.store.buses.values()]
+      .filter(row => row.is_active)
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+      .map(row => new Bus(row));
+  }
+
+  async getActiveBusesOnRoutes(routeIds) {
+    return [...this.store.buses.values()]
+      .filter(row => row.is_active && routeIds.includes(row.route_id))
+      .sort((a, b) => a.bus_number.localeCompare(b.bus_number))
+      .map(row => new Bus(row));
+  }
+
+  // Active buses with their latest fix, most recently heard first; buses whose latest fix is
+  // older than minutesAgo are left out (every active bus when minutesAgo is null)
+  async getActiveBusesWithRecentActivity(minutes = 30) {
+    const cutoff = minutes != null ? minutesAgo(minutes) : null;
+
+    return [...this.store.buses.values()]
+      .filter(row => row.is_active)
+      .map(row => ({ row, latest: this.store.latestFix(row.bus_number) }))
+      .filter(({ latest }) => !latest || cutoff === null || timeOf(latest) >= cutoff)
+      .sort((a, b) => (b.latest ? timeOf(b.latest) : -Infinity) - (a.latest ? timeOf(a.latest) : -Infinity))
+      .map(({ row, latest }) => ({
+        bus: new Bus(row),
+        latestLocation: latest ? {
+          latitude: parseFloat(latest.latitude),
+          longitude: parseFloat(latest.longitude),
+          accuracy: parseFloat(latest.accuracy || 0),
+          timestamp: latest.timestamp
+        } : null
+      }));
+  }
+}
+
+class MemoryLocationRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Returns null when the bus already has a fix with this fixId
+  async create(locationData) {
+    const [location] = await this.batchCreate([locationData]);
+    return location || null;
+  }
+
+  // Fixes whose fixId the bus already has are skipped and left out of the result
+  async batchCreate(locationsData) {
+    // All or nothing, like one INSERT, and refused for the same reasons: a missing coordinate
+    // (not null violation) or an unknown bus (foreign key violation)
+    const incomplete = locationsData.find(locationData => locationData.latitude == null || locationData.longitude == null);
+    if (incomplete) {
+      throw Object.assign(new Error('Latitude and longitude are required'), { code: '23502' });
+    }
+
+    const unknown = locationsData.find(locationData => !this.store.buses.has(locationData.busNumber));
+    if (unknown) {
+      throw Object.assign(new Error(`Bus ${unknown.busNumber} not found`), { code: '23503' });
+    }
+
+    const saved = [];
+
+    for (const locationData of locationsData) {
+      const fixKey = locationData.fixId ? `${locationData.busNumber}:${locationData.fixId}` : null;
+      if (fixKey && this.store.fixIds.has(fixKey)) continue;
+
+      const row = {
+        id: locationData.id || randomUUID(),
+        bus_number: locationData.busNumber,
+        latitude: locationData.latitude,
+        longitude: locationData.longitude,
+        accuracy: locationData.accuracy || 0,
+        timestamp: new Date(locationData.timestamp || Date.now()).toISOString(),
+        trip_id: locationData.tripId || null,
+        fix_id: locationData.fixId || null,
+        created_at: new Date().toISOString()
+      };
+
+      this.store.locations.push(row);
+      if (fixKey) this.store.fixIds.add(fixKey);
+      saved.push(new Location(row));
+    }
+
+    return saved;
+  }
+
+  async getLatestByBusNumber(busNumber) {
+    const row = this.store.latestFix(busNumber);
+    return row ? new Location(row) : null;
+  }
+
+  // Newest first
+  async getByBusNumber(busNumber, limit = 50, offset = 0) {
+    return this.store.locations
+      .filter(row => row.bus_number === busNumber)
+      .sort((a, b) => byTimeAndId(b, a))
+      .slice(offset, offset + limit)
+      .map(row => new Location(row));
+  }
+
+  // Every fix in the last N hours, oldest first, capped at the newest maxRows
+  async getByBusNumberSince(busNumber, hours, maxRows = 20000) {
+    const since = minutesAgo(hours * 60);
+
+    return this.store.locations
+      .filter(row => row.bus_number === busNumber && timeOf(row) >= since)
+      .sort(byTimeAndId)
+      .slice(-maxRows)
+      .map(row => new Location(row));
+  }
+
+  async *streamWhere(predicate) {
+    const rows = this.store.locations.filter(predicate).sort(byTimeAndId);
+    for (const row of rows) {
+      yield new Location(row);
+    }
+  }
+
+  streamByBusNumberSince(busNumber, hours) {
+    const since = minutesAgo(hours * 60);
+    return this.streamWhere(row => row.bus_number === busNumber && timeOf(row) >= since);
+  }
+
+  streamByTripId(tripId) {
+    return this.streamWhere(row => row.trip_id === tripId);
+  }
+
+  // Every fix recorded during one trip, oldest first
+  async getByTripId(tripId) {
+    return this.store.locations
+      .filter(row => row.trip_id === tripId)
+      .sort(byTimeAndId)
+      .map(row => new Location(row));
+  }
+
+  // Latest fix of every bus that reported in the last N minutes
+  async getBusesWithRecentLocations(minutes = 30) {
+    const cutoff = minutesAgo(minutes);
+
+    return [...this.store.buses.keys()]
+      .map(busNumber => this.store.latestFix(busNumber))
+      .filter(row => row && timeOf(row) >= cutoff)
+      .map(row => new Location(row));
+  }
+
+  async deleteOldLocations(daysOld = 7) {
+    const cutoff = minutesAgo(daysOld * 24 * 60);
+    return this.store.removeLocations(row => new Date(row.created_at).getTime() < cutoff);
+  }
+
+  // Keep one location in every keepSampleEvery per bus once older than daysOld, delete the rest
+  async smartCleanup(daysOld = 7, keepSampleEvery = 10) {
+    const cutoff = minutesAgo(daysOld * 24 * 60);
+    const doomed = new Set();
+    const rowNumbers = new Map();
+
+    this.store.locations
+      .filter(row => new Date(row.created_at).getTime() < cutoff)
+      .sort((a, b) => byTimeAndId(b, a))
+      .forEach(row => {
+        const rowNumber = (rowNumbers.get(row.bus_number) || 0) + 1;
+        rowNumbers.set(row.bus_number, rowNumber);
+        if (rowNumber % keepSampleEvery !== 0) doomed.add(row);
+      });
+
+    return this.store.removeLocations(row => doomed.has(row));
+  }
+
+  async getLocationStats() {
+    const createdAt = this.store.locations.map(row => row.created_at).sort();
+
+    return {
+      totalLocations: this.store.locations.length,
+      uniqueBuses: new Set(this.store.locations.map(row => row.bus_number)).size,
+      oldestRecord: createdAt.length > 0 ? createdAt[0] : null,
+      newestRecord: createdAt.length > 0 ? createdAt[createdAt.length - 1] : null
+    };
+  }
+}
+
+class MemoryApiKeyRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findActiveByHash(keyHash) {
+    const row = this.store.apiKeys.find(key => key.key_hash === keyHash && !key.revoked_at);
+    return row ? new ApiKey(row) : null;
+  }
+
+  async create(keyData) {
+    const row = {
+      id: this.store.nextId('apiKeys'),
+      name: keyData.name,
+      key_prefix: keyData.keyPrefix,
+      key_hash: keyData.keyHash,
+      role: keyData.role,
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      revoked_at: null
+    };
+
+    this.store.apiKeys.push(row);
+    return new ApiKey(row);
+  }
+
+  async touchLastUsed(id) {
+    const row = this.store.apiKeys.find(key => key.id === id);
+    if (row) row.last_used_at = new Date().toISOString();
+  }
+
+  async getAll() {
+    return [...this.store.apiKeys].sort(newestFirst('created_at')).map(row => new ApiKey(row));
+  }
+
+  // Null when the key doesn't exist or was already revoked
+  async revoke(id) {
+    const row = this.store.apiKeys.find(key => key.id === Number(id) && !key.revoked_at);
+    if (!row) return null;
+
+    row.revoked_at = now();
+    return new ApiKey(row);
+  }
+}
+
+class MemoryTripRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('trips', id);
+    return row ? load(OptimizedTrip, row) : null;
+  }
+
+  async create(tripData) {
+    const row = {
+      id: this.store.nextId('trips'),
+      bus_number: tripData.busNumber,
+      driver_id: tripData.driverId || null,
+      driver_name: tripData.driverName || null,
+      route_id: tripData.routeId || null,
+      started_at: now(),
+      ended_at: null,
+      distance_meters: 0,
+      max_speed_kmh: 0,
+      point_count: 0,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.trips.push(row);
+    return load(OptimizedTrip, row);
+  }
+
+  // Null for a trip that is missing or already closed
+  async close(id, stats) {
+    const row = this.store.find('trips', id);
+    if (!row || row.ended_at) return null;
+
+    Object.assign(row, {
+      ended_at: now(),
+      distance_meters: stats.distanceMeters,
+      max_speed_kmh: stats.maxSpeedKmh,
+      point_count: stats.pointCount,
+      updated_at: now()
+    });
+    return load(OptimizedTrip, row);
+  }
+
+  // Most recent first, optionally only trips started on one calendar day in the given timezone
+  async getByBusNumber(busNumber, { date, timezone, limit = 20 } = {}) {
+    return this.store.trips
+      .filter(row => row.bus_number === busNumber && (!date || dateIn(row.started_at, timezone) === date))
+      .sort(newestFirst('started_at'))
+      .slice(0, limit)
+      .map(row => load(OptimizedTrip, row));
+  }
+}
+
+class MemoryRouteRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('routes', id);
+    return row ? load(OptimizedRoute, row) : null;
+  }
+
+  async findByCode(code) {
+    const row = this.store.routes.find(route => route.code === code);
+    return row ? load(OptimizedRoute, row) : null;
+  }
+
+  async getAll(includeInactive = false) {
+    return this.store.routes
+      .filter(row => includeInactive || row.is_active)
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .map(row => load(OptimizedRoute, row));
+  }
+
+  async create(routeData) {
+    if (this.store.routes.some(route => route.code === routeData.code)) {
+      throw new Error(`Route ${routeData.code} already exists`);
+    }
+
+    const row = {
+      id: this.store.nextId('routes'),
+      code: routeData.code,
+      name: routeData.name,
+      description: routeData.description || null,
+      path: routeData.path || null,
+      is_active: routeData.isActive !== false,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.routes.push(row);
+    return load(OptimizedRoute, row);
+  }
+
+  async update(id, routeData) {
+    const row = this.store.find('routes', id);
+    if (!row) return null;
+    if (routeData.code && this.store.routes.some(route => route !== row && route.code === routeData.code)) {
+      throw new Error(`Route ${routeData.code} already exists`);
+    }
+
+    coalesce(row, {
+      code: routeData.code,
+      name: routeData.name,
+      description: routeData.description,
+      path: routeData.path ? structuredClone(routeData.path) : null,
+      is_active: routeData.isActive
+    });
+    return load(OptimizedRoute, row);
+  }
+
+  async delete(id) {
+    const row = this.store.find('routes', id);
+    if (!row) return false;
+
+    this.store.routes = this.store.routes.filter(route => route !== row);
+    this.store.routeStops = this.store.routeStops.filter(link => link.route_id !== row.id);
+    this.store.segmentTimes = this.store.segmentTimes.filter(segment => segment.route_id !== row.id);
+    [...this.store.buses.values(), ...this.store.trips, ...this.store.stopEvents].forEach(other => {
+      if (other.route_id === row.id) other.route_id = null;
+    });
+    return true;
+  }
+
+  // Stops in travel order
+  async getStops(routeId) {
+    return this.store.routeStops
+      .filter(link => link.route_id === Number(routeId))
+      .sort((a, b) => a.stop_order - b.stop_order)
+      .map(link => load(OptimizedStop, { ...this.store.find('stops', link.stop_id), stop_order: link.stop_order }));
+  }
+
+  // Replace the ordered stop list
+  async setStops(routeId, stopIds) {
+    const id = Number(routeId);
+
+    this.store.routeStops = [
+      ...this.store.routeStops.filter(link => link.route_id !== id),
+      ...stopIds.map((stopId, i) => ({ route_id: id, stop_id: stopId, stop_order: i + 1 }))
+    ];
+    return this.getStops(id);
+  }
+}
+
+class MemoryStopRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('stops', id);
+    return row ? load(OptimizedStop, row) : null;
+  }
+
+  async findByIds(ids) {
+    return this.store.stops
+      .filter(row => ids.includes(row.id))
+      .map(row => load(OptimizedStop, row));
+  }
+
+  async getAll() {
+    return [...this.store.stops]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(row => load(OptimizedStop, row));
+  }
+
+  async create(stopData) {
+    const row = {
+      id: this.store.nextId('stops'),
+      name: stopData.name,
+      latitude: stopData.latitude,
+      longitude: stopData.longitude,
+      radius_meters: stopData.radiusMeters || 50,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.stops.push(row);
+    return load(OptimizedStop, row);
+  }
+
+  async update(id, stopData) {
+    const row = this.store.find('stops', id);
+    if (!row) return null;
+
+    coalesce(row, {
+      name: stopData.name,
+      latitude: stopData.latitude,
+      longitude: stopData.longitude,
+      radius_meters: stopData.radiusMeters
+    });
+    return load(OptimizedStop, row);
+  }
+
+  async delete(id) {
+    const row = this.store.find('stops', id);
+    if (!row) return false;
+
+    const servesStop = (other) => [other.stop_id, other.from_stop_id, other.to_stop_id].includes(row.id);
+    this.store.stops = this.store.stops.filter(stop => stop !== row);
+    this.store.routeStops = this.store.routeStops.filter(link => !servesStop(link));
+    this.store.segmentTimes = this.store.segmentTimes.filter(segment => !servesStop(segment));
+    this.store.stopEvents = this.store.stopEvents.filter(event => !servesStop(event));
+    return true;
+  }
+
+  // Routes that serve a stop, with the stop's position on each
+  async getRoutesForStop(stopId) {
+    return this.store.routeStops
+      .filter(link => link.stop_id === Number(stopId))
+      .map(link => ({ route: this.store.find('routes', link.route_id), stopOrder: link.stop_order }))
+      .sort((a, b) => a.route.code.localeCompare(b.route.code))
+      .map(({ route, stopOrder }) => ({
+        id: route.id,
+        code: route.code,
+        name: route.name,
+        stopOrder
+      }));
+  }
+}
+
+class MemoryStopEventRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(eventData) {
+    const row = {
+      id: this.store.nextId('stopEvents'),
+      bus_number: eventData.busNumber,
+      route_id: eventData.routeId || null,
+      trip_id: eventData.tripId || null,
+      stop_id: eventData.stopId,
+      event_type: eventData.eventType,
+      occurred_at: new Date(eventData.occurredAt).toISOString(),
+      dwell_seconds: eventData.dwellSeconds ?? null,
+      latitude: eventData.latitude ?? null,
+      longitude: eventData.longitude ?? null,
+      created_at: now()
+    };
+
+    this.store.stopEvents.push(row);
+    return load(OptimizedStopEvent, row);
+  }
+
+  async getLatestForBus(busNumber) {
+    const [row] = this.store.stopEvents
+      .filter(event => event.bus_number === busNumber)
+      .sort(newestFirst('occurred_at'));
+    return row ? load(OptimizedStopEvent, row) : null;
+  }
+
+  // Oldest first, with the stop name
+  withStopNames(predicate) {
+    return this.store.stopEvents
+      .filter(predicate)
+      .sort(byColumnAndId('occurred_at'))
+      .map(row => load(OptimizedStopEvent, { ...row, stop_name: this.store.find('stops', row.stop_id).name }));
+  }
+
+  async getByTripId(tripId) {
+    return this.withStopNames(event => event.trip_id === Number(tripId));
+  }
+
+  // One bus's stop log for a calendar day in the given timezone
+  async getByBusAndDate(busNumber, date, timezone) {
+    return this.withStopNames(event => event.bus_number === busNumber && dateIn(event.occurred_at, timezone) === date);
+  }
+}
+
+class MemorySegmentTimeRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Observed travel times between consecutive stops, keyed "from-to"
+  async getForRoute(routeId) {
+    const segments = {};
+    this.store.segmentTimes
+      .filter(row => row.route_id === Number(routeId))
+      .forEach(row => {
+        segments[`${row.from_stop_id}-${row.to_stop_id}`] = load(OptimizedSegmentTime, row);
+      });
+    return segments;
+  }
+
+  // Fold one observed traversal into the running average
+  async recordTraversal(routeId, fromStopId, toStopId, seconds) {
+    const key = { route_id: Number(routeId), from_stop_id: Number(fromStopId), to_stop_id: Number(toStopId) };
+    let row = this.store.segmentTimes.find(segment =>
+      Object.entries(key).every(([column, value]) => segment[column] === value));
+
+    if (!row) {
+      row = { ...key, avg_seconds: seconds, sample_count: 1, updated_at: now() };
+      this.store.segmentTimes.push(row);
+    } else {
+      row.avg_seconds += (seconds - row.avg_seconds) / Math.min(row.sample_count + 1, OptimizedSegmentTime.MAX_SAMPLE_WEIGHT);
+      row.sample_count++;
+      row.updated_at = now();
+    }
+
+    return load(OptimizedSegmentTime, row);
+  }
+}
+
+class MemoryGeofenceRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('geofences', id);
+    return row ? load(OptimizedGeofence, row) : null;
+  }
+
+  async getAll() {
+    return [...this.store.geofences]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(row => load(OptimizedGeofence, row));
+  }
+
+  // Only the columns of the geofence's shape are set
+  shapeColumns(geofenceData) {
+    const isCircle = geofenceData.shape === 'circle';
+    return {
+      name: geofenceData.name,
+      shape: geofenceData.shape,
+      latitude: isCircle ? geofenceData.latitude : null,
+      longitude: isCircle ? geofenceData.longitude : null,
+      radius_meters: isCircle ? geofenceData.radiusMeters : null,
+      polygon: isCircle ? null : structuredClone(geofenceData.polygon)
+    };
+  }
+
+  async create(geofenceData) {
+    const row = {
+      id: this.store.nextId('geofences'),
+      ...this.shapeColumns(geofenceData),
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.geofences.push(row);
+    return load(OptimizedGeofence, row);
+  }
+
+  // Replaces the whole shape, so a circle can become a polygon and vice versa
+  async update(id, geofenceData) {
+    const row = this.store.find('geofences', id);
+    if (!row) return null;
+
+    Object.assign(row, this.shapeColumns(geofenceData), { updated_at: now() });
+    return load(OptimizedGeofence, row);
+  }
+
+  async delete(id) {
+    const row = this.store.find('geofences', id);
+    if (!row) return false;
+
+    this.store.geofences = this.store.geofences.filter(geofence => geofence !== row);
+    this.store.geofenceEvents = this.store.geofenceEvents.filter(event => event.geofence_id !== row.id);
+    return true;
+  }
+}
+
+class MemoryGeofenceEventRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(eventData) {
+    const row = {
+      id: this.store.nextId('geofenceEvents'),
+      geofence_id: eventData.geofenceId,
+      bus_number: eventData.busNumber,
+      trip_id: eventData.tripId || null,
+      event_type: eventData.eventType,
+      occurred_at: new Date(eventData.occurredAt).toISOString(),
+      latitude: eventData.latitude ?? null,
+      longitude: eventData.longitude ?? null,
+      created_at: now()
+    };
+
+    this.store.geofenceEvents.push(row);
+    return load(OptimizedGeofenceEvent, row);
+  }
+
+  // Geofences a bus last entered without leaving, with when it entered
+  async getOpenEntriesForBus(busNumber) {
+    const latestByGeofence = new Map();
+    this.store.geofenceEvents
+      .filter(event => event.bus_number === busNumber)
+      .sort(byColumnAndId('occurred_at'))
+      .forEach(event => latestByGeofence.set(event.geofence_id, event));
+
+    return [...latestByGeofence.values()]
+      .filter(event => event.event_type === 'enter')
+      .map(row => load(OptimizedGeofenceEvent, row));
+  }
+
+  // Oldest first, with the geofence name
+  withGeofenceNames(predicate) {
+    return this.store.geofenceEvents
+      .filter(predicate)
+      .sort(byColumnAndId('occurred_at'))
+      .map(row => load(OptimizedGeofenceEvent, { ...row, geofence_name: this.store.find('geofences', row.geofence_id).name }));
+  }
+
+  // One bus's geofence log for a calendar day in the given timezone
+  async getByBusAndDate(busNumber, date, timezone) {
+    return this.withGeofenceNames(event => event.bus_number === busNumber && dateIn(event.occurred_at, timezone) === date);
+  }
+
+  // Every bus's transitions for one geofence on a calendar day
+  async getByGeofenceAndDate(geofenceId, date, timezone) {
+    return this.withGeofenceNames(event => event.geofence_id === Number(geofenceId) && dateIn(event.occurred_at, timezone) === date);
+  }
+}
+
+class MemoryWebhookRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('webhooks', id);
+    return row ? load(OptimizedWebhook, row) : null;
+  }
+
+  async getAll() {
+    return [...this.store.webhooks].sort(newestFirst('created_at')).map(row => load(OptimizedWebhook, row));
+  }
+
+  async getActive() {
+    return this.store.webhooks.filter(row => row.is_active).map(row => load(OptimizedWebhook, row));
+  }
+
+  async create(webhookData) {
+    const row = {
+      id: this.store.nextId('webhooks'),
+      url: webhookData.url,
+      description: webhookData.description || null,
+      event_types: [...webhookData.eventTypes],
+      secret: webhookData.secret,
+      is_active: true,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.webhooks.push(row);
+    return load(OptimizedWebhook, row);
+  }
+
+  async update(id, webhookData) {
+    const row = this.store.find('webhooks', id);
+    if (!row) return null;
+
+    coalesce(row, {
+      url: webhookData.url,
+      description: webhookData.description,
+      event_types: webhookData.eventTypes ? [...webhookData.eventTypes] : null,
+      is_active: webhookData.isActive
+    });
+    return load(OptimizedWebhook, row);
+  }
+
+  async delete(id) {
+    const row = this.store.find('webhooks', id);
+    if (!row) return false;
+
+    this.store.webhooks = this.store.webhooks.filter(webhook => webhook !== row);
+    this.store.webhookDeliveries = this.store.webhookDeliveries.filter(delivery => delivery.webhook_id !== row.id);
+    this.store.webhookDeadLetters = this.store.webhookDeadLetters.filter(deadLetter => deadLetter.webhook_id !== row.id);
+    return true;
+  }
+}
+
+class MemoryWebhookDeliveryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // New deliveries are leased to their creator for the first attempt
+  async create(deliveryData, leaseSeconds) {
+    const row = {
+      id: this.store.nextId('webhookDeliveries'),
+      webhook_id: deliveryData.webhookId,
+      event_id: deliveryData.eventId,
+      event_type: deliveryData.eventType,
+      payload: structuredClone(deliveryData.payload),
+      status: 'pending',
+      attempts: 0,
+      last_status_code: null,
+      last_error: null,
+      next_attempt_at: secondsFromNow(leaseSeconds),
+      delivered_at: null,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.webhookDeliveries.push(row);
+    return load(OptimizedWebhookDelivery, row);
+  }
+
+  // Lease due retries (there is only this process to lease them to)
+  async claimDue(limit, leaseSeconds) {
+    const due = this.store.webhookDeliveries
+      .filter(row => row.status === 'pending' && new Date(row.next_attempt_at).getTime() <= Date.now())
+      .sort(byColumnAndId('next_attempt_at'))
+      .slice(0, limit);
+
+    due.forEach(row => Object.assign(row, { next_attempt_at: secondsFromNow(leaseSeconds), updated_at: now() }));
+    return due.map(row => load(OptimizedWebhookDelivery, row));
+  }
+
+  // Count an attempt and store its outcome
+  recordAttempt(id, changes) {
+    const row = this.store.find('webhookDeliveries', id);
+    if (!row) return null;
+
+    Object.assign(row, changes, { attempts: row.attempts + 1, updated_at: now() });
+    return row;
+  }
+
+  async markDelivered(id, statusCode) {
+    this.recordAttempt(id, {
+      status: 'delivered',
+      last_status_code: statusCode,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: now()
+    });
+  }
+
+  async scheduleRetry(id, { statusCode, error, delaySeconds }) {
+    this.recordAttempt(id, {
+      last_status_code: statusCode ?? null,
+      last_error: error,
+      next_attempt_at: secondsFromNow(delaySeconds)
+    });
+  }
+
+  // Give up on a delivery and copy it to the dead letters
+  async moveToDeadLetters(id, { statusCode, error }) {
+    const row = this.recordAttempt(id, {
+      status: 'dead',
+      last_status_code: statusCode ?? null,
+      last_error: error,
+      next_attempt_at: null
+    });
+    if (!row) return;
+
+    this.store.webhookDeadLetters.push({
+      id: this.store.nextId('webhookDeadLetters'),
+      delivery_id: row.id,
+      webhook_id: row.webhook_id,
+      event_type: row.event_type,
+      payload: structuredClone(row.payload),
+      attempts: row.attempts,
+      last_status_code: row.last_status_code,
+      last_error: row.last_error,
+      replayed_at: null,
+      created_at: now()
+    });
+  }
+
+  // Delivery log for one webhook, newest first
+  async getByWebhookId(webhookId, { status, limit = 50 } = {}) {
+    return this.store.webhookDeliveries
+      .filter(row => row.webhook_id === Number(webhookId) && (!status || row.status === status))
+      .sort(newestFirst('created_at'))
+      .slice(0, limit)
+      .map(row => load(OptimizedWebhookDelivery, row));
+  }
+
+  // Finished deliveries older than N days; their dead letters stay
+  async cleanupDelivered(days) {
+    const cutoff = minutesAgo(days * 24 * 60);
+    const doomed = new Set(this.store.webhookDeliveries
+      .filter(row => row.status !== 'pending' && new Date(row.created_at).getTime() < cutoff)
+      .map(row => row.id));
+
+    this.store.webhookDeliveries = this.store.webhookDeliveries.filter(row => !doomed.has(row.id));
+    this.store.webhookDeadLetters.forEach(deadLetter => {
+      if (doomed.has(deadLetter.delivery_id)) deadLetter.delivery_id = null;
+    });
+    return doomed.size;
+  }
+}
+
+class MemoryWebhookDeadLetterRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const row = this.store.find('webhookDeadLetters', id);
+    return row ? load(OptimizedWebhookDeadLetter, row) : null;
+  }
+
+  // Newest first, optionally for one webhook
+  async getAll({ webhookId, limit = 50 } = {}) {
+    return this.store.webhookDeadLetters
+      .filter(row => !webhookId || row.webhook_id === Number(webhookId))
+      .sort(newestFirst('created_at'))
+      .slice(0, limit)
+      .map(row => load(OptimizedWebhookDeadLetter, row));
+  }
+
+  async markReplayed(id) {
+    const row = this.store.find('webhookDeadLetters', id);
+    if (!row) return null;
+
+    row.replayed_at = now();
+    return load(OptimizedWebhookDeadLetter, row);
+  }
+}
+
+class MemoryDriverRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findByUsername(username) {
+    const row = this.store.drivers.find(driver => driver.username === username);
+    return row ? load(OptimizedDriver, row) : null;
+  }
+
+  // Includes the password hash, only for credential checks
+  async findCredentialsByUsername(username) {
+    const row = this.store.drivers.find(driver => driver.username === username);
+    if (!row) return null;
+
+    return {
+      driver: load(OptimizedDriver, row),
+      passwordHash: row.password_hash
+    };
+  }
+
+  async create(driverData) {
+    if (this.store.drivers.some(driver => driver.username === driverData.username)) {
+      throw new Error(`Driver ${driverData.username} already exists`);
+    }
+
+    const row = {
+      id: this.store.nextId('drivers'),
+      username: driverData.username,
+      password_hash: driverData.passwordHash,
+      name: driverData.name,
+      bus_number: driverData.busNumber || null,
+      is_active: true,
+      last_login_at: null,
+      created_at: now(),
+      updated_at: now()
+    };
+
+    this.store.drivers.push(row);
+    return load(OptimizedDriver, row);
+  }
+
+  async updateLastLogin(id) {
+    const row = this.store.find('drivers', id);
+    if (row) row.last_login_at = now();
+  }
+
+  async getAll() {
+    return [...this.store.drivers]
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(row => load(OptimizedDriver, row));
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this.clear();
+  }
+
+  latestFix(busNumber) {
+    let latest = null;
+    for (const row of this.locations) {
+      if (row.bus_number === busNumber && (!latest || byTimeAndId(row, latest) > 0)) {
+        latest = row;
+      }
+    }
+    return latest;
+  }
+
+  // Returns how many were removed
+  removeLocations(predicate) {
+    const before = this.locations.length;
+
+    this.locations = this.locations.filter(row => {
+      if (!predicate(row)) return true;
+      if (row.fix_id) this.fixIds.delete(`${row.bus_number}:${row.fix_id}`);
+      return false;
+    });
+
+    return before - this.locations.length;
+  }
+
+  // The row of `table` with this id (ids arrive as numbers or numeric strings)
+  find(table, id) {
+    return this[table].find(row => row.id === Number(id)) || null;
+  }
+
+  // Next SERIAL id of a table
+  nextId(table) {
+    this.lastIds[table] = (this.lastIds[table] || 0) + 1;
+    return this.lastIds[table];
+  }
+
+  clear() {
+    this.buses = new Map(); // bus_number -> row
+    this.locations = [];
+    this.fixIds = new Set(); // "<bus_number>:<fix_id>", like idx_locations_bus_fix
+    this.apiKeys = [];
+    this.trips = [];
+    this.routes = [];
+    this.stops = [];
+    this.routeStops = []; // { route_id, stop_id, stop_order }
+    this.segmentTimes = [];
+    this.stopEvents = [];
+    this.geofences = [];
+    this.geofenceEvents = [];
+    this.webhooks = [];
+    this.webhookDeliveries = [];
+    this.webhookDeadLetters = [];
+    this.drivers = [];
+    this.lastBusId = 0;
+    this.lastIds = {};
+  }
+}
+
+/**
+ * A fresh, empty in-memory backend
+ */
+const createMemoryRepositories = () => {
+  const store = new MemoryStore();
+
+  return {
+    name: 'memory',
+    buses: new MemoryBusRepository(store),
+    locations: new MemoryLocationRepository(store),
+    apiKeys: new MemoryApiKeyRepository(store),
+    trips: new MemoryTripRepository(store),
+    routes: new MemoryRouteRepository(store),
+    stops: new MemoryStopRepository(store),
+    stopEvents: new MemoryStopEventRepository(store),
+    segmentTimes: new MemorySegmentTimeRepository(store),
+    geofences: new MemoryGeofenceRepository(store),
+    geofenceEvents: new MemoryGeofenceEventRepository(store),
+    webhooks: new MemoryWebhookRepository(store),
+    webhookDeliveries: new MemoryWebhookDeliveryRepository(store),
+    webhookDeadLetters: new MemoryWebhookDeadLetterRepository(store),
+    drivers: new MemoryDriverRepository(store),
+    clear: () => store.clear()
+  };
+};
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const ApiKeyService = require('../services/apiKeyService');
+const WebhookService = require('../services/webhookService');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
+const {
+  handleValidationErrors,
+  validateCreateApiKey,
+  validateIdParam,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateGetDeliveries,
+  validateGetDeadLetters
+} = require('../middleware/validation');
+
+const requireRole = createRoleGuard(apiKeyStore);
+
+class AdminController {
+  /**
+   * List API keys (hashes are never returned)
+   */
+  static async listApiKeys(req, res, next) {
+    try {
+      const keys = await ApiKeyService.listKeys();
+
+      res.status(200).json({
+        success: true,
+        message: 'API keys retrieved successfully',
+        data: keys,
+        count: keys.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key, the plaintext key is shown only in this response
+   */
+  static async createApiKey(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { name, role } = req.body;
+      const { apiKey, key } = await ApiKeyService.createKey(name, role);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now, it cannot be shown again.',
+        data: { ...apiKey, key }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  static async revokeApiKey(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const apiKey = await ApiKeyService.revokeKey(parseInt(req.params.id));
+
+      res.status(200).json({
+        success: true,
+        message: `API key "${apiKey.name}" revoked`,
+        data: apiKey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listWebhooks(req, res, next) {
+    try {
+      const webhooks = await WebhookService.listWebhooks();
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhooks retrieved successfully',
+        data: webhooks,
+        count: webhooks.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getWebhook(req, res, next) {
+    try {
+      const webhook = await WebhookService.getWebhook(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Webhook ${webhook.id} retrieved successfully`,
+        data: webhook
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Register a webhook, the signing secret is shown only in this response
+   */
+  static async createWebhook(req, res, next) {
+    try {
+      const webhook = await WebhookService.createWebhook(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook registered. Store the secret now, it cannot be shown again.',
+        data: webhook
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateWebhook(req, res, next) {
+    try {
+      const webhook = await WebhookService.updateWebhook(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: `Webhook ${webhook.id} updated successfully`,
+        data: webhook
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteWebhook(req, res, next) {
+    try {
+      await WebhookService.deleteWebhook(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Webhook ${req.params.id} deleted successfully`,
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delivery log for one webhook, newest first (?status=, ?limit= up to 100)
+   */
+  static async getDeliveries(req, res, next) {
+    try {
+      const { status, limit = 50 } = req.query;
+      const deliveries = await WebhookService.getDeliveries(req.params.id, { status, limit: parseInt(limit) });
+
+      res.status(200).json({
+        success: true,
+        message: `Deliveries for webhook ${req.params.id} retrieved successfully`,
+        data: deliveries,
+        count: deliveries.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deliveries that ran out of attempts, newest first (?webhookId=, ?limit= up to 100)
+   */
+  static async getDeadLetters(req, res, next) {
+    try {
+      const { webhookId, limit = 50 } = req.query;
+      const deadLetters = await WebhookService.getDeadLetters({
+        webhookId: webhookId ? parseInt(webhookId) : undefined,
+        limit: parseInt(limit)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Dead letters retrieved successfully',
+        data: deadLetters,
+        count: deadLetters.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async replayDeadLetter(req, res, next) {
+    try {
+      const delivery = await WebhookService.replayDeadLetter(req.params.id);
+
+      res.status(202).json({
+        success: true,
+        message: `Dead letter ${req.params.id} queued for redelivery`,
+        data: delivery
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Every admin route requires the admin role
+router.use(requireRole('admin'));
+
+router.get('/api-keys', AdminController.listApiKeys);
+router.post('/api-keys', validateCreateApiKey, AdminController.createApiKey);
+router.delete('/api-keys/:id', validateIdParam, AdminController.revokeApiKey);
+
+router.get('/webhooks', AdminController.listWebhooks);
+router.post('/webhooks', validateCreateWebhook, handleValidationErrors, AdminController.createWebhook);
+router.get('/webhooks/:id', validateIdParam, handleValidationErrors, AdminController.getWebhook);
+router.put('/webhooks/:id', validateUpdateWebhook, handleValidationErrors, AdminController.updateWebhook);
+router.delete('/webhooks/:id', validateIdParam, handleValidationErrors, AdminController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', validateGetDeliveries, handleValidationErrors, AdminController.getDeliveries);
+router.get('/webhook-dead-letters', validateGetDeadLetters, handleValidationErrors, AdminController.getDeadLetters);
+router.post('/webhook-dead-letters/:id/replay', validateIdParam, handleValidationErrors, AdminController.replayDeadLetter);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const AuthService = require('../services/authService');
+const { requireDriverToken } = require('../middleware/driverAuth');
+const { validateDriverLogin } = require('../middleware/validation');
+
+class AuthController {
+  /**
+   * Driver login, returns a tracking token scoped to one bus
+   */
+  static async login(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { username, password, busNumber } = req.body;
+      const result = await AuthService.loginDriver(username, password, busNumber);
+
+      res.status(200).json({
+        success: result.success,
+        message: result.message,
+        data: {
+          token: result.token,
+          expiresAt: result.expiresAt,
+          driver: result.driver
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Describe the current tracking session (lets the app check its token is still valid)
+   */
+  static session(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'Session is valid',
+      data: req.driverSession
+    });
+  }
+}
+
+router.post('/login', validateDriverLogin, AuthController.login);
+router.get('/session', requireDriverToken, AuthController.session);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const BusController = require('../controllers/busController');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
 const {
+  handleValidationErrors,
   validateStartTracking,
   validateStopTracking,
   validateUpdateLocation,
@@ -9,6 +12,8 @@ const {
   validateCleanup
 } = require('../middleware/validation');
 
+const requireRole = createRoleGuard(apiKeyStore);
+
 // Bus tracking routes
 router.post('/start-tracking', validateStartTracking, BusController.startTracking);
 router.post('/stop-tracking', validateStopTracking, BusController.stopTracking);
@@ -16,13 +21,13 @@ router.post('/stop-tracking', validateStopTracking, BusController.stopTracking);
 // Bus information routes
 router.get('/active', BusController.getActiveBuses);
 router.get('/dashboard', BusController.getDashboard);
-router.get('/:busNumber/history', validateGetHistory, BusController.getBusHistory);
+router.get('/:busNumber/history', validateGetHistory, handleValidationErrors, BusController.getBusHistory);
 
 // Location routes for specific bus
 router.post('/:busNumber/location', validateUpdateLocation, BusController.updateLocation);
 router.get('/:busNumber/location', BusController.getCurrentLocation);
 
 // Maintenance routes
-router.delete('/cleanup', validateCleanup, BusController.cleanupOldData);
+router.delete('/cleanup', requireRole('admin'), validateCleanup, handleValidationErrors, BusController.cleanupOldData);
 
 module.exports = router;
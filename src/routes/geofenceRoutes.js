@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const GeofenceService = require('../services/geofenceService');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
+const {
+  handleValidationErrors,
+  validateIdParam,
+  validateCreateGeofence,
+  validateUpdateGeofence,
+  validateGetGeofenceEvents
+} = require('../middleware/validation');
+
+const requireRole = createRoleGuard(apiKeyStore);
+
+class GeofenceController {
+  static async listGeofences(req, res, next) {
+    try {
+      const geofences = await GeofenceService.listGeofences();
+
+      res.set('Cache-Control', 'public, max-age=60');
+      res.status(200).json({
+        success: true,
+        message: 'Geofences retrieved successfully',
+        data: geofences,
+        count: geofences.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getGeofence(req, res, next) {
+    try {
+      const geofence = await GeofenceService.getGeofence(req.params.id);
+
+      res.set('Cache-Control', 'public, max-age=60');
+      res.status(200).json({
+        success: true,
+        message: `Geofence ${geofence.name} retrieved successfully`,
+        data: geofence
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Every bus's enters and exits for one day (?date=YYYY-MM-DD, default today)
+   */
+  static async getEvents(req, res, next) {
+    try {
+      const result = await GeofenceService.getEventsForGeofence(req.params.id, req.query.date);
+
+      res.set('Cache-Control', 'public, max-age=30');
+      res.status(200).json({
+        success: true,
+        message: `Events for geofence ${result.geofence.name} retrieved successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createGeofence(req, res, next) {
+    try {
+      const geofence = await GeofenceService.createGeofence(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Geofence ${geofence.name} created successfully`,
+        data: geofence
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateGeofence(req, res, next) {
+    try {
+      const geofence = await GeofenceService.updateGeofence(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: `Geofence ${geofence.name} updated successfully`,
+        data: geofence
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteGeofence(req, res, next) {
+    try {
+      await GeofenceService.deleteGeofence(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Geofence ${req.params.id} deleted successfully`,
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Public reads
+router.get('/', GeofenceController.listGeofences);
+router.get('/:id', validateIdParam, handleValidationErrors, GeofenceController.getGeofence);
+router.get('/:id/events', validateGetGeofenceEvents, handleValidationErrors, GeofenceController.getEvents);
+
+// Geofence management (operators)
+router.post('/', requireRole('operator'), validateCreateGeofence, handleValidationErrors, GeofenceController.createGeofence);
+router.put('/:id', requireRole('operator'), validateUpdateGeofence, handleValidationErrors, GeofenceController.updateGeofence);
+router.delete('/:id', requireRole('operator'), validateIdParam, handleValidationErrors, GeofenceController.deleteGeofence);
+
+module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const Location = require('../models/Location');
+const BusService = require('../services/busService');
 
 // Get recent locations for all buses
 router.get('/recent', async (req, res, next) => {
   try {
     const { minutes = 30 } = req.query;
-    const recentLocations = await Location.getBusesWithRecentLocations(parseInt(minutes));
+    const recentLocations = await BusService.getRecentLocations(parseInt(minutes));
     
     res.status(200).json({
       success: true,
@@ -24,7 +24,7 @@ router.get('/bus/:busNumber', async (req, res, next) => {
     const { busNumber } = req.params;
     const { limit = 50, offset = 0 } = req.query;
     
-    const locations = await Location.getByBusNumber(busNumber, parseInt(limit));
+    const locations = await BusService.getLocations(busNumber, parseInt(limit), parseInt(offset));
     
     res.status(200).json({
       success: true,
@@ -56,7 +56,7 @@ router.post('/bulk', async (req, res, next) => {
     const results = [];
     for (const locationData of locations) {
       try {
-        const location = await Location.create(locationData);
+        const location = await BusService.addLocation(locationData.busNumber, locationData);
         results.push(location);
       } catch (error) {
         console.error(`Failed to create location for bus ${locationData.busNumber}:`, error.message);
@@ -1,14 +1,32 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { validationResult } = require('express-validator');
 const OptimizedBusService = require('../services/optimizedBusService');
+const BusService = require('../services/busService');
+const EtaService = require('../services/etaService');
+const TrackExportService = require('../services/trackExportService');
+const eventStream = require('../services/eventStreamService');
+const { requireDriverToken } = require('../middleware/driverAuth');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
 const {
+  handleValidationErrors,
+  getItemErrors,
+  validateBusNumberParam,
   validateStartTracking,
   validateStopTracking,
   validateUpdateLocation,
-  validateGetHistory
+  validateBatchLocations,
+  validateGetHistory,
+  validateGetStopEvents,
+  validateGetTrips,
+  validateNearby,
+  validateWithin
 } = require('../middleware/validation');
 
+const requireRole = createRoleGuard(apiKeyStore);
+
 // Optimized controllers for high-traffic scenarios
 class OptimizedBusController {
   /**
@@ -25,8 +43,12 @@ class OptimizedBusController {
         });
       }
 
-      const { busNumber, driverName } = req.body;
-      const result = await OptimizedBusService.startTrackingOptimized(busNumber, driverName);
+      const { busNumber, driverName, routeId } = req.body;
+      const result = await OptimizedBusService.startTrackingOptimized(
+        busNumber,
+        { driverName, routeId },
+        req.driverSession
+      );
       
       // Fix response format for Android app
       res.status(200).json({
@@ -54,7 +76,7 @@ class OptimizedBusController {
       }
 
       const { busNumber } = req.body;
-      const result = await OptimizedBusService.stopTrackingOptimized(busNumber);
+      const result = await OptimizedBusService.stopTrackingOptimized(busNumber, req.driverSession);
       
       // Fix response format for Android app
       res.status(200).json({
@@ -84,7 +106,11 @@ class OptimizedBusController {
       const { busNumber } = req.params;
       const locationData = req.body;
       
-      const result = await OptimizedBusService.updateLocationOptimized(busNumber, locationData);
+      const result = await OptimizedBusService.updateLocationOptimized(
+        busNumber,
+        locationData,
+        req.driverSession
+      );
       
       // Send minimal response for efficiency with correct format
       res.status(200).json({
@@ -92,6 +118,12 @@ class OptimizedBusController {
         message: result.message,
         data: {
           rateLimited: result.rateLimited || false,
+          rejected: result.rejected || false,
+          duplicate: result.duplicate || false,
+          backfilled: result.backfilled || false,
+          storedFixIds: result.storedFixIds,
+          duplicateFixIds: result.duplicateFixIds || [],
+          rejectedFixIds: result.rejectedFixIds || [],
           timestamp: new Date().toISOString()
         }
       });
@@ -105,27 +137,19 @@ class OptimizedBusController {
    */
   static async batchUpdateLocations(req, res, next) {
     try {
+      // validateBatchLocations has checked the array itself
       const { locations } = req.body;
-      
-      if (!Array.isArray(locations) || locations.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Locations array is required and must not be empty'
-        });
-      }
 
-      if (locations.length > 50) {
-        return res.status(400).json({
-          success: false,
-          message: 'Maximum 50 locations per batch request'
-        });
-      }
-
-      const result = await OptimizedBusService.batchUpdateLocations(locations);
+      // Elements failing validation get their own result; the rest are still stored
+      const invalid = getItemErrors(req, 'locations');
+      const result = await OptimizedBusService.batchUpdateLocations(locations, req.driverSession, invalid);
       
-      res.status(200).json({
-        success: true,
-        message: `Batch processed ${result.processed} locations`,
+      // 207 when any element failed; data.results says which, and why
+      res.status(result.failed > 0 ? 207 : 200).json({
+        success: result.failed < locations.length,
+        message: result.failed > 0
+          ? `Batch processed ${result.processed} locations, ${result.failed} failed`
+          : `Batch processed ${result.processed} locations`,
         data: result
       });
     } catch (error) {
@@ -140,8 +164,8 @@ class OptimizedBusController {
     try {
       const result = await OptimizedBusService.getActiveBusesOptimized();
       
-      // Enhanced cache headers for maximum efficiency
-      const etag = `"${Buffer.from(JSON.stringify(result)).toString('base64').slice(0, 16)}"`;
+      // Enhanced cache headers for maximum efficiency (the ETag changes whenever the list does)
+      const etag = `"${crypto.createHash('sha1').update(JSON.stringify(result)).digest('base64url')}"`;
       
       res.set({
         'Cache-Control': 'public, max-age=30, s-maxage=30, must-revalidate', // 30s cache with validation
@@ -169,6 +193,52 @@ class OptimizedBusController {
     }
   }
 
+  /**
+   * Active buses within ?radius= meters (default 2000) of ?lat=&lng=, nearest first
+   */
+  static async getNearbyBuses(req, res, next) {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radius = req.query.radius !== undefined ? parseFloat(req.query.radius) : 2000;
+      
+      const result = await OptimizedBusService.getNearbyBuses(lat, lng, radius);
+      
+      res.set('Cache-Control', 'public, max-age=5');
+      res.status(200).json({
+        success: true,
+        message: `Buses within ${radius}m retrieved successfully`,
+        data: result,
+        count: result.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Active buses inside ?bbox=minLng,minLat,maxLng,maxLat, nearest to its centre first
+   */
+  static async getBusesWithin(req, res, next) {
+    try {
+      const [minLng, minLat, maxLng, maxLat] = req.query.bbox.split(',').map(Number);
+      
+      const result = await OptimizedBusService.getBusesWithin({ minLng, minLat, maxLng, maxLat });
+      
+      res.set('Cache-Control', 'public, max-age=5');
+      res.status(200).json({
+        success: true,
+        message: 'Buses in bounding box retrieved successfully',
+        data: result,
+        count: result.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Optimized dashboard with performance metrics
    */
@@ -193,17 +263,25 @@ class OptimizedBusController {
   }
 
   /**
-   * Optimized bus history with intelligent sampling
+   * Bus history simplified to at most maxPoints (?hours=, ?maxPoints=, ?tolerance= meters).
+   * With ?format=gpx|kml|geojson|csv (or a matching Accept header) every fix is streamed as a file.
    */
   static async getBusHistory(req, res, next) {
     try {
       const { busNumber } = req.params;
-      const { hours = 24, maxPoints = 100 } = req.query;
+      const { hours = 24, maxPoints = 100, tolerance } = req.query;
+      
+      res.vary('Accept');
+      const format = TrackExportService.negotiateFormat(req);
+      if (format) {
+        return await OptimizedBusService.exportHistory(res, format, busNumber, parseInt(hours));
+      }
       
       const result = await OptimizedBusService.getBusHistoryOptimized(
         busNumber, 
         parseInt(hours), 
-        parseInt(maxPoints)
+        parseInt(maxPoints),
+        tolerance !== undefined ? parseFloat(tolerance) : undefined
       );
       
       // Cache history data for 5 minutes
@@ -223,15 +301,104 @@ class OptimizedBusController {
   }
 
   /**
-   * Real-time location stream endpoint (future WebSocket upgrade)
+   * A bus's trips, newest first (?date=YYYY-MM-DD for one day, ?limit= up to 100).
+   * Also exports as a track file, one track per trip (?format= or Accept).
+   */
+  static async getTrips(req, res, next) {
+    try {
+      const { busNumber } = req.params;
+      const { date, limit = 20 } = req.query;
+      
+      res.vary('Accept');
+      const format = TrackExportService.negotiateFormat(req);
+      if (format) {
+        return await OptimizedBusService.exportTrips(res, format, busNumber, { date, limit: parseInt(limit) });
+      }
+      
+      const trips = await OptimizedBusService.getTrips(busNumber, { date, limit: parseInt(limit) });
+      
+      res.set('Cache-Control', 'public, max-age=30');
+      
+      res.status(200).json({
+        success: true,
+        message: `Trips for bus ${busNumber} retrieved successfully`,
+        data: trips,
+        count: trips.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stop-by-stop arrival/departure log for one day (?date=YYYY-MM-DD, default today)
+   */
+  static async getStopEvents(req, res, next) {
+    try {
+      const { busNumber } = req.params;
+      const result = await OptimizedBusService.getStopEvents(busNumber, req.query.date);
+      
+      res.set('Cache-Control', 'public, max-age=30');
+      
+      res.status(200).json({
+        success: true,
+        message: `Stop events for bus ${busNumber} retrieved successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Geofence enters and exits for one day (?date=YYYY-MM-DD, default today)
+   */
+  static async getGeofenceEvents(req, res, next) {
+    try {
+      const { busNumber } = req.params;
+      const result = await OptimizedBusService.getGeofenceEvents(busNumber, req.query.date);
+      
+      res.set('Cache-Control', 'public, max-age=30');
+      
+      res.status(200).json({
+        success: true,
+        message: `Geofence events for bus ${busNumber} retrieved successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Arrival estimates for the stops ahead of a bus on its route
+   */
+  static async getBusEta(req, res, next) {
+    try {
+      const { busNumber } = req.params;
+      const result = await EtaService.getBusEta(busNumber);
+      
+      res.set('Cache-Control', 'public, max-age=5');
+      
+      res.status(200).json({
+        success: true,
+        message: `ETA for bus ${busNumber} retrieved successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Latest location poll (live clients should use the ws://.../api/buses/live push channel)
    */
   static async getLocationStream(req, res, next) {
     try {
       const { busNumber } = req.params;
       
       // Get latest location with minimal data
-      const OptimizedLocation = require('../models/OptimizedLocation');
-      const latestLocation = await OptimizedLocation.getLatestByBusNumber(busNumber);
+      const latestLocation = await BusService.getCurrentLocation(busNumber);
       
       if (!latestLocation) {
         return res.status(404).json({
@@ -256,6 +423,17 @@ class OptimizedBusController {
     }
   }
 
+  /**
+   * Server-Sent Events feed of location and tracking events (supports Last-Event-ID resume)
+   */
+  static streamEvents(req, res, next) {
+    try {
+      eventStream.connect(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * System health and metrics
    */
@@ -292,22 +470,29 @@ class OptimizedBusController {
   }
 }
 
-// Optimized routes with proper middleware
-router.post('/start-tracking', validateStartTracking, OptimizedBusController.startTracking);
-router.post('/stop-tracking', validateStopTracking, OptimizedBusController.stopTracking);
+// Optimized routes with proper middleware (writes need a driver token for the bus)
+router.post('/start-tracking', requireDriverToken, validateStartTracking, OptimizedBusController.startTracking);
+router.post('/stop-tracking', requireDriverToken, validateStopTracking, OptimizedBusController.stopTracking);
 
 // High-performance location endpoints
-router.post('/:busNumber/location', validateUpdateLocation, OptimizedBusController.updateLocation);
-router.post('/locations/batch', OptimizedBusController.batchUpdateLocations);
+router.post('/:busNumber/location', requireDriverToken, validateUpdateLocation, OptimizedBusController.updateLocation);
+router.post('/locations/batch', requireDriverToken, validateBatchLocations, OptimizedBusController.batchUpdateLocations);
 router.get('/:busNumber/location/stream', OptimizedBusController.getLocationStream);
+router.get('/events', OptimizedBusController.streamEvents);
 
 // Data retrieval endpoints with caching
 router.get('/active', OptimizedBusController.getActiveBuses);
+router.get('/nearby', validateNearby, handleValidationErrors, OptimizedBusController.getNearbyBuses);
+router.get('/within', validateWithin, handleValidationErrors, OptimizedBusController.getBusesWithin);
 router.get('/dashboard', OptimizedBusController.getDashboard);
-router.get('/:busNumber/history', validateGetHistory, OptimizedBusController.getBusHistory);
+router.get('/:busNumber/history', validateGetHistory, handleValidationErrors, OptimizedBusController.getBusHistory);
+router.get('/:busNumber/trips', validateGetTrips, handleValidationErrors, OptimizedBusController.getTrips);
+router.get('/:busNumber/stop-events', validateGetStopEvents, handleValidationErrors, OptimizedBusController.getStopEvents);
+router.get('/:busNumber/geofence-events', validateGetStopEvents, handleValidationErrors, OptimizedBusController.getGeofenceEvents);
+router.get('/:busNumber/eta', validateBusNumberParam, handleValidationErrors, OptimizedBusController.getBusEta);
 
 // System monitoring endpoints
-router.get('/system/metrics', OptimizedBusController.getSystemMetrics);
-router.post('/system/cleanup', OptimizedBusController.triggerCleanup);
+router.get('/system/metrics', requireRole('operator'), OptimizedBusController.getSystemMetrics);
+router.post('/system/cleanup', requireRole('admin'), OptimizedBusController.triggerCleanup);
 
 module.exports = router;
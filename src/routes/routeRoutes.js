@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const RouteService = require('../services/routeService');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
+const {
+  handleValidationErrors,
+  validateIdParam,
+  validateCreateRoute,
+  validateUpdateRoute,
+  validateRouteStops
+} = require('../middleware/validation');
+
+const requireRole = createRoleGuard(apiKeyStore);
+
+class RouteController {
+  /**
+   * List routes (?includeInactive=true for retired routes too)
+   */
+  static async listRoutes(req, res, next) {
+    try {
+      const routes = await RouteService.listRoutes(req.query.includeInactive === 'true');
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json({
+        success: true,
+        message: 'Routes retrieved successfully',
+        data: routes,
+        count: routes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One route with its ordered stops
+   */
+  static async getRoute(req, res, next) {
+    try {
+      const route = await RouteService.getRoute(req.params.id);
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json({
+        success: true,
+        message: `Route ${route.code} retrieved successfully`,
+        data: route
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createRoute(req, res, next) {
+    try {
+      const route = await RouteService.createRoute(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Route ${route.code} created successfully`,
+        data: route
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateRoute(req, res, next) {
+    try {
+      const route = await RouteService.updateRoute(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: `Route ${route.code} updated successfully`,
+        data: route
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the ordered stop list
+   */
+  static async setRouteStops(req, res, next) {
+    try {
+      const route = await RouteService.setRouteStops(req.params.id, req.body.stopIds);
+
+      res.status(200).json({
+        success: true,
+        message: `Stops for route ${route.code} updated successfully`,
+        data: route
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteRoute(req, res, next) {
+    try {
+      await RouteService.deleteRoute(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Route ${req.params.id} deleted successfully`,
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Public reads
+router.get('/', RouteController.listRoutes);
+router.get('/:id', validateIdParam, handleValidationErrors, RouteController.getRoute);
+
+// Route management (operators)
+router.post('/', requireRole('operator'), validateCreateRoute, handleValidationErrors, RouteController.createRoute);
+router.put('/:id', requireRole('operator'), validateUpdateRoute, handleValidationErrors, RouteController.updateRoute);
+router.put('/:id/stops', requireRole('operator'), validateRouteStops, handleValidationErrors, RouteController.setRouteStops);
+router.delete('/:id', requireRole('operator'), validateIdParam, handleValidationErrors, RouteController.deleteRoute);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const RouteService = require('../services/routeService');
+const EtaService = require('../services/etaService');
+const { apiKeyStore } = require('../repositories');
+const { createRoleGuard } = require('../middleware/apiKeyAuth');
+const {
+  handleValidationErrors,
+  validateIdParam,
+  validateCreateStop,
+  validateUpdateStop
+} = require('../middleware/validation');
+
+const requireRole = createRoleGuard(apiKeyStore);
+
+class StopController {
+  static async listStops(req, res, next) {
+    try {
+      const stops = await RouteService.listStops();
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json({
+        success: true,
+        message: 'Stops retrieved successfully',
+        data: stops,
+        count: stops.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One stop with the routes that serve it
+   */
+  static async getStop(req, res, next) {
+    try {
+      const stop = await RouteService.getStop(req.params.id);
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json({
+        success: true,
+        message: `Stop ${stop.name} retrieved successfully`,
+        data: stop
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Buses heading to a stop, soonest first
+   */
+  static async getArrivals(req, res, next) {
+    try {
+      const result = await EtaService.getStopArrivals(req.params.id);
+
+      res.set('Cache-Control', 'public, max-age=5');
+      res.status(200).json({
+        success: true,
+        message: `Arrivals for stop ${result.stop.name} retrieved successfully`,
+        data: result,
+        count: result.arrivals.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createStop(req, res, next) {
+    try {
+      const stop = await RouteService.createStop(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Stop ${stop.name} created successfully`,
+        data: stop
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateStop(req, res, next) {
+    try {
+      const stop = await RouteService.updateStop(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: `Stop ${stop.name} updated successfully`,
+        data: stop
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteStop(req, res, next) {
+    try {
+      await RouteService.deleteStop(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: `Stop ${req.params.id} deleted successfully`,
+        data: null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+// Public reads
+router.get('/', StopController.listStops);
+router.get('/:id', validateIdParam, handleValidationErrors, StopController.getStop);
+router.get('/:id/arrivals', validateIdParam, handleValidationErrors, StopController.getArrivals);
+
+// Stop management (operators)
+router.post('/', requireRole('operator'), validateCreateStop, handleValidationErrors, StopController.createStop);
+router.put('/:id', requireRole('operator'), validateUpdateStop, handleValidationErrors, StopController.updateStop);
+router.delete('/:id', requireRole('operator'), validateIdParam, handleValidationErrors, StopController.deleteStop);
+
+module.exports = router;
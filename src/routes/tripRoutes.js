@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const TripService = require('../services/tripService');
+const TrackExportService = require('../services/trackExportService');
+const { handleValidationErrors, validateGetTrip } = require('../middleware/validation');
+
+class TripController {
+  /**
+   * One trip with its totals and stop-by-stop log, or its fixes as a track file
+   * (?format=gpx|kml|geojson|csv or a matching Accept header)
+   */
+  static async getTrip(req, res, next) {
+    try {
+      const trip = await TripService.getTrip(req.params.id);
+
+      res.vary('Accept');
+      const format = TrackExportService.negotiateFormat(req);
+      if (format) {
+        return await TrackExportService.streamTrips(res, format, `trip-${trip.id}`, [trip]);
+      }
+
+      // Completed trips rarely change
+      res.set('Cache-Control', trip.endedAt ? 'public, max-age=300' : 'public, max-age=30');
+      res.status(200).json({
+        success: true,
+        message: `Trip ${trip.id} retrieved successfully`,
+        data: trip
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+router.get('/:id', validateGetTrip, handleValidationErrors, TripController.getTrip);
+
+module.exports = router;
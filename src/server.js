@@ -9,7 +9,8 @@ require('dotenv').config();
 const busRoutes = require('./routes/busRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
-const { connectSupabase } = require('./config/database');
+const { initRepositories } = require('./repositories');
+const ApiKeyService = require('./services/apiKeyService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -58,11 +59,16 @@ app.use('/api/locations', locationRoutes);
 app.use(notFound);
 app.use(errorHandler);
 
-// Initialize Supabase connection and start server
+// Initialize storage (Supabase unless STORAGE_BACKEND says otherwise) and start server
 const startServer = async () => {
   try {
-    await connectSupabase();
-    console.log('✅ Supabase connected successfully');
+    const storage = await initRepositories('supabase');
+    
+    // In-memory storage starts empty, so hand out an admin key for this run
+    if (storage.name === 'memory') {
+      const { key } = await ApiKeyService.createKey('local-admin', 'admin');
+      console.log(`🔑 Local admin API key (valid until restart): ${key}`);
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 SVCE Bus Tracker API Server running on port ${PORT}`);
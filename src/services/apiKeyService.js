@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { getRepositories, apiKeyStore } = require('../repositories');
+const { MemoryCacheStore } = require('./cacheStore');
+const httpError = require('../utils/httpError');
+
+// Roles in ascending order of privilege; each role can do everything the ones before it can
+const ROLES = ['viewer', 'driver', 'operator', 'admin'];
+
+// Recently verified keys, so guarded routes don't hit the database on every request.
+// A revoked key may keep working on other workers for up to this long.
+const KEY_CACHE_TTL = 60000; // 1 minute
+const keyCache = new MemoryCacheStore();
+
+const apiKeys = () => getRepositories().apiKeys;
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Does `role` satisfy a route that requires `requiredRole`?
+   */
+  static hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+  }
+
+  /**
+   * Resolve a raw key to its active record, or null
+   */
+  static async authenticate(rawKey, ApiKeyModel = apiKeyStore) {
+    const keyHash = hashKey(rawKey);
+
+    const cached = await keyCache.get(keyHash);
+    if (cached) return cached;
+
+    const apiKey = await ApiKeyModel.findActiveByHash(keyHash);
+    if (!apiKey) return null;
+
+    await keyCache.set(keyHash, apiKey, KEY_CACHE_TTL);
+
+    // Best effort, a failed timestamp update shouldn't fail the request
+    ApiKeyModel.touchLastUsed(apiKey.id).catch(error => {
+      console.error('❌ Failed to record API key usage:', error.message);
+    });
+
+    return apiKey;
+  }
+
+  /**
+   * Create a key; the raw key is only ever returned here, only its hash is stored
+   */
+  static async createKey(name, role) {
+    if (!ROLES.includes(role)) {
+      throw httpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const rawKey = `svce_${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await apiKeys().create({
+      name,
+      role,
+      keyPrefix: rawKey.slice(0, 12),
+      keyHash: hashKey(rawKey)
+    });
+
+    console.log(`🔑 Created ${role} API key "${name}" (${apiKey.keyPrefix}...)`);
+    return { apiKey, key: rawKey };
+  }
+
+  static async listKeys() {
+    return apiKeys().getAll();
+  }
+
+  static async revokeKey(id) {
+    const apiKey = await apiKeys().revoke(id);
+    if (!apiKey) {
+      throw httpError(404, `API key ${id} not found or already revoked`);
+    }
+
+    await keyCache.clear();
+    console.log(`🚫 Revoked API key "${apiKey.name}" (${apiKey.keyPrefix}...)`);
+    return apiKey;
+  }
+}
+
+ApiKeyService.ROLES = ROLES;
+
+module.exports = ApiKeyService;
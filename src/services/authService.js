@@ -0,0 +1,107 @@
+const { hashPassword, verifyPassword, signToken, verifyToken } = require('../utils/security');
+const { getRepositories } = require('../repositories');
+const httpError = require('../utils/httpError');
+
+const drivers = () => getRepositories().drivers;
+
+// Tracking sessions last one shift by default
+const DRIVER_TOKEN_TTL = (parseInt(process.env.DRIVER_TOKEN_TTL_HOURS) || 12) * 60 * 60;
+
+// Checked when the username is unknown, so those logins take as long as a wrong password
+const DUMMY_PASSWORD_HASH = 'scrypt$fefd52e764686f039b30fc2c93c52ea7$a82621c59b7a86a8586950ecdd2975b6b6096cb7fd4bf7769522a3b5f2d6224e09e9b698472902f9ef1e6de5c3779f36571d787b754ed3f5b9c85c39517db15c';
+
+class AuthService {
+  /**
+   * Log a driver in and issue a tracking token scoped to one bus
+   */
+  static async loginDriver(username, password, busNumber) {
+    try {
+      const credentials = await drivers().findCredentialsByUsername(username);
+      const matches = await verifyPassword(password, credentials ? credentials.passwordHash : DUMMY_PASSWORD_HASH);
+
+      if (!credentials || !matches || !credentials.driver.isActive) {
+        throw httpError(401, 'Invalid username or password');
+      }
+
+      const { driver } = credentials;
+      const scopedBus = busNumber || driver.busNumber;
+
+      if (!scopedBus) {
+        throw httpError(400, 'Bus number is required for drivers without an assigned bus');
+      }
+
+      if (driver.busNumber && driver.busNumber !== scopedBus) {
+        throw httpError(403, `Driver ${driver.username} is assigned to bus ${driver.busNumber}`);
+      }
+
+      const token = signToken({
+        sub: driver.id,
+        name: driver.name,
+        bus: scopedBus,
+        scope: 'driver'
+      }, DRIVER_TOKEN_TTL);
+
+      await drivers().updateLastLogin(driver.id);
+      console.log(`🔑 Driver ${driver.username} logged in for bus ${scopedBus}`);
+
+      return {
+        success: true,
+        message: `Logged in for bus ${scopedBus}`,
+        token,
+        expiresAt: new Date(Date.now() + DRIVER_TOKEN_TTL * 1000).toISOString(),
+        driver: {
+          id: driver.id,
+          username: driver.username,
+          name: driver.name,
+          busNumber: scopedBus
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Login failed for driver ${username}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a bearer token into a driver session, or null if it isn't valid
+   */
+  static verifyDriverToken(token) {
+    const claims = verifyToken(token);
+    if (!claims || claims.scope !== 'driver') return null;
+
+    return {
+      driverId: claims.sub,
+      driverName: claims.name,
+      busNumber: claims.bus,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Reject writes whose session is scoped to a different bus
+   */
+  static assertBusScope(session, busNumber) {
+    if (!session) {
+      throw httpError(401, 'Driver authentication required');
+    }
+
+    if (session.busNumber !== busNumber) {
+      throw httpError(403, `Token is not valid for bus ${busNumber}`);
+    }
+  }
+
+  /**
+   * Create a driver account (used by the manage-drivers script)
+   */
+  static async createDriver({ username, password, name, busNumber }) {
+    const existing = await drivers().findByUsername(username);
+    if (existing) {
+      throw httpError(409, `Driver ${username} already exists`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    return drivers().create({ username, passwordHash, name, busNumber });
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+
+// Process-wide event bus for tracking events (feeds live push channels)
+const busEvents = new EventEmitter();
+
+// Every connected push channel registers a listener, so don't cap them
+busEvents.setMaxListeners(0);
+
+const EVENT_TYPES = {
+  LOCATION: 'location',
+  TRACKING_STARTED: 'tracking-started',
+  TRACKING_STOPPED: 'tracking-stopped',
+  STOP_ARRIVAL: 'stop-arrival',
+  STOP_DEPARTURE: 'stop-departure',
+  GEOFENCE_ENTER: 'geofence-enter',
+  GEOFENCE_EXIT: 'geofence-exit',
+  OFF_ROUTE: 'off-route',
+  ON_ROUTE: 'on-route',
+  BUS_STATUS: 'bus-status'
+};
+
+const publish = (type, busNumber, data = {}) => {
+  const event = {
+    id: randomUUID(),
+    type,
+    busNumber,
+    ...data,
+    timestamp: new Date().toISOString()
+  };
+
+  busEvents.emit(type, event);
+  return event;
+};
+
+/**
+ * Announce an accepted location write
+ */
+const publishLocation = (busNumber, location) => {
+  return publish(EVENT_TYPES.LOCATION, busNumber, {
+    location: {
+      lat: location.latitude,
+      lng: location.longitude,
+      accuracy: location.accuracy,
+      timestamp: location.timestamp
+    }
+  });
+};
+
+/**
+ * Announce that a bus started tracking
+ */
+const publishTrackingStarted = (bus) => {
+  return publish(EVENT_TYPES.TRACKING_STARTED, bus.busNumber, {
+    bus: {
+      busNumber: bus.busNumber,
+      driverName: bus.driverName,
+      routeId: bus.routeId || null,
+      currentTripId: bus.currentTripId || null,
+      isActive: true
+    }
+  });
+};
+
+/**
+ * Announce that a bus stopped tracking
+ */
+const publishTrackingStopped = (busNumber) => {
+  return publish(EVENT_TYPES.TRACKING_STOPPED, busNumber);
+};
+
+/**
+ * Announce that a bus arrived at or left a stop
+ */
+const publishStopEvent = (stopEvent, stop) => {
+  const type = stopEvent.eventType === 'arrival' ? EVENT_TYPES.STOP_ARRIVAL : EVENT_TYPES.STOP_DEPARTURE;
+
+  return publish(type, stopEvent.busNumber, {
+    stop: { id: stop.id, name: stop.name },
+    routeId: stopEvent.routeId,
+    occurredAt: stopEvent.occurredAt,
+    dwellSeconds: stopEvent.dwellSeconds
+  });
+};
+
+/**
+ * Announce that a bus entered or left a geofence
+ */
+const publishGeofenceEvent = (geofenceEvent, geofence) => {
+  const type = geofenceEvent.eventType === 'enter' ? EVENT_TYPES.GEOFENCE_ENTER : EVENT_TYPES.GEOFENCE_EXIT;
+
+  return publish(type, geofenceEvent.busNumber, {
+    geofence: { id: geofence.id, name: geofence.name },
+    occurredAt: geofenceEvent.occurredAt
+  });
+};
+
+/**
+ * Announce that a bus left its route, or came back to it
+ */
+const publishRouteDeviation = (bus, offRoute, location, offsetMeters) => {
+  return publish(offRoute ? EVENT_TYPES.OFF_ROUTE : EVENT_TYPES.ON_ROUTE, bus.busNumber, {
+    routeId: bus.routeId,
+    offsetMeters: Math.round(offsetMeters),
+    location: {
+      lat: location.latitude,
+      lng: location.longitude,
+      timestamp: location.timestamp
+    }
+  });
+};
+
+/**
+ * Announce that a bus went live, stale or offline
+ */
+const publishBusStatus = (busNumber, status, previousStatus, { lastFixAt = null, reason = null } = {}) => {
+  return publish(EVENT_TYPES.BUS_STATUS, busNumber, {
+    status,
+    previousStatus,
+    lastFixAt,
+    reason
+  });
+};
+
+module.exports = {
+  busEvents,
+  EVENT_TYPES,
+  publishLocation,
+  publishTrackingStarted,
+  publishTrackingStopped,
+  publishStopEvent,
+  publishGeofenceEvent,
+  publishRouteDeviation,
+  publishBusStatus
+};
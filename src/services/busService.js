@@ -1,152 +1,186 @@
-const Bus = require('../models/Bus');
-const Location = require('../models/Location');
+const { getRepositories } = require('../repositories');
+const httpError = require('../utils/httpError');
 
+// Storage is chosen at startup (see repositories/index.js)
+const buses = () => getRepositories().buses;
+const locations = () => getRepositories().locations;
+
+// The most rows read for one history request
+const HISTORY_MAX_ROWS = 20000;
+
+/**
+ * Bus tracking over whichever storage backend is configured. Both the basic and the optimized
+ * API build on this; the optimized service adds caching, trips and live detection on top.
+ */
 class BusService {
   /**
-   * Start tracking a bus
+   * Create the bus or reactivate it, moving it to routeId when one is given
    */
-  static async startTracking(busNumber, driverName = 'Unknown') {
+  static async startTracking(busNumber, { driverName = 'Unknown', routeId = null } = {}) {
     try {
-      // Check if bus already exists
-      let bus = await Bus.findByBusNumber(busNumber);
-      
+      let bus = await buses().findByBusNumber(busNumber);
+
       if (!bus) {
-        // Create new bus if it doesn't exist
-        bus = await Bus.create({
+        bus = await buses().create({
           busNumber,
-          driverName
+          driverName,
+          routeId
         });
         console.log(`📍 Created new bus: ${busNumber}`);
       } else {
-        // Update existing bus to active
-        bus = await Bus.updateActiveStatus(busNumber, true);
+        bus = await buses().updateActiveStatus(busNumber, true);
+        if (routeId && bus.routeId !== routeId) {
+          bus = await buses().assignRoute(busNumber, routeId);
+        }
         console.log(`🔄 Reactivated bus: ${busNumber}`);
       }
 
-      return {
-        success: true,
-        message: `Bus ${busNumber} tracking started successfully`,
-        bus: bus
-      };
+      return bus;
     } catch (error) {
       console.error(`❌ Error starting tracking for bus ${busNumber}:`, error);
-      throw new Error(`Failed to start tracking: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Stop tracking a bus
+   * Deactivate a bus
    */
   static async stopTracking(busNumber) {
     try {
-      const bus = await Bus.findByBusNumber(busNumber);
-      
+      const bus = await buses().updateActiveStatus(busNumber, false);
       if (!bus) {
-        throw new Error(`Bus ${busNumber} not found`);
+        throw httpError(404, `Bus ${busNumber} not found`);
       }
 
-      await Bus.updateActiveStatus(busNumber, false);
       console.log(`🛑 Stopped tracking bus: ${busNumber}`);
-
-      return {
-        success: true,
-        message: `Bus ${busNumber} tracking stopped successfully`
-      };
+      return bus;
     } catch (error) {
       console.error(`❌ Error stopping tracking for bus ${busNumber}:`, error);
-      throw new Error(`Failed to stop tracking: ${error.message}`);
+      throw error;
+    }
+  }
+
+  static async getBus(busNumber) {
+    const bus = await buses().findByBusNumber(busNumber);
+    if (!bus) {
+      throw httpError(404, `Bus ${busNumber} not found`);
     }
+    return bus;
   }
 
   /**
-   * Update bus location
+   * Locations are only taken for a bus that exists and is tracking
    */
-  static async updateLocation(busNumber, locationData) {
-    try {
-      // Validate required fields
-      if (!locationData.latitude || !locationData.longitude) {
-        throw new Error('Latitude and longitude are required');
-      }
+  static assertTracking(bus, busNumber) {
+    if (!bus) {
+      throw httpError(404, `Bus ${busNumber} not found. Please start tracking first.`, 'BUS_NOT_FOUND');
+    }
 
-      // Check if bus exists and is active
-      const bus = await Bus.findByBusNumber(busNumber);
-      if (!bus) {
-        throw new Error(`Bus ${busNumber} not found. Please start tracking first.`);
-      }
+    if (!bus.isActive) {
+      throw httpError(409, `Bus ${busNumber} is not currently being tracked`, 'BUS_NOT_TRACKING');
+    }
+  }
 
-      if (!bus.isActive) {
-        throw new Error(`Bus ${busNumber} is not currently being tracked`);
+  /**
+   * Store one fix for a tracking bus
+   */
+  static async updateLocation(busNumber, locationData) {
+    try {
+      if (locationData.latitude == null || locationData.longitude == null) {
+        throw httpError(400, 'Latitude and longitude are required');
       }
 
-      // Create location record
-      const location = await Location.create({
-        busNumber,
-        latitude: parseFloat(locationData.latitude),
-        longitude: parseFloat(locationData.longitude),
-        accuracy: parseFloat(locationData.accuracy) || 0,
-        timestamp: locationData.timestamp || new Date().toISOString()
-      });
-
-      console.log(`📍 Location updated for bus ${busNumber}: ${location.latitude}, ${location.longitude}`);
+      const bus = await buses().findByBusNumber(busNumber);
+      this.assertTracking(bus, busNumber);
 
-      return {
-        success: true,
-        message: `Location updated for bus ${busNumber}`,
-        location: location
-      };
+      return await this.addLocation(busNumber, locationData);
     } catch (error) {
       console.error(`❌ Error updating location for bus ${busNumber}:`, error);
-      throw new Error(`Failed to update location: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Get all active buses with their latest locations
+   * Store one fix whether or not the bus is tracking (basic bulk upload). Storage still refuses
+   * fixes for unknown buses or without coordinates.
+   */
+  static async addLocation(busNumber, locationData) {
+    const location = await locations().create({
+      busNumber,
+      latitude: locationData.latitude != null ? parseFloat(locationData.latitude) : null,
+      longitude: locationData.longitude != null ? parseFloat(locationData.longitude) : null,
+      accuracy: parseFloat(locationData.accuracy) || 0,
+      timestamp: locationData.timestamp || new Date().toISOString()
+    });
+
+    console.log(`📍 Location updated for bus ${busNumber}: ${location.latitude}, ${location.longitude}`);
+    return location;
+  }
+
+  /**
+   * Every active bus with its latest stored location (null before its first fix), most
+   * recently updated bus first
    */
   static async getActiveBusesWithLocations() {
     try {
-      const activeBuses = await Bus.getActiveBuses();
-      const busesWithLocations = [];
-
-      for (const bus of activeBuses) {
-        const latestLocation = await Location.getLatestByBusNumber(bus.busNumber);
-        busesWithLocations.push({
-          bus: bus,
-          latestLocation: latestLocation
-        });
-      }
+      const activeBuses = await buses().getActiveBuses();
 
-      return busesWithLocations;
+      return await Promise.all(activeBuses.map(async bus => ({
+        bus,
+        latestLocation: await locations().getLatestByBusNumber(bus.busNumber)
+      })));
     } catch (error) {
       console.error('❌ Error getting active buses with locations:', error);
-      throw new Error(`Failed to get active buses: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Get bus tracking history
+   * Active buses with the position of their latest fix, most recently heard first, in one
+   * query. With minutesAgo, buses silent for longer are left out.
+   */
+  static async getRecentlyActiveBuses(minutesAgo = null) {
+    try {
+      return await buses().getActiveBusesWithRecentActivity(minutesAgo);
+    } catch (error) {
+      console.error('❌ Error getting recently active buses:', error);
+      throw error;
+    }
+  }
+
+  static async getCurrentLocation(busNumber) {
+    return locations().getLatestByBusNumber(busNumber);
+  }
+
+  /**
+   * Latest location of every bus heard from in the last N minutes
+   */
+  static async getRecentLocations(minutesAgo = 30) {
+    return locations().getBusesWithRecentLocations(minutesAgo);
+  }
+
+  /**
+   * A page of a bus's locations, newest first
+   */
+  static async getLocations(busNumber, limit = 50, offset = 0) {
+    return locations().getByBusNumber(busNumber, limit, offset);
+  }
+
+  /**
+   * Every location of the last N hours, oldest first
    */
   static async getBusHistory(busNumber, hours = 24) {
     try {
-      const bus = await Bus.findByBusNumber(busNumber);
-      if (!bus) {
-        throw new Error(`Bus ${busNumber} not found`);
-      }
+      const bus = await this.getBus(busNumber);
 
       const endTime = new Date();
-      const startTime = new Date();
-      startTime.setHours(startTime.getHours() - hours);
-
-      const locations = await Location.getLocationsByTimeRange(
-        busNumber,
-        startTime.toISOString(),
-        endTime.toISOString()
-      );
+      const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
+      const history = await locations().getByBusNumberSince(busNumber, hours, HISTORY_MAX_ROWS);
 
       return {
         bus: bus,
-        locations: locations,
-        totalLocations: locations.length,
+        locations: history,
+        totalLocations: history.length,
         timeRange: {
           start: startTime.toISOString(),
           end: endTime.toISOString()
@@ -154,7 +188,7 @@ class BusService {
       };
     } catch (error) {
       console.error(`❌ Error getting history for bus ${busNumber}:`, error);
-      throw new Error(`Failed to get bus history: ${error.message}`);
+      throw error;
     }
   }
 
@@ -163,9 +197,9 @@ class BusService {
    */
   static async getDashboardData() {
     try {
-      const activeBuses = await Bus.getActiveBuses();
-      const recentLocations = await Location.getBusesWithRecentLocations(30); // Last 30 minutes
-      
+      const activeBuses = await buses().getActiveBuses();
+      const recentLocations = await locations().getBusesWithRecentLocations(30); // Last 30 minutes
+
       return {
         totalActiveBuses: activeBuses.length,
         activeBuses: activeBuses,
@@ -174,23 +208,32 @@ class BusService {
       };
     } catch (error) {
       console.error('❌ Error getting dashboard data:', error);
-      throw new Error(`Failed to get dashboard data: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Cleanup old location data
+   * { totalLocations, uniqueBuses, oldestRecord, newestRecord }
+   */
+  static async getLocationStats() {
+    return locations().getLocationStats();
+  }
+
+  /**
+   * Delete locations older than daysOld. Returns how many were deleted.
    */
   static async cleanupOldData(daysOld = 7) {
     try {
-      const result = await Location.deleteOldLocations(daysOld);
-      console.log(`🧹 Cleaned up location data older than ${daysOld} days`);
-      return result;
+      const deleted = await locations().deleteOldLocations(daysOld);
+      console.log(`🧹 Cleaned up ${deleted} locations older than ${daysOld} days`);
+      return { deletedLocations: deleted };
     } catch (error) {
       console.error('❌ Error cleaning up old data:', error);
-      throw new Error(`Failed to cleanup old data: ${error.message}`);
+      throw error;
     }
   }
 }
 
+BusService.HISTORY_MAX_ROWS = HISTORY_MAX_ROWS;
+
 module.exports = BusService;
@@ -0,0 +1,110 @@
+const { publishBusStatus } = require('./busEvents');
+const { getCacheStore } = require('./cacheStore');
+
+// Cache key bus-status:<busNumber> holds the last announced { status, changedAt }
+const cache = () => getCacheStore();
+
+const BUS_STATUS = {
+  LIVE: 'live',
+  STALE: 'stale',
+  OFFLINE: 'offline'
+};
+
+// Staleness policy: a tracking bus with no fix for BUS_STALE_AFTER_MINUTES is stale, and one
+// with no fix for BUS_AUTO_STOP_AFTER_MINUTES has its tracking stopped (it goes offline)
+const STALE_AFTER_MINUTES = parseFloat(process.env.BUS_STALE_AFTER_MINUTES) || 5;
+const AUTO_STOP_AFTER_MINUTES = parseFloat(process.env.BUS_AUTO_STOP_AFTER_MINUTES) || 60;
+
+const STATE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+class BusStatusService {
+  static get policy() {
+    return {
+      staleAfterMinutes: STALE_AFTER_MINUTES,
+      autoStopAfterMinutes: AUTO_STOP_AFTER_MINUTES
+    };
+  }
+
+  /**
+   * When a bus was last heard from: its latest fix, or when tracking started if it has none yet
+   */
+  static lastSeenAt(bus, latestLocation) {
+    return new Date(latestLocation ? latestLocation.timestamp : bus.updatedAt).getTime();
+  }
+
+  /**
+   * Status of a bus under the staleness policy
+   */
+  static statusOf(bus, latestLocation, now = Date.now()) {
+    if (!bus.isActive) return BUS_STATUS.OFFLINE;
+
+    const silentMinutes = (now - this.lastSeenAt(bus, latestLocation)) / 60000;
+    if (silentMinutes >= AUTO_STOP_AFTER_MINUTES) return BUS_STATUS.OFFLINE;
+    if (silentMinutes >= STALE_AFTER_MINUTES) return BUS_STATUS.STALE;
+    return BUS_STATUS.LIVE;
+  }
+
+  /**
+   * Add the current status to each { bus, latestLocation } entry
+   */
+  static withStatus(buses, now = Date.now()) {
+    return buses.map(entry => ({
+      ...entry,
+      status: this.statusOf(entry.bus, entry.latestLocation, now)
+    }));
+  }
+
+  /**
+   * Record a bus's status and announce it when it changed. `assumed` stands in for the
+   * previous status when none is recorded (e.g. after a restart).
+   */
+  static async transition(busNumber, status, details = {}, assumed = BUS_STATUS.LIVE) {
+    const state = await cache().get(`bus-status:${busNumber}`);
+    const previousStatus = state ? state.status : assumed;
+
+    if (previousStatus === status && state) return null;
+
+    await cache().set(`bus-status:${busNumber}`, { status, changedAt: Date.now() }, STATE_TTL);
+    if (previousStatus === status) return null;
+
+    console.log(`🚦 Bus ${busNumber} is ${status} (was ${previousStatus})`);
+    return publishBusStatus(busNumber, status, previousStatus, details);
+  }
+
+  /**
+   * A stale bus that reports again is live straight away rather than at the next check.
+   * Never throws: a status failure must not fail the location write.
+   */
+  static async processFixes(bus, locations) {
+    if (!bus || locations.length === 0) return;
+
+    try {
+      const state = await cache().get(`bus-status:${bus.busNumber}`);
+      if (!state || state.status !== BUS_STATUS.STALE) return;
+
+      const lastFixAt = locations.reduce((latest, location) => {
+        return new Date(location.timestamp) > new Date(latest) ? location.timestamp : latest;
+      }, locations[0].timestamp);
+
+      if (this.statusOf(bus, { timestamp: lastFixAt }) === BUS_STATUS.LIVE) {
+        await this.transition(bus.busNumber, BUS_STATUS.LIVE, { lastFixAt });
+      }
+    } catch (error) {
+      console.error(`❌ Status update failed for bus ${bus.busNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Mirror a status change announced by another worker into this worker's state cache
+   */
+  static async applyRemoteEvent(event) {
+    await cache().set(`bus-status:${event.busNumber}`, {
+      status: event.status,
+      changedAt: new Date(event.timestamp).getTime()
+    }, STATE_TTL);
+  }
+}
+
+BusStatusService.BUS_STATUS = BUS_STATUS;
+
+module.exports = BusStatusService;
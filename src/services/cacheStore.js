@@ -0,0 +1,186 @@
+const { connectRedis, getRedisClient } = require('../config/redis');
+const { recordCacheLookup } = require('./metricsService');
+
+// Cache backends behind one async interface:
+//   memory - per-process Map (default, fine for a single worker)
+//   redis  - shared by every worker and host, so throttles and snapshots are fleet-wide
+const KEY_PREFIX = process.env.REDIS_CACHE_PREFIX || 'svce:cache:';
+
+class MemoryCacheStore {
+  constructor() {
+    this.name = 'memory';
+    this.shared = false;
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  async get(key) {
+    const value = this.read(key);
+    recordCacheLookup(key, value !== null);
+    return value;
+  }
+
+  // get() without counting a cache lookup
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = 0) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+    });
+  }
+
+  /**
+   * Set only if the key is absent; returns true when this caller got it
+   */
+  async acquire(key, ttlMs) {
+    if (this.read(key) !== null) return false;
+
+    await this.set(key, Date.now(), ttlMs);
+    return true;
+  }
+
+  async delete(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  async count(prefix) {
+    await this.prune();
+    let total = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) total++;
+    }
+    return total;
+  }
+
+  /**
+   * Drop expired entries so the Map doesn't grow unbounded
+   */
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class RedisCacheStore {
+  constructor(client) {
+    this.name = 'redis';
+    this.shared = true;
+    this.client = client;
+  }
+
+  // Redis trouble degrades to cache misses instead of failing requests
+  async run(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      console.error('❌ Redis cache error:', error.message);
+      return fallback;
+    }
+  }
+
+  async get(key) {
+    const value = await this.run(async () => {
+      const raw = await this.client.get(KEY_PREFIX + key);
+      return raw === null ? null : JSON.parse(raw);
+    }, null);
+
+    recordCacheLookup(key, value !== null);
+    return value;
+  }
+
+  async set(key, value, ttlMs = 0) {
+    return this.run(() => {
+      const options = ttlMs > 0 ? { PX: ttlMs } : undefined;
+      return this.client.set(KEY_PREFIX + key, JSON.stringify(value), options);
+    });
+  }
+
+  async acquire(key, ttlMs) {
+    // Fail open: if Redis is down, don't block every write
+    return this.run(async () => {
+      const result = await this.client.set(KEY_PREFIX + key, JSON.stringify(Date.now()), { PX: ttlMs, NX: true });
+      return result === 'OK';
+    }, true);
+  }
+
+  async delete(...keys) {
+    if (keys.length === 0) return;
+    return this.run(() => this.client.del(keys.map(key => KEY_PREFIX + key)));
+  }
+
+  async scanKeys(pattern) {
+    const keys = [];
+    for await (const batch of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(...batch);
+    }
+    return keys;
+  }
+
+  async count(prefix) {
+    return this.run(async () => (await this.scanKeys(`${KEY_PREFIX}${prefix}*`)).length, 0);
+  }
+
+  async prune() {
+    // Redis expires keys itself
+    return 0;
+  }
+
+  async clear() {
+    return this.run(async () => {
+      const keys = await this.scanKeys(`${KEY_PREFIX}*`);
+      if (keys.length > 0) {
+        await this.client.del(keys);
+      }
+    });
+  }
+}
+
+let store = new MemoryCacheStore();
+
+/**
+ * Pick the cache backend from CACHE_BACKEND (call once per worker before serving traffic)
+ */
+const initCacheStore = async () => {
+  const requested = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (requested === 'redis') {
+    try {
+      await connectRedis();
+      store = new RedisCacheStore(getRedisClient());
+    } catch (error) {
+      console.warn(`⚠️  Redis cache unavailable (${error.message}), falling back to in-memory cache`);
+    }
+  }
+
+  console.log(`🗄️  Worker ${process.pid}: Using ${store.name} cache`);
+  return store;
+};
+
+const getCacheStore = () => store;
+
+module.exports = {
+  MemoryCacheStore,
+  RedisCacheStore,
+  initCacheStore,
+  getCacheStore
+};
@@ -0,0 +1,280 @@
+const { getCacheStore } = require('./cacheStore');
+const { getRepositories } = require('../repositories');
+const { haversineDistance, cumulativeDistances, projectOntoPath } = require('../utils/geo');
+const httpError = require('../utils/httpError');
+
+// Cache keys:
+//   eta:<busNumber>           last computed ETA list for a bus
+//   route-geometry:<routeId>  route path with stop positions along it
+const cache = () => getCacheStore();
+
+const CACHE_TTL = {
+  ETA: 5000,              // 5 seconds, below the 8s location write interval
+  ROUTE_GEOMETRY: 60000   // 1 minute, route edits show up within this
+};
+
+// Recent speed comes from the last few fixes inside this window
+const RECENT_SPEED_WINDOW_MS = 5 * 60 * 1000;
+const RECENT_SPEED_POINTS = 6;
+
+// Below this the bus is waiting (lights, boarding), so its speed says nothing about the trip
+const MIN_MOVING_SPEED = 1.5; // m/s
+const DEFAULT_SPEED = (parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 20) / 3.6; // m/s
+
+// Historical times only count once a segment has been seen a few times. Recent speed is
+// the better guess for the segment the bus is on; further out, history wins.
+const MIN_SEGMENT_SAMPLES = 3;
+const HISTORY_WEIGHT = { CURRENT_SEGMENT: 0.5, LATER_SEGMENTS: 0.8 };
+
+// Positions further than this from the route are reported as off-route
+const OFF_ROUTE_METERS = 200;
+const STALE_LOCATION_MS = 5 * 60 * 1000;
+
+class EtaService {
+  /**
+   * Arrival estimates for every stop still ahead of a bus on its route
+   */
+  static async getBusEta(busNumber) {
+    try {
+      const cached = await cache().get(`eta:${busNumber}`);
+      if (cached) {
+        return cached;
+      }
+
+      const bus = await getRepositories().buses.findByBusNumber(busNumber);
+      if (!bus) {
+        throw httpError(404, `Bus ${busNumber} not found`);
+      }
+      if (!bus.isActive) {
+        throw httpError(409, `Bus ${busNumber} is not currently being tracked`);
+      }
+      if (!bus.routeId) {
+        throw httpError(409, `Bus ${busNumber} is not assigned to a route`);
+      }
+
+      const latest = await getRepositories().locations.getLatestByBusNumber(busNumber);
+      if (!latest) {
+        throw httpError(404, `No location data found for bus ${busNumber}`);
+      }
+
+      const geometry = await this.getRouteGeometry(bus.routeId);
+      const [recentSpeed, segmentTimes] = await Promise.all([
+        this.getRecentSpeed(busNumber),
+        getRepositories().segmentTimes.getForRoute(bus.routeId)
+      ]);
+
+      const result = this.estimate(bus, latest, geometry, recentSpeed, segmentTimes);
+      await cache().set(`eta:${busNumber}`, result, CACHE_TTL.ETA);
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Error estimating arrivals for bus ${busNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upcoming buses at a stop across every route that serves it, soonest first
+   */
+  static async getStopArrivals(stopId) {
+    try {
+      const stop = await getRepositories().stops.findById(stopId);
+      if (!stop) {
+        throw httpError(404, `Stop ${stopId} not found`);
+      }
+
+      const routes = await getRepositories().stops.getRoutesForStop(stopId);
+      const buses = await getRepositories().buses.getActiveBusesOnRoutes(routes.map(route => route.id));
+
+      const arrivals = [];
+      for (const bus of buses) {
+        let eta;
+        try {
+          eta = await this.getBusEta(bus.busNumber);
+        } catch (error) {
+          // A bus without a usable position just isn't listed
+          continue;
+        }
+
+        const upcoming = eta.stops.find(entry => entry.stopId === stop.id);
+        if (upcoming) {
+          arrivals.push({
+            busNumber: bus.busNumber,
+            route: eta.route,
+            etaSeconds: upcoming.etaSeconds,
+            eta: upcoming.eta,
+            distanceMeters: upcoming.distanceMeters,
+            stale: eta.stale
+          });
+        }
+      }
+
+      arrivals.sort((a, b) => a.etaSeconds - b.etaSeconds);
+
+      return {
+        stop: { id: stop.id, name: stop.name, latitude: stop.latitude, longitude: stop.longitude },
+        arrivals,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`❌ Error getting arrivals for stop ${stopId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Route polyline (or the line through its stops) with each stop's distance along it
+   */
+  static async getRouteGeometry(routeId) {
+    const cacheKey = `route-geometry:${routeId}`;
+    const cached = await cache().get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const route = await getRepositories().routes.findById(routeId);
+    if (!route) {
+      throw httpError(404, `Route ${routeId} not found`);
+    }
+
+    const stops = await getRepositories().routes.getStops(routeId);
+    const path = route.path && route.path.length >= 2
+      ? route.path
+      : stops.map(stop => [stop.latitude, stop.longitude]);
+
+    if (path.length < 2) {
+      throw httpError(409, `Route ${route.code} needs a path or at least two stops for arrival estimates`);
+    }
+
+    const distances = cumulativeDistances(path);
+
+    // Stops are projected in order so a path that doubles back can't put a stop behind its predecessor
+    let segmentIndex = 0;
+    const projectedStops = stops.map(stop => {
+      const projection = projectOntoPath(stop.latitude, stop.longitude, path, distances, segmentIndex);
+      segmentIndex = projection.segmentIndex;
+
+      return {
+        id: stop.id,
+        name: stop.name,
+        stopOrder: stop.stopOrder,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        radiusMeters: stop.radiusMeters,
+        distanceAlong: projection.distanceAlong
+      };
+    });
+
+    const geometry = {
+      route: { id: route.id, code: route.code, name: route.name },
+      path,
+      distances,
+      stops: projectedStops
+    };
+
+    await cache().set(cacheKey, geometry, CACHE_TTL.ROUTE_GEOMETRY);
+    return geometry;
+  }
+
+  /**
+   * Whether a position this far (meters) from the route counts as off it
+   */
+  static isOffRoute(offsetMeters) {
+    return offsetMeters > OFF_ROUTE_METERS;
+  }
+
+  /**
+   * Average speed in m/s over the last few minutes of fixes, or null if there aren't enough
+   */
+  static async getRecentSpeed(busNumber) {
+    const locations = await getRepositories().locations.getByBusNumber(busNumber, RECENT_SPEED_POINTS);
+    if (locations.length < 2) return null;
+
+    const newestTime = new Date(locations[0].timestamp).getTime();
+    const recent = locations.filter(location =>
+      newestTime - new Date(location.timestamp).getTime() <= RECENT_SPEED_WINDOW_MS
+    );
+    if (recent.length < 2) return null;
+
+    let meters = 0;
+    for (let i = 1; i < recent.length; i++) {
+      meters += haversineDistance(
+        recent[i - 1].latitude, recent[i - 1].longitude,
+        recent[i].latitude, recent[i].longitude
+      );
+    }
+
+    const seconds = (newestTime - new Date(recent[recent.length - 1].timestamp).getTime()) / 1000;
+    return seconds > 0 ? meters / seconds : null;
+  }
+
+  /**
+   * Walk the stops ahead of the bus, blending recent speed with historical segment times
+   */
+  static estimate(bus, latest, geometry, recentSpeed, segmentTimes) {
+    const position = projectOntoPath(latest.latitude, latest.longitude, geometry.path, geometry.distances);
+    const busAlong = position.distanceAlong;
+
+    const moving = recentSpeed !== null && recentSpeed >= MIN_MOVING_SPEED;
+    const speed = moving ? recentSpeed : DEFAULT_SPEED;
+
+    // A stop counts as still ahead until the bus is past its arrival radius
+    const nextIndex = geometry.stops.findIndex(stop => stop.distanceAlong + stop.radiusMeters > busAlong);
+    const upcoming = nextIndex === -1 ? [] : geometry.stops.slice(nextIndex);
+
+    const now = Date.now();
+    let previous = nextIndex > 0 ? geometry.stops[nextIndex - 1] : null;
+    let fromAlong = busAlong;
+    let elapsed = 0;
+
+    const stops = upcoming.map((stop, index) => {
+      const remaining = Math.max(0, stop.distanceAlong - fromAlong);
+      let seconds = remaining / speed;
+      let basis = moving ? 'recent-speed' : 'default-speed';
+
+      const history = previous && segmentTimes[`${previous.id}-${stop.id}`];
+      if (history && history.sampleCount >= MIN_SEGMENT_SAMPLES) {
+        // Scale the historical time by how much of the segment is left
+        const segmentLength = stop.distanceAlong - previous.distanceAlong;
+        const fraction = segmentLength > 0 ? remaining / segmentLength : 0;
+        const weight = index === 0 ? HISTORY_WEIGHT.CURRENT_SEGMENT : HISTORY_WEIGHT.LATER_SEGMENTS;
+
+        seconds = weight * history.avgSeconds * fraction + (1 - weight) * seconds;
+        basis = 'blended';
+      }
+
+      elapsed += seconds;
+      previous = stop;
+      fromAlong = stop.distanceAlong;
+
+      return {
+        stopId: stop.id,
+        name: stop.name,
+        stopOrder: stop.stopOrder,
+        distanceMeters: Math.round(Math.max(0, stop.distanceAlong - busAlong)),
+        etaSeconds: Math.round(elapsed),
+        eta: new Date(now + elapsed * 1000).toISOString(),
+        basis
+      };
+    });
+
+    return {
+      busNumber: bus.busNumber,
+      route: geometry.route,
+      position: {
+        lat: latest.latitude,
+        lng: latest.longitude,
+        timestamp: latest.timestamp
+      },
+      distanceAlongRoute: Math.round(busAlong),
+      distanceFromRoute: Math.round(position.offsetMeters),
+      offRoute: this.isOffRoute(position.offsetMeters),
+      stale: now - new Date(latest.timestamp).getTime() > STALE_LOCATION_MS,
+      speedKmh: recentSpeed !== null ? Math.round(recentSpeed * 3.6 * 10) / 10 : null,
+      stops,
+      generatedAt: new Date(now).toISOString()
+    };
+  }
+}
+
+module.exports = EtaService;
@@ -0,0 +1,147 @@
+const os = require('os');
+const { busEvents, EVENT_TYPES } = require('./busEvents');
+const { connectRedis, getRedisClient, createRedisSubscriber } = require('../config/redis');
+
+// Fans tracking events out to the other workers so their caches and live subscribers stay in step.
+// Backends: 'ipc' relays through the cluster master (default), 'redis' uses pub/sub and also
+// spans several hosts.
+const IPC_CHANNEL = 'svce:bus-events';
+const REDIS_CHANNEL = process.env.REDIS_EVENT_CHANNEL || 'svce:bus-events';
+
+// Identifies this worker so Redis doesn't echo our own events back to us
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const state = {
+  backend: null,
+  published: 0,
+  received: 0,
+  subscriber: null
+};
+
+const emitRemote = (event) => {
+  if (!event || !Object.values(EVENT_TYPES).includes(event.type)) return;
+
+  state.received++;
+  // The second argument marks the event as already fanned out
+  busEvents.emit(event.type, event, { remote: true });
+};
+
+const onIpcMessage = (message) => {
+  if (message && message.channel === IPC_CHANNEL) {
+    emitRemote(message.event);
+  }
+};
+
+const forward = (event, meta) => {
+  if (meta && meta.remote) return;
+
+  try {
+    if (state.backend === 'redis') {
+      getRedisClient()
+        .publish(REDIS_CHANNEL, JSON.stringify({ source: instanceId, event }))
+        .catch(error => console.error('❌ Failed to publish event to Redis:', error.message));
+    } else if (state.backend === 'ipc') {
+      process.send({ channel: IPC_CHANNEL, event });
+    }
+    state.published++;
+  } catch (error) {
+    console.error('❌ Failed to fan out event:', error.message);
+  }
+};
+
+const startIpcBackend = () => {
+  if (typeof process.send !== 'function') {
+    // Not forked by a cluster master, there is nobody to fan out to
+    state.backend = 'local';
+    return;
+  }
+
+  process.on('message', onIpcMessage);
+  state.backend = 'ipc';
+};
+
+const startRedisBackend = async () => {
+  await connectRedis();
+  state.subscriber = await createRedisSubscriber();
+
+  await state.subscriber.subscribe(REDIS_CHANNEL, (raw) => {
+    try {
+      const message = JSON.parse(raw);
+      if (message.source !== instanceId) {
+        emitRemote(message.event);
+      }
+    } catch (error) {
+      console.error('❌ Ignoring malformed event from Redis:', error.message);
+    }
+  });
+
+  state.backend = 'redis';
+};
+
+/**
+ * Start fanning local events out to the other workers (call once per worker)
+ */
+const startEventBroker = async () => {
+  if (state.backend) return state.backend;
+
+  const requested = (process.env.EVENT_BROKER || 'ipc').toLowerCase();
+
+  if (requested === 'redis') {
+    try {
+      await startRedisBackend();
+    } catch (error) {
+      console.warn(`⚠️  Redis event broker unavailable (${error.message}), falling back to IPC`);
+      startIpcBackend();
+    }
+  } else {
+    startIpcBackend();
+  }
+
+  Object.values(EVENT_TYPES).forEach(type => busEvents.on(type, forward));
+  console.log(`📣 Worker ${process.pid}: Event broker using ${state.backend} backend`);
+
+  return state.backend;
+};
+
+const stopEventBroker = async () => {
+  Object.values(EVENT_TYPES).forEach(type => busEvents.off(type, forward));
+  process.off('message', onIpcMessage);
+
+  if (state.subscriber) {
+    await state.subscriber.unsubscribe(REDIS_CHANNEL);
+    state.subscriber = null;
+  }
+
+  state.backend = null;
+};
+
+/**
+ * Master side of the IPC backend: relay each worker's events to every other worker
+ */
+const relayBetweenWorkers = (cluster) => {
+  cluster.on('message', (sender, message) => {
+    if (!message || message.channel !== IPC_CHANNEL) return;
+
+    for (const id in cluster.workers) {
+      const worker = cluster.workers[id];
+      if (worker && worker !== sender && worker.isConnected()) {
+        worker.send(message);
+      }
+    }
+  });
+};
+
+const getBrokerStats = () => {
+  return {
+    backend: state.backend,
+    published: state.published,
+    received: state.received
+  };
+};
+
+module.exports = {
+  startEventBroker,
+  stopEventBroker,
+  relayBetweenWorkers,
+  getBrokerStats
+};
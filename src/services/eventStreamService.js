@@ -0,0 +1,146 @@
+const { busEvents, EVENT_TYPES } = require('./busEvents');
+
+// Server-Sent Events feed (fallback for clients whose proxies block WebSocket upgrades)
+const BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE) || 500; // Events kept for Last-Event-ID replay
+const KEEP_ALIVE_INTERVAL = 20000;  // 20 seconds, below typical proxy idle timeouts
+const RETRY_INTERVAL = 5000;        // Client reconnect delay hint
+const MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS) || 2000;
+
+const parseList = (value) => {
+  if (!value) return null;
+  const list = String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+  return list.length > 0 ? new Set(list) : null;
+};
+
+const formatEvent = (event) => {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+};
+
+class EventStreamHub {
+  constructor() {
+    this.buffer = [];       // Bounded, oldest first
+    this.clients = new Set();
+    this.keepAlive = null;
+    this.onEvent = this.record.bind(this);
+
+    Object.values(EVENT_TYPES).forEach(type => busEvents.on(type, this.onEvent));
+  }
+
+  /**
+   * Open an event stream on an HTTP response
+   */
+  connect(req, res) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      return res.status(503).json({
+        success: false,
+        message: 'Too many live connections, please retry shortly'
+      });
+    }
+
+    const client = {
+      res,
+      buses: parseList(req.query.buses || req.query.bus),
+      types: parseList(req.query.types)
+    };
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+    this.replay(client, req.get('Last-Event-ID') || req.query.lastEventId);
+
+    this.clients.add(client);
+    this.startKeepAlive();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopKeepAlive();
+      }
+    });
+  }
+
+  /**
+   * Re-send the events a reconnecting client missed
+   */
+  replay(client, lastEventId) {
+    if (!lastEventId) return;
+
+    const index = this.buffer.findIndex(event => event.id === lastEventId);
+    if (index === -1) {
+      // Too old (or from before a restart): the client has to reload its snapshot.
+      // The empty id clears the browser's Last-Event-ID so it doesn't loop on this.
+      const reset = {
+        type: 'reset',
+        message: 'Missed events are no longer available, please reload current positions',
+        timestamp: new Date().toISOString()
+      };
+      client.res.write(`id: \nevent: reset\ndata: ${JSON.stringify(reset)}\n\n`);
+      return;
+    }
+
+    this.buffer.slice(index + 1).forEach(event => this.send(client, event));
+  }
+
+  record(event) {
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      this.send(client, event);
+    }
+  }
+
+  send(client, event) {
+    if (client.types && !client.types.has(event.type)) return;
+    if (client.buses && !client.buses.has(event.busNumber)) return;
+
+    client.res.write(formatEvent(event));
+  }
+
+  startKeepAlive() {
+    if (this.keepAlive) return;
+
+    this.keepAlive = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': keep-alive\n\n');
+      }
+    }, KEEP_ALIVE_INTERVAL);
+  }
+
+  stopKeepAlive() {
+    clearInterval(this.keepAlive);
+    this.keepAlive = null;
+  }
+
+  getStats() {
+    return {
+      connections: this.clients.size,
+      bufferedEvents: this.buffer.length
+    };
+  }
+
+  /**
+   * End every open stream so the HTTP server can shut down
+   */
+  close() {
+    this.stopKeepAlive();
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = new EventStreamHub();
@@ -0,0 +1,231 @@
+const { EVENT_TYPES, publishGeofenceEvent } = require('./busEvents');
+const { getCacheStore } = require('./cacheStore');
+const { getRepositories } = require('../repositories');
+const { haversineDistance, pointInPolygon, distanceToPolygonEdge } = require('../utils/geo');
+const { REPORT_TIMEZONE, today } = require('../utils/reportDate');
+const httpError = require('../utils/httpError');
+
+// Cache keys:
+//   geofences                   every geofence, re-read after a change on this worker (other
+//                               workers with a memory cache pick changes up within the TTL)
+//   geofence-state:<busNumber>  { inside: { <geofenceId>: enteredAt }, lastFixAt }
+const cache = () => getCacheStore();
+const geofences = () => getRepositories().geofences;
+const geofenceEvents = () => getRepositories().geofenceEvents;
+
+const GEOFENCES_TTL = 60 * 1000; // 1 minute
+const STATE_TTL = 30 * 60 * 1000; // 30 minutes, rebuilt from the events table after that
+
+// A bus only exits once it is this far outside the boundary, so GPS jitter along the edge
+// doesn't log a string of enters and exits
+const EXIT_MARGIN_METERS = 20;
+
+const emptyState = () => ({ inside: {}, lastFixAt: null });
+
+/**
+ * Whether a point is inside a geofence, or within marginMeters outside it
+ */
+const contains = (geofence, lat, lng, marginMeters = 0) => {
+  if (geofence.shape === 'circle') {
+    return haversineDistance(lat, lng, geofence.latitude, geofence.longitude) <= geofence.radiusMeters + marginMeters;
+  }
+
+  return pointInPolygon(lat, lng, geofence.polygon) ||
+    (marginMeters > 0 && distanceToPolygonEdge(lat, lng, geofence.polygon) <= marginMeters);
+};
+
+class GeofenceService {
+  static async listGeofences() {
+    const cached = await cache().get('geofences');
+    if (cached) return cached;
+
+    const all = await geofences().getAll();
+    await cache().set('geofences', all, GEOFENCES_TTL);
+    return all;
+  }
+
+  static async getGeofence(id) {
+    const geofence = await geofences().findById(id);
+    if (!geofence) {
+      throw httpError(404, `Geofence ${id} not found`);
+    }
+    return geofence;
+  }
+
+  static async createGeofence(geofenceData) {
+    this.assertShape(geofenceData);
+
+    const geofence = await geofences().create(geofenceData);
+    await cache().delete('geofences');
+
+    console.log(`📐 Created ${geofence.shape} geofence ${geofence.name}`);
+    return geofence;
+  }
+
+  /**
+   * Update a geofence; fields left out keep their current values
+   */
+  static async updateGeofence(id, geofenceData) {
+    const existing = await this.getGeofence(id);
+    const merged = { ...existing };
+    Object.entries(geofenceData).forEach(([field, value]) => {
+      if (value !== undefined) merged[field] = value;
+    });
+    this.assertShape(merged);
+
+    const geofence = await geofences().update(id, merged);
+    if (!geofence) {
+      throw httpError(404, `Geofence ${id} not found`);
+    }
+
+    await cache().delete('geofences');
+    return geofence;
+  }
+
+  static async deleteGeofence(id) {
+    const deleted = await geofences().delete(id);
+    if (!deleted) {
+      throw httpError(404, `Geofence ${id} not found`);
+    }
+
+    await cache().delete('geofences');
+    console.log(`🗑️  Deleted geofence ${id}`);
+  }
+
+  /**
+   * A circle needs a centre and radius, a polygon at least three vertices
+   */
+  static assertShape(geofence) {
+    if (geofence.shape === 'circle') {
+      if (geofence.latitude == null || geofence.longitude == null || geofence.radiusMeters == null) {
+        throw httpError(400, 'A circle geofence needs latitude, longitude and radiusMeters');
+      }
+    } else if (!Array.isArray(geofence.polygon) || geofence.polygon.length < 3) {
+      throw httpError(400, 'A polygon geofence needs at least 3 [lat, lng] vertices');
+    }
+  }
+
+  /**
+   * Feed accepted fixes for one bus through enter/exit detection against every geofence.
+   * Never throws: a detection failure must not fail the location write.
+   */
+  static async processFixes(bus, locations) {
+    if (!bus || locations.length === 0) return [];
+
+    const recorded = [];
+    let state = null;
+
+    try {
+      const geofences = await this.listGeofences();
+      if (geofences.length === 0) return [];
+
+      state = await this.loadState(bus.busNumber);
+
+      const ordered = [...locations].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      for (const location of ordered) {
+        const fixAt = new Date(location.timestamp).getTime();
+
+        // Late fixes can't take a bus back out of (or into) a zone
+        if (state.lastFixAt && fixAt <= state.lastFixAt) continue;
+
+        for (const geofence of geofences) {
+          const wasInside = state.inside[geofence.id] !== undefined;
+
+          if (!wasInside && contains(geofence, location.latitude, location.longitude)) {
+            recorded.push(await this.record(bus, geofence, 'enter', location));
+            state.inside[geofence.id] = fixAt;
+          } else if (wasInside && !contains(geofence, location.latitude, location.longitude, EXIT_MARGIN_METERS)) {
+            recorded.push(await this.record(bus, geofence, 'exit', location));
+            delete state.inside[geofence.id];
+          }
+        }
+
+        state.lastFixAt = fixAt;
+      }
+
+      // Forget zones deleted while the bus was inside them
+      const known = new Set(geofences.map(geofence => String(geofence.id)));
+      Object.keys(state.inside).forEach(id => {
+        if (!known.has(id)) delete state.inside[id];
+      });
+    } catch (error) {
+      console.error(`❌ Geofence detection failed for bus ${bus.busNumber}:`, error.message);
+    }
+
+    // Saved even after a failure so events already recorded aren't recorded again
+    if (state) {
+      await cache().set(`geofence-state:${bus.busNumber}`, state, STATE_TTL);
+    }
+    return recorded;
+  }
+
+  static async record(bus, geofence, eventType, location) {
+    const geofenceEvent = await geofenceEvents().create({
+      geofenceId: geofence.id,
+      busNumber: bus.busNumber,
+      tripId: bus.currentTripId,
+      eventType,
+      occurredAt: location.timestamp,
+      latitude: location.latitude,
+      longitude: location.longitude
+    });
+
+    console.log(eventType === 'enter'
+      ? `📍 Bus ${bus.busNumber} entered ${geofence.name}`
+      : `📍 Bus ${bus.busNumber} left ${geofence.name}`);
+
+    publishGeofenceEvent(geofenceEvent, geofence);
+    return geofenceEvent;
+  }
+
+  /**
+   * Cached detection state, rebuilt from the events table after a cache miss
+   */
+  static async loadState(busNumber) {
+    const cached = await cache().get(`geofence-state:${busNumber}`);
+    if (cached) return cached;
+
+    const state = emptyState();
+    const openEntries = await geofenceEvents().getOpenEntriesForBus(busNumber);
+    openEntries.forEach(entry => {
+      state.inside[entry.geofenceId] = new Date(entry.occurredAt).getTime();
+    });
+    return state;
+  }
+
+  /**
+   * Mirror a geofence event recorded by another worker into this worker's state cache
+   */
+  static async applyRemoteEvent(event) {
+    const state = (await cache().get(`geofence-state:${event.busNumber}`)) || emptyState();
+    const at = new Date(event.occurredAt).getTime();
+
+    if (event.type === EVENT_TYPES.GEOFENCE_ENTER) {
+      state.inside[event.geofence.id] = at;
+    } else {
+      delete state.inside[event.geofence.id];
+    }
+    state.lastFixAt = Math.max(state.lastFixAt || 0, at);
+
+    await cache().set(`geofence-state:${event.busNumber}`, state, STATE_TTL);
+  }
+
+  /**
+   * A bus's geofence transitions for one day (defaults to today)
+   */
+  static async getEventsForBus(busNumber, date = today()) {
+    const events = await geofenceEvents().getByBusAndDate(busNumber, date, REPORT_TIMEZONE);
+    return { busNumber, date, timezone: REPORT_TIMEZONE, events, count: events.length };
+  }
+
+  /**
+   * Every bus's transitions for one geofence on one day (defaults to today)
+   */
+  static async getEventsForGeofence(id, date = today()) {
+    const geofence = await this.getGeofence(id);
+    const events = await geofenceEvents().getByGeofenceAndDate(id, date, REPORT_TIMEZONE);
+    return { geofence, date, timezone: REPORT_TIMEZONE, events, count: events.length };
+  }
+}
+
+module.exports = GeofenceService;
@@ -0,0 +1,222 @@
+const { getCacheStore } = require('./cacheStore');
+const { haversineDistance } = require('../utils/geo');
+
+// Fixes pass through these stages in order before they are stored. Pick and order them with
+// GPS_FILTERS (comma separated, "none" to store fixes as reported):
+//   null-island  drop 0,0 fixes (phones report them before they get a lock)
+//   accuracy     drop fixes less accurate than GPS_MAX_ACCURACY_METERS
+//   speed        drop fixes that would need the bus to exceed GPS_MAX_SPEED_KMH since its last fix
+//   kalman       smooth jitter: predict from the bus's recent velocity, then move toward
+//                each fix in proportion to its reported accuracy
+const FILTERS = (process.env.GPS_FILTERS || 'null-island,accuracy,speed,kalman')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => name && name !== 'none');
+
+const MAX_ACCURACY_METERS = parseFloat(process.env.GPS_MAX_ACCURACY_METERS) || 100;
+const MAX_SPEED = (parseFloat(process.env.GPS_MAX_SPEED_KMH) || 120) / 3.6; // m/s
+
+// When this many fixes in a row fail the speed check, the last accepted position is more likely
+// wrong than they are (say a stale cached position at startup), so the filter starts afresh
+const MAX_SPEED_REJECTIONS = parseInt(process.env.GPS_MAX_SPEED_REJECTIONS) || 3;
+
+// How far the bus may stray from its predicted path per second (m/s); higher follows turns
+// and braking faster but smooths less
+const KALMAN_PROCESS_NOISE = parseFloat(process.env.GPS_KALMAN_PROCESS_NOISE) || 3;
+
+// Fixes sent without an accuracy are treated as this accurate
+const DEFAULT_ACCURACY_METERS = 20;
+
+// Per-bus filter state (last accepted position, velocity and variance) is kept in the cache as
+// gps-filter:<busNumber>; after a gap this long the next fix starts afresh
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const cache = () => getCacheStore();
+
+const stats = {
+  processed: 0,
+  accepted: 0,
+  smoothed: 0,
+  rejected: {}
+};
+
+// Each stage returns a rejection ({ reason, detail }) or nothing; stages that need the
+// previous fix only run when the new fix is later than it
+const STAGES = {
+  'null-island': (fix) => {
+    if (fix.latitude === 0 && fix.longitude === 0) {
+      return { reason: 'null-island', detail: 'fix at 0,0' };
+    }
+  },
+
+  accuracy: (fix) => {
+    if (fix.accuracy > MAX_ACCURACY_METERS) {
+      return { reason: 'accuracy', detail: `accuracy ${fix.accuracy}m exceeds ${MAX_ACCURACY_METERS}m` };
+    }
+  },
+
+  speed: (fix, state, elapsedSeconds) => {
+    if (!state || elapsedSeconds <= 0) return;
+
+    const meters = haversineDistance(state.latitude, state.longitude, fix.latitude, fix.longitude);
+    const speed = meters / elapsedSeconds;
+    if (speed > MAX_SPEED) {
+      return {
+        reason: 'speed',
+        detail: `implied speed ${Math.round(speed * 3.6)} km/h exceeds ${Math.round(MAX_SPEED * 3.6)} km/h`
+      };
+    }
+  },
+
+  kalman: (fix, state, elapsedSeconds) => {
+    if (!state || elapsedSeconds <= 0) return;
+
+    const predictedLatitude = state.latitude + (state.velocityLatitude || 0) * elapsedSeconds;
+    const predictedLongitude = state.longitude + (state.velocityLongitude || 0) * elapsedSeconds;
+
+    const measurementVariance = Math.max(fix.accuracy || DEFAULT_ACCURACY_METERS, 1) ** 2;
+    const predictedVariance = state.variance + elapsedSeconds * KALMAN_PROCESS_NOISE ** 2;
+    const gain = predictedVariance / (predictedVariance + measurementVariance);
+
+    fix.latitude = predictedLatitude + gain * (fix.latitude - predictedLatitude);
+    fix.longitude = predictedLongitude + gain * (fix.longitude - predictedLongitude);
+    fix.variance = (1 - gain) * predictedVariance;
+    fix.smoothed = true;
+  }
+};
+
+const unknown = FILTERS.filter(name => !STAGES[name]);
+if (unknown.length > 0) {
+  console.warn(`⚠️  Ignoring unknown GPS filters: ${unknown.join(', ')}`);
+}
+const pipeline = FILTERS.filter(name => STAGES[name]).map(name => STAGES[name]);
+
+const runPipeline = (fix, state, elapsedSeconds) => {
+  for (const stage of pipeline) {
+    const rejection = stage(fix, state, elapsedSeconds);
+    if (rejection) return rejection;
+  }
+};
+
+class GpsFilterService {
+  /**
+   * Run one bus's fixes through the pipeline in time order.
+   * Returns the fixes to store (possibly smoothed) and the rejected ones with reasons.
+   */
+  static async filterFixes(busNumber, fixes) {
+    const stateKey = `gps-filter:${busNumber}`;
+    let state = await cache().get(stateKey);
+    let speedRejections = state ? state.speedRejections || 0 : 0;
+
+    const accepted = [];
+    const rejected = [];
+    const ordered = [...fixes].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const original of ordered) {
+      let fix = { ...original };
+      const fixAt = new Date(fix.timestamp).getTime();
+      let elapsedSeconds = state ? (fixAt - state.timestamp) / 1000 : 0;
+
+      stats.processed++;
+
+      let rejection = runPipeline(fix, state, elapsedSeconds);
+
+      if (rejection && rejection.reason === 'speed' && ++speedRejections >= MAX_SPEED_REJECTIONS) {
+        console.log(`🔄 ${speedRejections} fixes in a row too far from the last one for bus ${busNumber}, restarting its GPS filter`);
+        state = null;
+        elapsedSeconds = 0;
+        fix = { ...original };
+        rejection = runPipeline(fix, state, elapsedSeconds);
+      }
+
+      if (rejection) {
+        stats.rejected[rejection.reason] = (stats.rejected[rejection.reason] || 0) + 1;
+        rejected.push({ fix: original, ...rejection });
+        continue;
+      }
+
+      if (fix.smoothed) stats.smoothed++;
+      stats.accepted++;
+      speedRejections = 0;
+
+      // An older fix (late delivery) is stored but doesn't move the filter back in time
+      if (!state || elapsedSeconds > 0) {
+        state = {
+          latitude: fix.latitude,
+          longitude: fix.longitude,
+          velocityLatitude: state ? (fix.latitude - state.latitude) / elapsedSeconds : 0,
+          velocityLongitude: state ? (fix.longitude - state.longitude) / elapsedSeconds : 0,
+          timestamp: fixAt,
+          variance: fix.variance ?? Math.max(fix.accuracy || DEFAULT_ACCURACY_METERS, 1) ** 2
+        };
+      }
+
+      delete fix.variance;
+      delete fix.smoothed;
+      accepted.push(fix);
+    }
+
+    if (accepted.length > 0) {
+      await cache().set(stateKey, { ...state, speedRejections, savedAt: Date.now() }, STATE_TTL);
+    } else if (!state) {
+      // Restarted, and nothing was accepted since
+      await cache().delete(stateKey);
+    } else if (speedRejections !== (state.speedRejections || 0)) {
+      // Count the rejections without extending the life of a position no fix confirmed
+      const remaining = STATE_TTL - (Date.now() - state.savedAt);
+      if (remaining > 0) {
+        await cache().set(stateKey, { ...state, speedRejections }, remaining);
+      }
+    }
+
+    if (rejected.length > 0) {
+      console.log(`🚫 Rejected ${rejected.length} fix(es) for bus ${busNumber}: ${rejected.map(r => r.detail).join('; ')}`);
+    }
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Seed the filter from a fix stored by another worker
+   */
+  static async applyRemoteFix(busNumber, location) {
+    const previous = await cache().get(`gps-filter:${busNumber}`);
+    const fixAt = new Date(location.timestamp).getTime();
+    const elapsedSeconds = previous ? (fixAt - previous.timestamp) / 1000 : 0;
+    if (previous && elapsedSeconds <= 0) return;
+
+    await cache().set(`gps-filter:${busNumber}`, {
+      latitude: location.lat,
+      longitude: location.lng,
+      velocityLatitude: previous ? (location.lat - previous.latitude) / elapsedSeconds : 0,
+      velocityLongitude: previous ? (location.lng - previous.longitude) / elapsedSeconds : 0,
+      timestamp: fixAt,
+      variance: Math.max(location.accuracy || DEFAULT_ACCURACY_METERS, 1) ** 2,
+      speedRejections: 0,
+      savedAt: Date.now()
+    }, STATE_TTL);
+  }
+
+  static async reset(busNumber) {
+    await cache().delete(`gps-filter:${busNumber}`);
+  }
+
+  /**
+   * Counts since this worker started
+   */
+  static getStats() {
+    const rejectedTotal = Object.values(stats.rejected).reduce((sum, count) => sum + count, 0);
+
+    return {
+      filters: FILTERS.filter(name => STAGES[name]),
+      processed: stats.processed,
+      accepted: stats.accepted,
+      smoothed: stats.smoothed,
+      rejected: rejectedTotal,
+      rejectedByReason: { ...stats.rejected },
+      rejectionRate: stats.processed > 0 ? Math.round((rejectedTotal / stats.processed) * 10000) / 100 : 0
+    };
+  }
+}
+
+module.exports = GpsFilterService;
@@ -0,0 +1,227 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { busEvents, EVENT_TYPES } = require('./busEvents');
+
+// WebSocket push channel for live bus positions
+const SOCKET_PATH = '/api/buses/live';
+const HEARTBEAT_INTERVAL = 30000;        // 30 seconds
+const MAX_SUBSCRIPTIONS = 50;            // Buses per connection
+const MAX_BUFFERED_BYTES = 1024 * 1024;  // Skip slow clients above 1MB queued
+const MAX_CLIENTS = parseInt(process.env.WS_MAX_CLIENTS) || 5000;
+
+const parseBusList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(busNumber => String(busNumber).trim())
+    .filter(busNumber => busNumber.length > 0 && busNumber.length <= 20);
+};
+
+class LocationSocketHub {
+  constructor() {
+    this.wss = null;
+    this.heartbeat = null;
+    this.busSubscribers = new Map(); // busNumber -> Set of sockets
+    this.fleetSubscribers = new Set();
+    this.onLocation = this.broadcastLocation.bind(this);
+  }
+
+  /**
+   * Attach the WebSocket endpoint to an existing HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: SOCKET_PATH,
+      maxPayload: 4 * 1024,
+      perMessageDeflate: false // Position frames are tiny, compression costs more CPU than it saves
+    });
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.wss.on('error', (error) => {
+      console.error('❌ WebSocket server error:', error.message);
+    });
+
+    busEvents.on(EVENT_TYPES.LOCATION, this.onLocation);
+
+    // Drop connections that stopped answering pings (phones going to sleep, dead NATs)
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    console.log(`🔌 Worker ${process.pid}: Live location socket ready at ${SOCKET_PATH}`);
+    return this.wss;
+  }
+
+  handleConnection(ws, req) {
+    if (this.wss.clients.size > MAX_CLIENTS) {
+      ws.close(1013, 'Server busy, please retry');
+      return;
+    }
+
+    ws.isAlive = true;
+    ws.buses = new Set();
+    ws.fleet = false;
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+    ws.on('close', () => this.unsubscribe(ws, { all: true, buses: Array.from(ws.buses) }));
+    ws.on('error', () => ws.terminate());
+
+    this.send(ws, {
+      type: 'welcome',
+      message: 'Connected to SVCE Bus Tracker live locations',
+      worker: process.pid
+    });
+
+    // Allow subscribing straight from the URL: ?bus=12, ?buses=12,14 or ?all=true
+    const url = new URL(req.url, 'http://localhost');
+    const buses = parseBusList(url.searchParams.get('buses') || url.searchParams.get('bus'));
+    const all = url.searchParams.get('all') === 'true';
+    if (buses.length > 0 || all) {
+      this.subscribe(ws, { buses, all });
+    }
+  }
+
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', message: 'Messages must be valid JSON' });
+    }
+
+    const request = {
+      buses: parseBusList(message.buses || message.busNumber),
+      all: message.all === true
+    };
+
+    switch (message.action) {
+      case 'subscribe':
+        return this.subscribe(ws, request);
+      case 'unsubscribe':
+        return this.unsubscribe(ws, request);
+      case 'ping':
+        return this.send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+      default:
+        return this.send(ws, {
+          type: 'error',
+          message: 'Unknown action. Use subscribe, unsubscribe or ping'
+        });
+    }
+  }
+
+  subscribe(ws, { buses, all }) {
+    if (all) {
+      ws.fleet = true;
+      this.fleetSubscribers.add(ws);
+    }
+
+    for (const busNumber of buses) {
+      if (ws.buses.size >= MAX_SUBSCRIPTIONS && !ws.buses.has(busNumber)) {
+        this.send(ws, {
+          type: 'error',
+          message: `Maximum ${MAX_SUBSCRIPTIONS} buses per connection. Subscribe to all buses instead.`
+        });
+        break;
+      }
+
+      ws.buses.add(busNumber);
+      if (!this.busSubscribers.has(busNumber)) {
+        this.busSubscribers.set(busNumber, new Set());
+      }
+      this.busSubscribers.get(busNumber).add(ws);
+    }
+
+    this.sendSubscriptions(ws);
+  }
+
+  unsubscribe(ws, { buses, all }) {
+    if (all) {
+      ws.fleet = false;
+      this.fleetSubscribers.delete(ws);
+    }
+
+    for (const busNumber of buses) {
+      ws.buses.delete(busNumber);
+      const subscribers = this.busSubscribers.get(busNumber);
+      if (subscribers) {
+        subscribers.delete(ws);
+        if (subscribers.size === 0) {
+          this.busSubscribers.delete(busNumber);
+        }
+      }
+    }
+
+    if (ws.readyState === WebSocket.OPEN) {
+      this.sendSubscriptions(ws);
+    }
+  }
+
+  sendSubscriptions(ws) {
+    this.send(ws, {
+      type: 'subscribed',
+      all: ws.fleet,
+      buses: Array.from(ws.buses)
+    });
+  }
+
+  /**
+   * Push an accepted location write to everyone watching that bus or the whole fleet
+   */
+  broadcastLocation({ busNumber, location }) {
+    const busSubscribers = this.busSubscribers.get(busNumber);
+    if (this.fleetSubscribers.size === 0 && !busSubscribers) return;
+
+    // Serialize once, send to many
+    const frame = JSON.stringify({ type: 'location', busNumber, location });
+    const recipients = new Set(this.fleetSubscribers);
+    if (busSubscribers) {
+      busSubscribers.forEach(ws => recipients.add(ws));
+    }
+
+    for (const ws of recipients) {
+      if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+        ws.send(frame);
+      }
+    }
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  getStats() {
+    return {
+      connections: this.wss ? this.wss.clients.size : 0,
+      fleetSubscribers: this.fleetSubscribers.size,
+      watchedBuses: this.busSubscribers.size
+    };
+  }
+
+  /**
+   * Close every socket so the HTTP server can shut down
+   */
+  close() {
+    if (!this.wss) return;
+
+    busEvents.off(EVENT_TYPES.LOCATION, this.onLocation);
+    clearInterval(this.heartbeat);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    this.wss.close();
+    this.wss = null;
+  }
+}
+
+module.exports = new LocationSocketHub();
@@ -0,0 +1,168 @@
+const { getRepositories } = require('../repositories');
+
+// Single location updates are collected here and written with one multi-row INSERT every
+// LOCATION_FLUSH_INTERVAL_MS, or as soon as LOCATION_FLUSH_MAX_ROWS are waiting, so a burst of
+// updates shares one pool connection instead of taking one each
+const FLUSH_INTERVAL_MS = parseInt(process.env.LOCATION_FLUSH_INTERVAL_MS) || 100;
+const FLUSH_MAX_ROWS = parseInt(process.env.LOCATION_FLUSH_MAX_ROWS) || 100;
+
+// A flush that failed for a passing reason (lock conflict, no connection) is tried again after
+// 200ms, 400ms, 800ms... before its writers get the error
+const FLUSH_ATTEMPTS = parseInt(process.env.LOCATION_FLUSH_ATTEMPTS) || 4;
+const RETRY_BASE_MS = 200;
+
+// Postgres error codes (SQLSTATE) are five characters; Node's own (ECONNRESET, EPIPE) start with E
+const sqlState = (error) => {
+  return typeof error.code === 'string' && /^[0-9A-DF-Z][0-9A-Z]{4}$/.test(error.code) ? error.code : null;
+};
+
+// Raised before the INSERT reached the server
+const notSent = (error) => {
+  return ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code) ||
+    /timeout exceeded when trying to connect/.test(error.message);
+};
+
+// The server rejected the INSERT, so none of its rows were stored. Anything else (a timeout or
+// a connection lost mid-query) may have been committed, and writing the rows again could store
+// them twice.
+const certainlyNotStored = (error) => Boolean(sqlState(error)) || notSent(error);
+
+// Serialization failure, deadlock, lock timeout, statement timeout, server starting or full
+const TRANSIENT_SQLSTATES = ['40001', '40P01', '55P03', '57014', '57P03', '53300', '53400'];
+const isTransient = (error) => notSent(error) || TRANSIENT_SQLSTATES.includes(sqlState(error));
+
+// Data exceptions and constraint violations come from a row's values (e.g. an unknown bus)
+const isRowError = (error) => /^2[23]/.test(sqlState(error));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LocationWriteBuffer {
+  constructor() {
+    this.pending = []; // { row, resolve, reject }
+    this.timer = null;
+    this.flushing = null;
+    this.stats = {
+      buffered: 0,
+      written: 0,
+      duplicates: 0,
+      flushes: 0,
+      retries: 0,
+      splits: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Queue a location row (its id already set). Resolves with the stored location once its flush
+   * is written, or null if the bus already had the row's fix id.
+   */
+  add(row) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ row, resolve, reject });
+      this.stats.buffered++;
+
+      // A full buffer goes out now rather than when the timer fires
+      if (this.pending.length >= FLUSH_MAX_ROWS && this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    // A running flush schedules the next one when it finishes
+    if (this.flushing || this.timer || this.pending.length === 0) return;
+
+    const delay = this.pending.length >= FLUSH_MAX_ROWS ? 0 : FLUSH_INTERVAL_MS;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * Write up to FLUSH_MAX_ROWS buffered rows (one flush runs at a time)
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (this.pending.length === 0) return Promise.resolve();
+
+    const batch = this.pending.splice(0, FLUSH_MAX_ROWS);
+    this.flushing = this.write(batch).finally(() => {
+      this.flushing = null;
+      this.schedule();
+    });
+    return this.flushing;
+  }
+
+  async write(batch) {
+    this.stats.flushes++;
+    await this.writeRows(batch);
+  }
+
+  async writeRows(batch) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const saved = await getRepositories().locations.batchCreate(batch.map(entry => entry.row));
+        const savedById = new Map(saved.map(location => [location.id, location]));
+
+        this.stats.written += saved.length;
+        this.stats.duplicates += batch.length - saved.length;
+        batch.forEach(entry => entry.resolve(savedById.get(entry.row.id) || null));
+        return;
+      } catch (error) {
+        if (certainlyNotStored(error) && isTransient(error) && attempt < FLUSH_ATTEMPTS) {
+          const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+          this.stats.retries++;
+          console.warn(`⚠️  Location flush of ${batch.length} row(s) failed (${error.message}), retrying in ${delay}ms`);
+          await wait(delay);
+          continue;
+        }
+
+        // One bad row fails the whole INSERT: write each half on its own until it is found
+        if (isRowError(error) && batch.length > 1) {
+          const middle = Math.ceil(batch.length / 2);
+          this.stats.splits++;
+          await this.writeRows(batch.slice(0, middle));
+          await this.writeRows(batch.slice(middle));
+          return;
+        }
+
+        this.stats.failed += batch.length;
+        console.error(`❌ Failed to write ${batch.length} buffered location(s) after ${attempt} attempt(s):`, error.message);
+        batch.forEach(entry => entry.reject(error));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Write everything still buffered (call on shutdown, before the database closes)
+   */
+  async drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.flushing || this.pending.length > 0) {
+      await (this.flushing || this.flush());
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Counts since this worker started
+   */
+  getStats() {
+    return {
+      pending: this.pending.length,
+      flushIntervalMs: FLUSH_INTERVAL_MS,
+      maxRows: FLUSH_MAX_ROWS,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new LocationWriteBuffer();
@@ -0,0 +1,322 @@
+// Request, cache and database metrics for /api/metrics and the performance monitor.
+// Latencies go into histograms with fixed bucket bounds, so histograms from different workers
+// add up bucket by bucket and percentiles can be read from the sum.
+const IPC_CHANNEL = 'svce:metrics';
+const COLLECT_TIMEOUT = 1000; // ms to wait for the other workers' snapshots
+const SLOW_QUERY_MS = 100;
+const UNMATCHED_ROUTE = '(unmatched)';
+
+// Bucket upper bounds in ms: 0.25ms to ~2 minutes, each 25% wider than the last, plus overflow
+const BUCKET_BOUNDS = [];
+for (let bound = 0.25; bound < 120000; bound *= 1.25) {
+  BUCKET_BOUNDS.push(bound);
+}
+
+const createHistogram = () => ({
+  count: 0,
+  sum: 0,
+  max: 0,
+  buckets: new Array(BUCKET_BOUNDS.length + 1).fill(0)
+});
+
+const observe = (histogram, ms) => {
+  let low = 0;
+  let high = BUCKET_BOUNDS.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (BUCKET_BOUNDS[mid] < ms) low = mid + 1;
+    else high = mid;
+  }
+
+  histogram.buckets[low]++;
+  histogram.count++;
+  histogram.sum += ms;
+  histogram.max = Math.max(histogram.max, ms);
+};
+
+const mergeHistogram = (into, from) => {
+  into.count += from.count;
+  into.sum += from.sum;
+  into.max = Math.max(into.max, from.max);
+  from.buckets.forEach((count, i) => {
+    into.buckets[i] += count;
+  });
+  return into;
+};
+
+/**
+ * Estimated latency at percentile p, interpolated within its bucket and never above the max seen
+ */
+const histogramPercentile = (histogram, p) => {
+  if (histogram.count === 0) return 0;
+
+  const rank = (p / 100) * histogram.count;
+  let seen = 0;
+  for (let i = 0; i < histogram.buckets.length; i++) {
+    const count = histogram.buckets[i];
+    if (count > 0 && seen + count >= rank) {
+      const lower = i === 0 ? 0 : BUCKET_BOUNDS[i - 1];
+      const upper = i < BUCKET_BOUNDS.length ? BUCKET_BOUNDS[i] : histogram.max;
+      return Math.min(histogram.max, lower + (upper - lower) * ((rank - seen) / count));
+    }
+    seen += count;
+  }
+  return histogram.max;
+};
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const summarizeHistogram = (histogram) => ({
+  count: histogram.count,
+  avg: histogram.count > 0 ? round(histogram.sum / histogram.count) : 0,
+  p50: round(histogramPercentile(histogram, 50)),
+  p95: round(histogramPercentile(histogram, 95)),
+  p99: round(histogramPercentile(histogram, 99)),
+  max: round(histogram.max)
+});
+
+const addCounts = (into, from) => {
+  Object.entries(from).forEach(([key, count]) => {
+    into[key] = (into[key] || 0) + count;
+  });
+  return into;
+};
+
+const hitRate = ({ hits, misses }) => hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : null;
+
+const createState = () => ({
+  startedAt: Date.now(),
+  requests: { histogram: createHistogram(), statusCodes: {}, routes: {} }, // routes: { 'GET /path': { histogram, statusCodes } }
+  cache: { hits: 0, misses: 0, byPrefix: {} },
+  database: { histogram: createHistogram(), errors: 0, slow: 0 }
+});
+
+let state = createState();
+
+/**
+ * Count a finished request under its route pattern (e.g. GET /api/buses/:busNumber/history)
+ */
+const recordRequest = (method, routePattern, statusCode, ms) => {
+  const key = routePattern ? `${method} ${routePattern}` : UNMATCHED_ROUTE;
+  const route = state.requests.routes[key] || (state.requests.routes[key] = { histogram: createHistogram(), statusCodes: {} });
+
+  observe(state.requests.histogram, ms);
+  observe(route.histogram, ms);
+  state.requests.statusCodes[statusCode] = (state.requests.statusCodes[statusCode] || 0) + 1;
+  route.statusCodes[statusCode] = (route.statusCodes[statusCode] || 0) + 1;
+};
+
+/**
+ * Count a cache read, grouped by key prefix (bus:, location:, ...)
+ */
+const recordCacheLookup = (key, hit) => {
+  const prefix = String(key).split(':')[0];
+  const group = state.cache.byPrefix[prefix] || (state.cache.byPrefix[prefix] = { hits: 0, misses: 0 });
+  const field = hit ? 'hits' : 'misses';
+
+  state.cache[field]++;
+  group[field]++;
+};
+
+const recordQuery = (ms, failed = false) => {
+  observe(state.database.histogram, ms);
+  if (failed) state.database.errors++;
+  if (ms > SLOW_QUERY_MS) state.database.slow++;
+};
+
+/**
+ * Remember the full route pattern of the request as the router matches it. Express only keeps
+ * req.route relative to its router and forgets the mount path once a request leaves the
+ * router, which is the case for errors handled by the error middleware.
+ */
+const trackRoutePattern = (req) => {
+  let matched = null;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched && matched.route,
+    set: (route) => {
+      matched = { route, pattern: `${req.baseUrl}${route.path}` };
+    }
+  });
+
+  return () => matched && matched.pattern;
+};
+
+/**
+ * This process's raw counters, serializable for IPC
+ */
+const getSnapshot = () => JSON.parse(JSON.stringify({ ...state, pid: process.pid }));
+
+const mergeSnapshots = (snapshots) => {
+  const merged = createState();
+  merged.startedAt = Math.min(...snapshots.map(snapshot => snapshot.startedAt));
+  merged.pids = snapshots.map(snapshot => snapshot.pid);
+
+  snapshots.forEach(snapshot => {
+    mergeHistogram(merged.requests.histogram, snapshot.requests.histogram);
+    addCounts(merged.requests.statusCodes, snapshot.requests.statusCodes);
+    Object.entries(snapshot.requests.routes).forEach(([key, route]) => {
+      const into = merged.requests.routes[key] || (merged.requests.routes[key] = { histogram: createHistogram(), statusCodes: {} });
+      mergeHistogram(into.histogram, route.histogram);
+      addCounts(into.statusCodes, route.statusCodes);
+    });
+
+    merged.cache.hits += snapshot.cache.hits;
+    merged.cache.misses += snapshot.cache.misses;
+    Object.entries(snapshot.cache.byPrefix).forEach(([prefix, group]) => {
+      merged.cache.byPrefix[prefix] = addCounts(merged.cache.byPrefix[prefix] || { hits: 0, misses: 0 }, group);
+    });
+
+    mergeHistogram(merged.database.histogram, snapshot.database.histogram);
+    merged.database.errors += snapshot.database.errors;
+    merged.database.slow += snapshot.database.slow;
+  });
+
+  return merged;
+};
+
+/**
+ * Percentiles and rates from (merged) raw counters; routes busiest first
+ */
+const summarize = (snapshot) => {
+  const uptimeMinutes = Math.max((Date.now() - snapshot.startedAt) / 60000, 1 / 60);
+  const requests = summarizeHistogram(snapshot.requests.histogram);
+  const serverErrors = Object.entries(snapshot.requests.statusCodes)
+    .filter(([status]) => Number(status) >= 500)
+    .reduce((sum, [, count]) => sum + count, 0);
+
+  return {
+    since: new Date(snapshot.startedAt).toISOString(),
+    workers: snapshot.pids ? snapshot.pids.length : 1,
+    requests: {
+      ...requests,
+      perMinute: Math.round(requests.count / uptimeMinutes),
+      errorRate: requests.count > 0 ? Math.round((serverErrors / requests.count) * 1000) / 10 : 0,
+      statusCodes: snapshot.requests.statusCodes
+    },
+    routes: Object.entries(snapshot.requests.routes)
+      .map(([route, { histogram, statusCodes }]) => ({ route, ...summarizeHistogram(histogram), statusCodes }))
+      .sort((a, b) => b.count - a.count),
+    cache: {
+      hits: snapshot.cache.hits,
+      misses: snapshot.cache.misses,
+      hitRate: hitRate(snapshot.cache),
+      byPrefix: Object.fromEntries(Object.entries(snapshot.cache.byPrefix)
+        .map(([prefix, group]) => [prefix, { ...group, hitRate: hitRate(group) }]))
+    },
+    database: {
+      queries: summarizeHistogram(snapshot.database.histogram),
+      errors: snapshot.database.errors,
+      slow: snapshot.database.slow
+    }
+  };
+};
+
+// Snapshot requests this worker sent to the master, waiting for the other workers' replies
+const pendingCollections = new Map();
+let nextCollectionId = 1;
+
+const onIpcMessage = (message) => {
+  if (!message || message.channel !== IPC_CHANNEL) return;
+
+  if (message.type === 'snapshot-request') {
+    process.send({ channel: IPC_CHANNEL, type: 'snapshot', id: message.id, requester: message.requester, snapshot: getSnapshot() });
+  } else if (message.type === 'snapshot') {
+    const pending = pendingCollections.get(message.id);
+    if (!pending) return;
+
+    pending.snapshots.push(message.snapshot);
+    if (pending.snapshots.length >= message.expected) {
+      pending.finish();
+    }
+  }
+};
+
+/**
+ * Answer snapshot requests from other workers (call once per worker)
+ */
+const startMetricsSharing = () => {
+  if (typeof process.send === 'function') {
+    process.on('message', onIpcMessage);
+  }
+};
+
+/**
+ * Snapshots from every worker. A worker that doesn't answer in time is left out; outside a
+ * cluster this is just our own.
+ */
+const collectSnapshots = () => {
+  if (typeof process.send !== 'function' || !process.listeners('message').includes(onIpcMessage)) {
+    return Promise.resolve({ snapshots: [getSnapshot()], complete: true });
+  }
+
+  return new Promise(resolve => {
+    const id = `${process.pid}:${nextCollectionId++}`;
+    const pending = { snapshots: [] };
+
+    const timer = setTimeout(() => pending.finish(false), COLLECT_TIMEOUT);
+    pending.finish = (complete = true) => {
+      clearTimeout(timer);
+      pendingCollections.delete(id);
+      // The master didn't get through to us either: report at least this worker
+      if (pending.snapshots.length === 0) pending.snapshots.push(getSnapshot());
+      resolve({ snapshots: pending.snapshots, complete });
+    };
+    pendingCollections.set(id, pending);
+
+    process.send({ channel: IPC_CHANNEL, type: 'collect', id });
+  });
+};
+
+/**
+ * Metrics summed over every worker
+ */
+const getClusterMetrics = async () => {
+  const { snapshots, complete } = await collectSnapshots();
+  return { ...summarize(mergeSnapshots(snapshots)), complete };
+};
+
+/**
+ * Master side: ask every worker for its snapshot and pass them to the worker that asked
+ */
+const relayMetricsBetweenWorkers = (cluster) => {
+  cluster.on('message', (sender, message) => {
+    if (!message || message.channel !== IPC_CHANNEL) return;
+
+    if (message.type === 'collect') {
+      const workers = Object.values(cluster.workers).filter(worker => worker && worker.isConnected());
+      workers.forEach(worker => {
+        worker.send({ channel: IPC_CHANNEL, type: 'snapshot-request', id: message.id, requester: sender.id });
+      });
+    } else if (message.type === 'snapshot') {
+      const requester = cluster.workers[message.requester];
+      const expected = Object.values(cluster.workers).filter(worker => worker && worker.isConnected()).length;
+      if (requester && requester.isConnected()) {
+        requester.send({ ...message, expected });
+      }
+    }
+  });
+};
+
+/**
+ * Start counting from zero (tests)
+ */
+const resetMetrics = () => {
+  state = createState();
+};
+
+module.exports = {
+  recordRequest,
+  recordCacheLookup,
+  recordQuery,
+  trackRoutePattern,
+  getSnapshot,
+  mergeSnapshots,
+  summarize,
+  startMetricsSharing,
+  getClusterMetrics,
+  relayMetricsBetweenWorkers,
+  resetMetrics
+};
@@ -1,12 +1,44 @@
-const OptimizedBus = require('../models/OptimizedBus');
-const OptimizedLocation = require('../models/OptimizedLocation');
-
-// In-memory cache for frequently accessed data (reduces DB load)
-const cache = {
-  activeBuses: new Map(),
-  lastUpdated: new Map(),
-  recentLocations: new Map()
-};
+const { randomUUID } = require('crypto');
+const {
+  busEvents,
+  EVENT_TYPES,
+  publishLocation,
+  publishTrackingStarted,
+  publishTrackingStopped
+} = require('./busEvents');
+const { getCacheStore } = require('./cacheStore');
+const { getRepositories } = require('../repositories');
+const BusService = require('./busService');
+const AuthService = require('./authService');
+const RouteService = require('./routeService');
+const TripService = require('./tripService');
+const TrackExportService = require('./trackExportService');
+const GpsFilterService = require('./gpsFilterService');
+const { simplifyPath, haversineDistance, bearing } = require('../utils/geo');
+const StopEventService = require('./stopEventService');
+const GeofenceService = require('./geofenceService');
+const RouteDeviationService = require('./routeDeviationService');
+const WebhookService = require('./webhookService');
+const locationWriteBuffer = require('./locationWriteBuffer');
+const BusStatusService = require('./busStatusService');
+const { getClusterMetrics } = require('./metricsService');
+
+// Cache for frequently accessed data (reduces DB load). In-memory per worker by default,
+// shared across workers with CACHE_BACKEND=redis. Keys:
+//   bus:<busNumber>        bus status
+//   location:<busNumber>   latest accepted location
+//   throttle:<busNumber>   per-bus write throttle
+//   active-buses           active buses with their latest locations
+//   stop-state:<busNumber> stop arrival/departure detection state (see stopEventService)
+//   gps-filter:<busNumber> last accepted fix for outlier rejection and smoothing (see gpsFilterService)
+//   geofence-state:<busNumber> geofences the bus is inside (see geofenceService)
+//   route-deviation:<busNumber> whether the bus is off its route (see routeDeviationService)
+//   bus-status:<busNumber> last announced live/stale/offline status (see busStatusService)
+const cache = () => getCacheStore();
+
+// Storage is chosen at startup (see repositories/index.js)
+const buses = () => getRepositories().buses;
+const locations = () => getRepositories().locations;
 
 // Cache TTL (Time To Live) in milliseconds
 const CACHE_TTL = {
@@ -15,45 +47,149 @@ const CACHE_TTL = {
   BUS_STATUS: 60000         // 1 minute
 };
 
+// Minimum time between stored updates for the same bus
+const LOCATION_UPDATE_INTERVAL = 8000; // 8 seconds
+
+// History simplification: default tolerance, and the most rows read for one request
+const HISTORY_TOLERANCE_METERS = parseFloat(process.env.HISTORY_TOLERANCE_METERS) || 10;
+const HISTORY_MAX_ROWS = BusService.HISTORY_MAX_ROWS;
+
 class OptimizedBusService {
   /**
-   * Batch location updates for efficiency (handle multiple buses at once)
+   * Batch location updates for efficiency (handle multiple buses at once). Every element gets a
+   * result; elements listed in `invalid` (index -> validation messages) are reported, not stored.
    */
-  static async batchUpdateLocations(locationUpdates) {
+  static async batchUpdateLocations(locationUpdates, session, invalid = new Map()) {
     try {
-      if (locationUpdates.length === 0) return { success: true, processed: 0 };
-      
-      // Validate all locations first
-      const validLocations = locationUpdates.filter(loc => 
-        loc.busNumber && 
-        loc.latitude && 
-        loc.longitude &&
-        Math.abs(loc.latitude) <= 90 &&
-        Math.abs(loc.longitude) <= 180
-      );
+      const results = new Array(locationUpdates.length);
+      const fixIdAt = index => {
+        const update = locationUpdates[index];
+        return update && typeof update.fixId === 'string' ? update.fixId : null;
+      };
+      const succeed = (index, status, result) => {
+        results[index] = { index, fixId: fixIdAt(index), status, result };
+      };
+      const fail = (index, status, code, message) => {
+        results[index] = { index, fixId: fixIdAt(index), status, error: { code, message } };
+      };
+      
+      // Elements that passed validation, for the token's bus, each fix id once
+      const candidates = [];
+      const seenFixIds = new Set();
+      locationUpdates.forEach((update, index) => {
+        if (invalid.has(index)) {
+          return fail(index, 400, 'VALIDATION_FAILED', invalid.get(index).join('; '));
+        }
+        
+        // A driver token only covers its own bus
+        try {
+          AuthService.assertBusScope(session, update.busNumber);
+        } catch (error) {
+          return fail(index, error.statusCode, 'BUS_FORBIDDEN', error.message);
+        }
+        
+        const fixId = fixIdAt(index);
+        if (fixId) {
+          const key = `${update.busNumber}:${fixId}`;
+          if (seenFixIds.has(key)) {
+            return succeed(index, 200, 'duplicate');
+          }
+          seenFixIds.add(key);
+        }
+        
+        candidates.push({
+          index,
+          busNumber: update.busNumber,
+          latitude: parseFloat(update.latitude),
+          longitude: parseFloat(update.longitude),
+          accuracy: parseFloat(update.accuracy) || 0,
+          timestamp: update.timestamp || new Date().toISOString(),
+          fixId
+        });
+      });
+      
+      // Check each bus is tracking, filter its fixes in time order and link them to its trip
+      const latestFixAt = {};
+      const busByNumber = {};
+      const acceptedLocations = [];
+      for (const busNumber of new Set(candidates.map(loc => loc.busNumber))) {
+        const fixes = candidates.filter(loc => loc.busNumber === busNumber);
+        const bus = await this.getCachedBus(busNumber);
+        
+        try {
+          this.assertTracking(bus, busNumber);
+        } catch (error) {
+          fixes.forEach(fix => fail(fix.index, error.statusCode, error.code, error.message));
+          continue;
+        }
+        
+        busByNumber[busNumber] = bus;
+        latestFixAt[busNumber] = await this.getLatestFixAt(busNumber);
+        
+        const filtered = await GpsFilterService.filterFixes(busNumber, fixes);
+        filtered.rejected.forEach(({ fix, detail }) => {
+          fail(fix.index, 422, 'GPS_REJECTED', `Location rejected: ${detail}`);
+        });
+        filtered.accepted.forEach(loc => acceptedLocations.push({ ...loc, id: randomUUID(), tripId: bus.currentTripId }));
+      }
       
-      if (validLocations.length === 0) {
-        throw new Error('No valid locations to process');
+      // Batch insert for efficiency (fix ids the bus already has are skipped)
+      const savedLocations = await locations().batchCreate(acceptedLocations);
+      const savedIds = new Set(savedLocations.map(location => location.id));
+      
+      // Fixes older than the bus's newest stored fix are backfill: kept in history, but they
+      // don't move the current position or reach live subscribers and detection
+      const isBackfill = location => this.isOlderThan(location.timestamp, latestFixAt[location.busNumber]);
+      acceptedLocations.forEach(loc => {
+        if (!savedIds.has(loc.id)) {
+          succeed(loc.index, 200, 'duplicate');
+        } else {
+          succeed(loc.index, 201, isBackfill(loc) ? 'backfilled' : 'stored');
+        }
+      });
+      
+      const liveLocations = savedLocations
+        .filter(location => !isBackfill(location))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      
+      // Update cache (each bus ends up on its newest fix)
+      for (const location of liveLocations) {
+        await cache().set(`location:${location.busNumber}`, location, CACHE_TTL.RECENT_LOCATIONS);
+      }
+      if (liveLocations.length > 0) {
+        const newest = liveLocations[liveLocations.length - 1];
+        await cache().set('last-location-write', new Date(newest.timestamp).getTime());
       }
       
-      // Batch insert for efficiency
-      const savedLocations = await OptimizedLocation.batchCreate(validLocations);
+      // Push to live subscribers
+      liveLocations.forEach(location => publishLocation(location.busNumber, location));
       
-      // Update cache
-      validLocations.forEach(loc => {
-        cache.lastUpdated.set(loc.busNumber, Date.now());
-        cache.recentLocations.set(loc.busNumber, {
-          ...loc,
-          timestamp: Date.now()
-        });
+      // Stop, geofence, route deviation and status detection run per bus, in time order
+      const locationsByBus = {};
+      liveLocations.forEach(location => {
+        (locationsByBus[location.busNumber] = locationsByBus[location.busNumber] || []).push(location);
       });
+      for (const [busNumber, fixes] of Object.entries(locationsByBus)) {
+        await StopEventService.processFixes(busByNumber[busNumber], fixes);
+        await GeofenceService.processFixes(busByNumber[busNumber], fixes);
+        await RouteDeviationService.processFixes(busByNumber[busNumber], fixes);
+        await BusStatusService.processFixes(busByNumber[busNumber], fixes);
+      }
+      
+      const fixIdsWhere = predicate => results.filter(result => result.fixId && predicate(result)).map(result => result.fixId);
+      const failed = results.filter(result => result.error).length;
       
-      console.log(`📍 Batch updated ${savedLocations.length} locations`);
+      console.log(`📍 Batch updated ${savedLocations.length} locations${failed > 0 ? `, ${failed} failed` : ''}`);
       
       return {
-        success: true,
         processed: savedLocations.length,
-        failed: locationUpdates.length - validLocations.length,
+        failed,
+        rejected: results.filter(result => result.error && result.error.code === 'GPS_REJECTED').length,
+        backfilled: savedLocations.length - liveLocations.length,
+        storedFixIds: fixIdsWhere(result => result.status === 201),
+        duplicateFixIds: fixIdsWhere(result => result.result === 'duplicate'),
+        rejectedFixIds: fixIdsWhere(result => result.error && result.error.code === 'GPS_REJECTED'),
+        results,
         locations: savedLocations
       };
     } catch (error) {
@@ -65,64 +201,124 @@ class OptimizedBusService {
   /**
    * Optimized single location update with intelligent caching
    */
-  static async updateLocationOptimized(busNumber, locationData) {
+  static async updateLocationOptimized(busNumber, locationData, session) {
     try {
-      // Rate limiting per bus (prevent spam from single bus)
-      const lastUpdate = cache.lastUpdated.get(busNumber) || 0;
-      const timeSinceLastUpdate = Date.now() - lastUpdate;
+      AuthService.assertBusScope(session, busNumber);
+      
+      const fixId = locationData.fixId != null ? String(locationData.fixId) : null;
       
-      if (timeSinceLastUpdate < 8000) { // Minimum 8 seconds between updates
-        console.log(`⏱️  Rate limited bus ${busNumber} (${timeSinceLastUpdate}ms since last update)`);
+      // A fix older than the bus's newest stored one is backfill (queued while the phone was
+      // offline): it goes into history without moving the current position
+      const backfill = locationData.timestamp != null &&
+        this.isOlderThan(locationData.timestamp, await this.getLatestFixAt(busNumber));
+      
+      // A fix id makes retries safe, so fixes that carry one aren't held to the throttle: a
+      // phone replaying its offline queue sends them seconds apart, and throttled ones are lost
+      const throttled = !fixId;
+      
+      // Rate limiting per bus (prevent spam from single bus). With the Redis cache the
+      // throttle is claimed atomically, so it holds across every worker.
+      const throttleKey = `throttle:${busNumber}`;
+      const acquired = !throttled || await cache().acquire(throttleKey, LOCATION_UPDATE_INTERVAL);
+      
+      if (!acquired) {
+        console.log(`⏱️  Rate limited bus ${busNumber} (less than ${LOCATION_UPDATE_INTERVAL}ms since last update)`);
         return {
           success: true,
           message: `Location cached for bus ${busNumber}`,
-          rateLimited: true
+          rateLimited: true,
+          storedFixIds: []
         };
       }
       
-      // Validate location data
-      if (!locationData.latitude || !locationData.longitude) {
-        throw new Error('Latitude and longitude are required');
-      }
-      
-      if (Math.abs(locationData.latitude) > 90 || Math.abs(locationData.longitude) > 180) {
-        throw new Error('Invalid coordinates');
-      }
+      // Nothing was stored, so don't hold the throttle against the next attempt
+      const releaseThrottle = async () => {
+        if (throttled) await cache().delete(throttleKey);
+      };
       
-      // Check if bus exists and is active (with caching)
-      let bus = cache.activeBuses.get(busNumber);
-      if (!bus || Date.now() - bus.cachedAt > CACHE_TTL.BUS_STATUS) {
-        bus = await OptimizedBus.findByBusNumber(busNumber);
-        if (bus) {
-          cache.activeBuses.set(busNumber, { ...bus, cachedAt: Date.now() });
+      let bus;
+      let location;
+      try {
+        // Validate location data
+        if (locationData.latitude == null || locationData.longitude == null) {
+          throw new Error('Latitude and longitude are required');
+        }
+        
+        if (Math.abs(locationData.latitude) > 90 || Math.abs(locationData.longitude) > 180) {
+          throw new Error('Invalid coordinates');
         }
+        
+        // Check if bus exists and is active (with caching)
+        bus = await this.getCachedBus(busNumber);
+        this.assertTracking(bus, busNumber);
+        
+        // Drop outliers and smooth jitter before anything is stored
+        const { accepted, rejected } = await GpsFilterService.filterFixes(busNumber, [{
+          latitude: parseFloat(locationData.latitude),
+          longitude: parseFloat(locationData.longitude),
+          accuracy: parseFloat(locationData.accuracy) || 0,
+          timestamp: locationData.timestamp || new Date().toISOString()
+        }]);
+        
+        if (rejected.length > 0) {
+          await releaseThrottle();
+          return {
+            success: true,
+            message: `Location rejected for bus ${busNumber}: ${rejected[0].detail}`,
+            rejected: true,
+            reason: rejected[0].reason,
+            storedFixIds: [],
+            rejectedFixIds: fixId ? [fixId] : []
+          };
+        }
+        
+        // Save location to database through the write buffer, which coalesces concurrent
+        // updates into one INSERT (null when this fix id was stored before)
+        location = await locationWriteBuffer.add({
+          ...accepted[0],
+          id: randomUUID(),
+          busNumber,
+          tripId: bus.currentTripId,
+          fixId
+        });
+      } catch (error) {
+        await releaseThrottle();
+        throw error;
       }
       
-      if (!bus) {
-        throw new Error(`Bus ${busNumber} not found. Please start tracking first.`);
+      if (!location) {
+        await releaseThrottle();
+        return {
+          success: true,
+          message: `Fix ${fixId} was already stored for bus ${busNumber}`,
+          duplicate: true,
+          storedFixIds: [],
+          duplicateFixIds: [fixId]
+        };
       }
       
-      if (!bus.isActive) {
-        throw new Error(`Bus ${busNumber} is not currently being tracked`);
+      if (!backfill) {
+        // Update cache
+        await cache().set(`location:${busNumber}`, location, CACHE_TTL.RECENT_LOCATIONS);
+        await cache().set('last-location-write', new Date(location.timestamp).getTime());
+        
+        // Push to live subscribers
+        publishLocation(busNumber, location);
+        
+        await StopEventService.processFixes(bus, [location]);
+        await GeofenceService.processFixes(bus, [location]);
+        await RouteDeviationService.processFixes(bus, [location]);
+        await BusStatusService.processFixes(bus, [location]);
       }
       
-      // Save location to database
-      const location = await OptimizedLocation.create({
-        busNumber,
-        latitude: parseFloat(locationData.latitude),
-        longitude: parseFloat(locationData.longitude),
-        accuracy: parseFloat(locationData.accuracy) || 0,
-        timestamp: locationData.timestamp || new Date().toISOString()
-      });
-      
-      // Update cache
-      cache.lastUpdated.set(busNumber, Date.now());
-      cache.recentLocations.set(busNumber, location);
-      
       return {
         success: true,
-        message: `Location updated for bus ${busNumber}`,
-        location: location
+        message: backfill
+          ? `Backfilled location stored for bus ${busNumber}`
+          : `Location updated for bus ${busNumber}`,
+        location: location,
+        backfilled: backfill,
+        storedFixIds: fixId ? [fixId] : []
       };
     } catch (error) {
       console.error(`❌ Error updating location for bus ${busNumber}:`, error);
@@ -130,34 +326,120 @@ class OptimizedBusService {
     }
   }
 
+  /**
+   * Bus status, from cache when possible
+   */
+  static async getCachedBus(busNumber) {
+    let bus = await cache().get(`bus:${busNumber}`);
+    if (!bus) {
+      bus = await buses().findByBusNumber(busNumber);
+      if (bus) {
+        await cache().set(`bus:${busNumber}`, bus, CACHE_TTL.BUS_STATUS);
+      }
+    }
+    return bus;
+  }
+
+  static assertTracking(bus, busNumber) {
+    BusService.assertTracking(bus, busNumber);
+  }
+
+  /**
+   * Time (ms) of a bus's newest stored fix, from cache when possible; null if it has none
+   */
+  static async getLatestFixAt(busNumber) {
+    const cached = await cache().get(`location:${busNumber}`);
+    if (cached) return new Date(cached.timestamp).getTime();
+    
+    const latest = await locations().getLatestByBusNumber(busNumber);
+    return latest ? new Date(latest.timestamp).getTime() : null;
+  }
+
+  static isOlderThan(timestamp, latestFixAt) {
+    return latestFixAt != null && new Date(timestamp).getTime() < latestFixAt;
+  }
+
   /**
    * Cached active buses retrieval
    */
   static async getActiveBusesOptimized() {
     try {
-      const cacheKey = 'all_active_buses';
-      const cached = cache.activeBuses.get(cacheKey);
-      
-      if (cached && Date.now() - cached.timestamp < CACHE_TTL.ACTIVE_BUSES) {
-        return cached.data;
+      let busesWithLocations = await cache().get('active-buses');
+      
+      if (!busesWithLocations) {
+        // Get active buses with recent locations in one query. Buses silent for longer than the
+        // auto-stop window are about to be stopped, so they are left out.
+        busesWithLocations = await BusService.getRecentlyActiveBuses(
+          BusStatusService.policy.autoStopAfterMinutes
+        );
+        
+        // Update cache
+        await cache().set('active-buses', busesWithLocations, CACHE_TTL.ACTIVE_BUSES);
       }
       
-      // Get active buses with recent locations in one query
-      const busesWithLocations = await OptimizedBus.getActiveBusesWithRecentActivity(30);
-      
-      // Update cache
-      cache.activeBuses.set(cacheKey, {
-        data: busesWithLocations,
-        timestamp: Date.now()
-      });
-      
-      return busesWithLocations;
+      // Status is worked out per request so it doesn't lag behind the cached list
+      return BusStatusService.withStatus(busesWithLocations);
     } catch (error) {
       console.error('❌ Error getting active buses:', error);
       throw error;
     }
   }
 
+  /**
+   * Latest known position of every active bus: the cached active list, with each bus moved to
+   * its cached latest location when that is newer. No database reads while the caches are warm.
+   */
+  static async getLatestPositions() {
+    const activeBuses = await this.getActiveBusesOptimized();
+    
+    const positions = await Promise.all(activeBuses.map(async ({ bus, latestLocation }) => {
+      const cached = await cache().get(`location:${bus.busNumber}`);
+      const location = cached && (!latestLocation || new Date(cached.timestamp) >= new Date(latestLocation.timestamp))
+        ? cached
+        : latestLocation;
+      
+      return location ? { bus, location } : null;
+    }));
+    
+    return positions.filter(Boolean);
+  }
+
+  /**
+   * Positions with their distance (meters) and compass bearing from a point, nearest first
+   */
+  static measureFrom(lat, lng, positions) {
+    return positions
+      .map(({ bus, location }) => ({
+        bus,
+        location,
+        distanceMeters: Math.round(haversineDistance(lat, lng, location.latitude, location.longitude)),
+        bearing: Math.round(bearing(lat, lng, location.latitude, location.longitude))
+      }))
+      .sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  /**
+   * Active buses within radiusMeters of a point
+   */
+  static async getNearbyBuses(lat, lng, radiusMeters) {
+    const positions = await this.getLatestPositions();
+    
+    return this.measureFrom(lat, lng, positions)
+      .filter(item => item.distanceMeters <= radiusMeters);
+  }
+
+  /**
+   * Active buses inside a bounding box, measured from its centre
+   */
+  static async getBusesWithin({ minLng, minLat, maxLng, maxLat }) {
+    const positions = (await this.getLatestPositions()).filter(({ location }) =>
+      location.latitude >= minLat && location.latitude <= maxLat &&
+      location.longitude >= minLng && location.longitude <= maxLng
+    );
+    
+    return this.measureFrom((minLat + maxLat) / 2, (minLng + maxLng) / 2, positions);
+  }
+
   /**
    * Smart dashboard with minimal DB queries
    */
@@ -165,7 +447,7 @@ class OptimizedBusService {
     try {
       // Use cached data when possible
       const activeBuses = await this.getActiveBusesOptimized();
-      const stats = await OptimizedLocation.getLocationStats();
+      const stats = await BusService.getLocationStats();
       
       return {
         totalActiveBuses: activeBuses.length,
@@ -173,16 +455,12 @@ class OptimizedBusService {
         recentLocations: activeBuses
           .filter(item => item.latestLocation)
           .map(item => item.latestLocation),
-        statistics: {
-          totalLocations: parseInt(stats.total_locations) || 0,
-          uniqueBuses: parseInt(stats.unique_buses) || 0,
-          oldestRecord: stats.oldest_record,
-          newestRecord: stats.newest_record
-        },
+        statistics: stats,
         cacheStatus: {
-          activeBusesCache: cache.activeBuses.size,
-          locationCache: cache.recentLocations.size,
-          lastCacheUpdate: Math.max(...Array.from(cache.lastUpdated.values()))
+          backend: cache().name,
+          activeBusesCache: await cache().count('bus:'),
+          locationCache: await cache().count('location:'),
+          lastCacheUpdate: await cache().get('last-location-write')
         },
         lastUpdated: new Date().toISOString()
       };
@@ -193,38 +471,75 @@ class OptimizedBusService {
   }
 
   /**
-   * Efficient bus history with intelligent sampling
+   * A bus's trips, newest first
+   */
+  static async getTrips(busNumber, options) {
+    await BusService.getBus(busNumber);
+
+    return TripService.getTripsForBus(busNumber, options);
+  }
+
+  /**
+   * Stream a bus's trips as a track file (gpx, kml, geojson or csv)
    */
-  static async getBusHistoryOptimized(busNumber, hours = 24, maxPoints = 100) {
+  static async exportTrips(res, format, busNumber, options) {
+    const trips = await this.getTrips(busNumber, options);
+    await TrackExportService.streamTrips(res, format, `bus-${busNumber}-trips`, trips);
+  }
+
+  /**
+   * A bus's stop-by-stop log for one day
+   */
+  static async getStopEvents(busNumber, date) {
+    await BusService.getBus(busNumber);
+
+    return StopEventService.getStopEvents(busNumber, date);
+  }
+
+  /**
+   * A bus's geofence enters and exits for one day
+   */
+  static async getGeofenceEvents(busNumber, date) {
+    await BusService.getBus(busNumber);
+
+    return GeofenceService.getEventsForBus(busNumber, date);
+  }
+
+  /**
+   * Bus history over the last N hours, simplified with Douglas-Peucker so turns survive and
+   * straight runs collapse. The tolerance is raised when needed to stay within maxPoints.
+   */
+  static async getBusHistoryOptimized(busNumber, hours = 24, maxPoints = 100, toleranceMeters = HISTORY_TOLERANCE_METERS) {
     try {
-      const bus = await OptimizedBus.findByBusNumber(busNumber);
-      if (!bus) {
-        throw new Error(`Bus ${busNumber} not found`);
-      }
+      const bus = await BusService.getBus(busNumber);
       
-      // Get all locations first
-      const allLocations = await OptimizedLocation.getByBusNumber(busNumber, hours * 60); // Rough estimate
+      const allLocations = await locations().getByBusNumberSince(busNumber, hours, HISTORY_MAX_ROWS);
       
-      // Intelligent sampling for large datasets
-      let sampledLocations = allLocations;
-      if (allLocations.length > maxPoints) {
-        const step = Math.ceil(allLocations.length / maxPoints);
-        sampledLocations = allLocations.filter((_, index) => index % step === 0);
-        
-        // Always include the latest location
-        if (allLocations.length > 0 && sampledLocations[0].id !== allLocations[0].id) {
-          sampledLocations.unshift(allLocations[0]);
-        }
-      }
+      const { indexes, toleranceMeters: usedTolerance } = simplifyPath(
+        allLocations.map(location => [location.latitude, location.longitude]),
+        toleranceMeters,
+        maxPoints
+      );
+      
+      // Newest first, as before
+      const sampledLocations = indexes.map(index => allLocations[index]).reverse();
       
       return {
         bus: bus,
         locations: sampledLocations,
         totalLocations: allLocations.length,
         sampledPoints: sampledLocations.length,
+        truncated: allLocations.length === HISTORY_MAX_ROWS,
         timeRange: {
           hours: hours,
-          maxPoints: maxPoints
+          maxPoints: maxPoints,
+          from: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(),
+          to: new Date().toISOString()
+        },
+        simplification: {
+          algorithm: 'douglas-peucker',
+          toleranceMeters: Math.round(usedTolerance * 100) / 100,
+          requestedToleranceMeters: toleranceMeters
         }
       };
     } catch (error) {
@@ -234,26 +549,44 @@ class OptimizedBusService {
   }
 
   /**
-   * Optimized start tracking with better error handling
+   * Stream every fix of the last N hours as a track file, unsimplified
    */
-  static async startTrackingOptimized(busNumber, driverName = 'Teacher') {
+  static async exportHistory(res, format, busNumber, hours = 24) {
+    const bus = await BusService.getBus(busNumber);
+
+    await TrackExportService.streamHistory(res, format, bus, hours);
+  }
+
+  /**
+   * Optimized start tracking with better error handling (optionally assigns the bus to a route)
+   */
+  static async startTrackingOptimized(busNumber, { driverName, routeId } = {}, session) {
     try {
-      let bus = await OptimizedBus.findByBusNumber(busNumber);
+      AuthService.assertBusScope(session, busNumber);
+      driverName = driverName || session.driverName || 'Teacher';
       
-      if (!bus) {
-        bus = await OptimizedBus.create({
-          busNumber,
-          driverName
-        });
-        console.log(`📍 Created new bus: ${busNumber}`);
-      } else {
-        bus = await OptimizedBus.updateActiveStatus(busNumber, true);
-        console.log(`🔄 Reactivated bus: ${busNumber}`);
+      if (routeId) {
+        await RouteService.getAssignableRoute(routeId);
       }
       
+      let bus = await BusService.startTracking(busNumber, { driverName, routeId });
+      
+      // Starting again without a stop ends the run that was left open
+      if (bus.currentTripId) {
+        await TripService.closeTrip(bus.currentTripId);
+      }
+      
+      const trip = await TripService.openTrip(bus, { driverId: session.driverId, driverName });
+      bus = await buses().setCurrentTrip(busNumber, trip.id);
+      
       // Update cache
-      cache.activeBuses.set(busNumber, { ...bus, cachedAt: Date.now() });
-      cache.activeBuses.delete('all_active_buses'); // Invalidate list cache
+      await cache().set(`bus:${busNumber}`, bus, CACHE_TTL.BUS_STATUS);
+      await cache().delete('active-buses'); // Invalidate list cache
+      
+      publishTrackingStarted(bus);
+      await BusStatusService.transition(busNumber, BusStatusService.BUS_STATUS.LIVE, {
+        reason: 'tracking-started'
+      }, BusStatusService.BUS_STATUS.OFFLINE);
       
       return {
         success: true,
@@ -269,17 +602,11 @@ class OptimizedBusService {
   /**
    * Optimized stop tracking
    */
-  static async stopTrackingOptimized(busNumber) {
+  static async stopTrackingOptimized(busNumber, session) {
     try {
-      await OptimizedBus.updateActiveStatus(busNumber, false);
-      
-      // Clear from cache
-      cache.activeBuses.delete(busNumber);
-      cache.activeBuses.delete('all_active_buses'); // Invalidate list cache
-      cache.lastUpdated.delete(busNumber);
-      cache.recentLocations.delete(busNumber);
+      AuthService.assertBusScope(session, busNumber);
       
-      console.log(`🛑 Stopped tracking bus: ${busNumber}`);
+      await this.endTracking(busNumber, 'tracking-stopped');
       
       return {
         success: true,
@@ -291,6 +618,64 @@ class OptimizedBusService {
     }
   }
 
+  /**
+   * Deactivate a bus, close its trip and clear its tracking state. `reason` is reported on the
+   * offline status event.
+   */
+  static async endTracking(busNumber, reason, lastFixAt = null) {
+    const bus = await BusService.stopTracking(busNumber);
+    if (bus.currentTripId) {
+      await TripService.closeTrip(bus.currentTripId);
+      await buses().setCurrentTrip(busNumber, null);
+    }
+    
+    // Clear from cache
+    await cache().delete(
+      `bus:${busNumber}`,
+      'active-buses', // Invalidate list cache
+      `throttle:${busNumber}`,
+      `location:${busNumber}`
+    );
+    await StopEventService.clearState(busNumber);
+    await RouteDeviationService.clearState(busNumber);
+    await GpsFilterService.reset(busNumber);
+    
+    console.log(`🛑 Stopped tracking bus: ${busNumber}`);
+    
+    publishTrackingStopped(busNumber);
+    await BusStatusService.transition(busNumber, BusStatusService.BUS_STATUS.OFFLINE, { lastFixAt, reason });
+  }
+
+  /**
+   * Apply the staleness policy to every tracking bus: announce live/stale changes and stop
+   * buses that have been silent past the auto-stop window (run on a schedule)
+   */
+  static async checkBusStatuses() {
+    const trackingBuses = await BusService.getRecentlyActiveBuses(null);
+    const now = Date.now();
+    const counts = { live: 0, stale: 0, autoStopped: 0 };
+    
+    for (const { bus, latestLocation } of trackingBuses) {
+      const status = BusStatusService.statusOf(bus, latestLocation, now);
+      const lastFixAt = latestLocation ? latestLocation.timestamp : null;
+      
+      try {
+        if (status === BusStatusService.BUS_STATUS.OFFLINE) {
+          console.log(`⏹️  Auto-stopping bus ${bus.busNumber}: no fix for ${BusStatusService.policy.autoStopAfterMinutes} minutes`);
+          await this.endTracking(bus.busNumber, 'auto-stopped', lastFixAt);
+          counts.autoStopped++;
+        } else {
+          await BusStatusService.transition(bus.busNumber, status, { lastFixAt });
+          counts[status]++;
+        }
+      } catch (error) {
+        console.error(`❌ Status check failed for bus ${bus.busNumber}:`, error.message);
+      }
+    }
+    
+    return counts;
+  }
+
   /**
    * Scheduled cleanup for free tier optimization
    */
@@ -299,19 +684,15 @@ class OptimizedBusService {
       console.log('🧹 Starting scheduled cleanup...');
       
       // Smart cleanup - keep sample data for history
-      const deletedCount = await OptimizedLocation.smartCleanup(7, 10); // Keep every 10th record after 7 days
+      const deletedCount = await locations().smartCleanup(7, 10); // Keep every 10th record after 7 days
+      const deletedDeliveries = await WebhookService.cleanupDeliveries();
       
-      // Clear old cache entries
-      const now = Date.now();
-      for (const [key, value] of cache.activeBuses.entries()) {
-        if (now - value.cachedAt > CACHE_TTL.BUS_STATUS * 2) {
-          cache.activeBuses.delete(key);
-        }
-      }
+      // Clear expired cache entries
+      await cache().prune();
       
-      console.log(`🧹 Cleanup completed: ${deletedCount} old locations cleaned, cache optimized`);
+      console.log(`🧹 Cleanup completed: ${deletedCount} old locations cleaned, ${deletedDeliveries} webhook deliveries removed, cache optimized`);
       
-      return { deletedLocations: deletedCount };
+      return { deletedLocations: deletedCount, deletedWebhookDeliveries: deletedDeliveries };
     } catch (error) {
       console.error('❌ Error during scheduled cleanup:', error);
       throw error;
@@ -323,25 +704,33 @@ class OptimizedBusService {
    */
   static async getSystemHealth() {
     try {
-      const stats = await OptimizedLocation.getLocationStats();
+      const stats = await BusService.getLocationStats();
+      const metrics = await getClusterMetrics();
       
       return {
         database: {
-          totalLocations: parseInt(stats.total_locations) || 0,
-          uniqueBuses: parseInt(stats.unique_buses) || 0,
+          storage: getRepositories().name,
+          totalLocations: stats.totalLocations,
+          uniqueBuses: stats.uniqueBuses,
           dataSpan: {
-            oldest: stats.oldest_record,
-            newest: stats.newest_record
+            oldest: stats.oldestRecord,
+            newest: stats.newestRecord
           }
         },
         cache: {
-          activeBuses: cache.activeBuses.size,
-          recentLocations: cache.recentLocations.size,
-          lastUpdated: cache.lastUpdated.size
+          backend: cache().name,
+          activeBuses: await cache().count('bus:'),
+          recentLocations: await cache().count('location:'),
+          lastUpdated: await cache().count('throttle:')
         },
+        gpsFilter: GpsFilterService.getStats(),
+        webhooks: WebhookService.getStats(),
+        writeBuffer: locationWriteBuffer.getStats(),
+        stalenessPolicy: BusStatusService.policy,
         performance: {
-          cacheHitRate: this.calculateCacheHitRate(),
-          avgResponseTime: this.getAvgResponseTime()
+          cacheHitRate: metrics.cache.hitRate,
+          avgResponseTime: metrics.requests.avg,
+          p95ResponseTime: metrics.requests.p95
         }
       };
     } catch (error) {
@@ -351,25 +740,89 @@ class OptimizedBusService {
   }
 
   /**
-   * Clear all caches (useful for debugging)
+   * Apply an event handled by another worker to this worker's caches
    */
-  static clearAllCaches() {
-    cache.activeBuses.clear();
-    cache.lastUpdated.clear();
-    cache.recentLocations.clear();
-    console.log('🗑️  All caches cleared');
+  static async syncRemoteEvent(event) {
+    // A shared (Redis) cache was already updated by the worker that handled the write
+    if (cache().shared) return;
+    
+    const { busNumber } = event;
+    
+    switch (event.type) {
+      case EVENT_TYPES.LOCATION:
+        await cache().set(`throttle:${busNumber}`, Date.now(), LOCATION_UPDATE_INTERVAL);
+        await cache().set(`location:${busNumber}`, {
+          busNumber,
+          latitude: event.location.lat,
+          longitude: event.location.lng,
+          accuracy: event.location.accuracy,
+          timestamp: event.location.timestamp
+        }, CACHE_TTL.RECENT_LOCATIONS);
+        await cache().set('last-location-write', new Date(event.location.timestamp).getTime());
+        await GpsFilterService.applyRemoteFix(busNumber, event.location);
+        break;
+      case EVENT_TYPES.TRACKING_STARTED:
+        await cache().set(`bus:${busNumber}`, event.bus, CACHE_TTL.BUS_STATUS);
+        await cache().delete('active-buses');
+        break;
+      case EVENT_TYPES.TRACKING_STOPPED:
+        await cache().delete(
+          `bus:${busNumber}`,
+          'active-buses',
+          `throttle:${busNumber}`,
+          `location:${busNumber}`
+        );
+        await StopEventService.clearState(busNumber);
+        await RouteDeviationService.clearState(busNumber);
+        await GpsFilterService.reset(busNumber);
+        break;
+      case EVENT_TYPES.STOP_ARRIVAL:
+      case EVENT_TYPES.STOP_DEPARTURE:
+        await StopEventService.applyRemoteEvent(event);
+        break;
+      case EVENT_TYPES.GEOFENCE_ENTER:
+      case EVENT_TYPES.GEOFENCE_EXIT:
+        await GeofenceService.applyRemoteEvent(event);
+        break;
+      case EVENT_TYPES.OFF_ROUTE:
+      case EVENT_TYPES.ON_ROUTE:
+        await RouteDeviationService.applyRemoteEvent(event);
+        break;
+      case EVENT_TYPES.BUS_STATUS:
+        await BusStatusService.applyRemoteEvent(event);
+        break;
+    }
   }
 
-  // Helper methods
-  static calculateCacheHitRate() {
-    // Implementation for cache hit rate calculation
-    return 85; // Placeholder
+  /**
+   * Drop expired cache entries (Redis expires keys on its own)
+   */
+  static async pruneCaches() {
+    const removed = await cache().prune();
+    if (removed > 0) {
+      console.log(`🗑️  Pruned ${removed} expired cache entries`);
+    }
+    return removed;
   }
 
-  static getAvgResponseTime() {
-    // Implementation for average response time calculation
-    return 45; // Placeholder in ms
+  /**
+   * Clear all caches (useful for debugging)
+   */
+  static async clearAllCaches() {
+    await cache().clear();
+    console.log('🗑️  All caches cleared');
   }
 }
 
+// Keep caches consistent with writes handled by other workers (see eventBroker)
+Object.values(EVENT_TYPES).forEach(type => {
+  busEvents.on(type, (event, meta) => {
+    if (meta && meta.remote) {
+      OptimizedBusService.syncRemoteEvent(event).catch(error => {
+        console.error('❌ Failed to sync remote event into cache:', error.message);
+      });
+    }
+  });
+});
+
 module.exports = OptimizedBusService;
@@ -0,0 +1,82 @@
+const EtaService = require('./etaService');
+const { EVENT_TYPES, publishRouteDeviation } = require('./busEvents');
+const { getCacheStore } = require('./cacheStore');
+const { projectOntoPath } = require('../utils/geo');
+
+// Cache key route-deviation:<busNumber> holds { offRoute, pending, lastFixAt }, where pending
+// counts consecutive fixes disagreeing with offRoute
+const cache = () => getCacheStore();
+
+const STATE_TTL = 30 * 60 * 1000; // 30 minutes
+
+// A bus changes between on and off its route only after this many fixes in a row agree,
+// so one bad fix doesn't announce a detour
+const CONFIRMING_FIXES = 2;
+
+const emptyState = () => ({ offRoute: false, pending: 0, lastFixAt: null });
+
+class RouteDeviationService {
+  /**
+   * Check accepted fixes for one bus against its route, announcing off-route and on-route.
+   * Never throws: a detection failure must not fail the location write.
+   */
+  static async processFixes(bus, locations) {
+    if (!bus || !bus.routeId || locations.length === 0) return;
+
+    let state = null;
+
+    try {
+      const geometry = await EtaService.getRouteGeometry(bus.routeId);
+      state = (await cache().get(`route-deviation:${bus.busNumber}`)) || emptyState();
+
+      const ordered = [...locations].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      for (const location of ordered) {
+        const fixAt = new Date(location.timestamp).getTime();
+        if (state.lastFixAt && fixAt <= state.lastFixAt) continue;
+        state.lastFixAt = fixAt;
+
+        const { offsetMeters } = projectOntoPath(location.latitude, location.longitude, geometry.path, geometry.distances);
+        if (EtaService.isOffRoute(offsetMeters) === state.offRoute) {
+          state.pending = 0;
+          continue;
+        }
+
+        state.pending++;
+        if (state.pending >= CONFIRMING_FIXES) {
+          state.offRoute = !state.offRoute;
+          state.pending = 0;
+
+          console.log(state.offRoute
+            ? `🧭 Bus ${bus.busNumber} left route ${geometry.route.code} (${Math.round(offsetMeters)}m away)`
+            : `🧭 Bus ${bus.busNumber} is back on route ${geometry.route.code}`);
+          publishRouteDeviation(bus, state.offRoute, location, offsetMeters);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Route deviation check failed for bus ${bus.busNumber}:`, error.message);
+    }
+
+    if (state) {
+      await cache().set(`route-deviation:${bus.busNumber}`, state, STATE_TTL);
+    }
+  }
+
+  /**
+   * Mirror a deviation announced by another worker into this worker's state cache
+   */
+  static async applyRemoteEvent(event) {
+    const state = (await cache().get(`route-deviation:${event.busNumber}`)) || emptyState();
+
+    state.offRoute = event.type === EVENT_TYPES.OFF_ROUTE;
+    state.pending = 0;
+    state.lastFixAt = Math.max(state.lastFixAt || 0, new Date(event.location.timestamp).getTime());
+
+    await cache().set(`route-deviation:${event.busNumber}`, state, STATE_TTL);
+  }
+
+  static async clearState(busNumber) {
+    await cache().delete(`route-deviation:${busNumber}`);
+  }
+}
+
+module.exports = RouteDeviationService;
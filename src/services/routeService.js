@@ -0,0 +1,164 @@
+const { getRepositories } = require('../repositories');
+const httpError = require('../utils/httpError');
+
+const routes = () => getRepositories().routes;
+const stops = () => getRepositories().stops;
+
+class RouteService {
+  /**
+   * All routes (active only unless asked otherwise)
+   */
+  static async listRoutes(includeInactive = false) {
+    return routes().getAll(includeInactive);
+  }
+
+  /**
+   * One route with its ordered stops
+   */
+  static async getRoute(id) {
+    const route = await routes().findById(id);
+    if (!route) {
+      throw httpError(404, `Route ${id} not found`);
+    }
+
+    route.stops = await routes().getStops(id);
+    return route;
+  }
+
+  static async createRoute(routeData) {
+    try {
+      const existing = await routes().findByCode(routeData.code);
+      if (existing) {
+        throw httpError(409, `Route ${routeData.code} already exists`);
+      }
+
+      if (routeData.stopIds) {
+        await this.assertStopsExist(routeData.stopIds);
+      }
+
+      const route = await routes().create(routeData);
+      route.stops = routeData.stopIds
+        ? await routes().setStops(route.id, routeData.stopIds)
+        : [];
+
+      console.log(`🗺️  Created route ${route.code} (${route.name})`);
+      return route;
+    } catch (error) {
+      console.error(`❌ Error creating route ${routeData.code}:`, error.message);
+      throw error;
+    }
+  }
+
+  static async updateRoute(id, routeData) {
+    if (routeData.code) {
+      const existing = await routes().findByCode(routeData.code);
+      if (existing && existing.id !== id) {
+        throw httpError(409, `Route ${routeData.code} already exists`);
+      }
+    }
+
+    if (routeData.stopIds) {
+      await this.assertStopsExist(routeData.stopIds);
+    }
+
+    const route = await routes().update(id, routeData);
+    if (!route) {
+      throw httpError(404, `Route ${id} not found`);
+    }
+
+    route.stops = routeData.stopIds
+      ? await routes().setStops(id, routeData.stopIds)
+      : await routes().getStops(id);
+    return route;
+  }
+
+  static async deleteRoute(id) {
+    const deleted = await routes().delete(id);
+    if (!deleted) {
+      throw httpError(404, `Route ${id} not found`);
+    }
+    console.log(`🗑️  Deleted route ${id}`);
+  }
+
+  /**
+   * Check a stop list is usable as a route: no repeats, every stop exists
+   */
+  static async assertStopsExist(stopIds) {
+    if (new Set(stopIds).size !== stopIds.length) {
+      throw httpError(400, 'A stop can only appear once on a route');
+    }
+
+    const known = await stops().findByIds(stopIds);
+    if (known.length !== stopIds.length) {
+      const found = new Set(known.map(stop => stop.id));
+      const missing = stopIds.filter(id => !found.has(id));
+      throw httpError(400, `Unknown stop ids: ${missing.join(', ')}`);
+    }
+  }
+
+  static async setRouteStops(routeId, stopIds) {
+    const route = await routes().findById(routeId);
+    if (!route) {
+      throw httpError(404, `Route ${routeId} not found`);
+    }
+
+    await this.assertStopsExist(stopIds);
+    route.stops = await routes().setStops(routeId, stopIds);
+    return route;
+  }
+
+  static async listStops() {
+    return stops().getAll();
+  }
+
+  /**
+   * One stop with the routes that serve it
+   */
+  static async getStop(id) {
+    const stop = await stops().findById(id);
+    if (!stop) {
+      throw httpError(404, `Stop ${id} not found`);
+    }
+
+    stop.routes = await stops().getRoutesForStop(id);
+    return stop;
+  }
+
+  static async createStop(stopData) {
+    const stop = await stops().create(stopData);
+    console.log(`🚏 Created stop ${stop.name}`);
+    return stop;
+  }
+
+  static async updateStop(id, stopData) {
+    const stop = await stops().update(id, stopData);
+    if (!stop) {
+      throw httpError(404, `Stop ${id} not found`);
+    }
+    return stop;
+  }
+
+  static async deleteStop(id) {
+    const deleted = await stops().delete(id);
+    if (!deleted) {
+      throw httpError(404, `Stop ${id} not found`);
+    }
+    console.log(`🗑️  Deleted stop ${id}`);
+  }
+
+  /**
+   * Check a route can be assigned to a bus
+   */
+  static async getAssignableRoute(routeId) {
+    const route = await routes().findById(routeId);
+    if (!route) {
+      throw httpError(404, `Route ${routeId} not found`);
+    }
+    if (!route.isActive) {
+      throw httpError(400, `Route ${route.code} is not active`);
+    }
+    return route;
+  }
+}
+
+module.exports = RouteService;
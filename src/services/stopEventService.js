@@ -0,0 +1,210 @@
+const EtaService = require('./etaService');
+const { EVENT_TYPES, publishStopEvent } = require('./busEvents');
+const { getCacheStore } = require('./cacheStore');
+const { getRepositories } = require('../repositories');
+const { haversineDistance } = require('../utils/geo');
+const { REPORT_TIMEZONE, today } = require('../utils/reportDate');
+
+// Cache key stop-state:<busNumber> holds where each bus is relative to its stops:
+//   { currentStop: { id, arrivedAt } | null, lastDeparture: { id, at } | null, lastFixAt }
+const cache = () => getCacheStore();
+const stopEvents = () => getRepositories().stopEvents;
+const segmentTimes = () => getRepositories().segmentTimes;
+
+// A gap this long between fixes starts detection afresh
+const STATE_TTL = 30 * 60 * 1000; // 30 minutes
+
+// A bus leaves a stop only once it is this far outside the arrival radius,
+// so GPS jitter at the edge doesn't log a string of arrivals and departures
+const EXIT_RADIUS_FACTOR = 1.5;
+
+// Traversals outside these bounds (GPS gaps, buses parked mid-route) aren't learned from
+const MIN_SEGMENT_SECONDS = 10;
+const MAX_SEGMENT_SECONDS = 2 * 60 * 60;
+
+const emptyState = () => ({ currentStop: null, lastDeparture: null, lastFixAt: null });
+
+class StopEventService {
+  /**
+   * Feed accepted fixes for one bus through arrival/departure detection.
+   * Never throws: a detection failure must not fail the location write.
+   */
+  static async processFixes(bus, locations) {
+    if (!bus || !bus.routeId || locations.length === 0) return [];
+
+    const recorded = [];
+    let state = null;
+
+    try {
+      const geometry = await EtaService.getRouteGeometry(bus.routeId);
+      state = await this.loadState(bus.busNumber);
+
+      const ordered = [...locations].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      for (const location of ordered) {
+        const fixAt = new Date(location.timestamp).getTime();
+
+        // Late fixes can't move the bus backwards through its stops
+        if (state.lastFixAt && fixAt <= state.lastFixAt) continue;
+
+        if (state.lastFixAt && fixAt - state.lastFixAt > STATE_TTL) {
+          Object.assign(state, emptyState());
+        }
+
+        recorded.push(...await this.detect(bus, location, fixAt, geometry, state));
+        state.lastFixAt = fixAt;
+      }
+    } catch (error) {
+      console.error(`❌ Stop detection failed for bus ${bus.busNumber}:`, error.message);
+    }
+
+    // Saved even after a failure so events already recorded aren't recorded again
+    if (state) {
+      await cache().set(`stop-state:${bus.busNumber}`, state, STATE_TTL);
+    }
+    return recorded;
+  }
+
+  /**
+   * Compare one fix with the bus's stop state, recording any departure then any arrival
+   */
+  static async detect(bus, location, fixAt, geometry, state) {
+    const recorded = [];
+    const distanceTo = (stop) => haversineDistance(location.latitude, location.longitude, stop.latitude, stop.longitude);
+
+    if (state.currentStop) {
+      const stop = geometry.stops.find(candidate => candidate.id === state.currentStop.id);
+
+      if (!stop || distanceTo(stop) > stop.radiusMeters * EXIT_RADIUS_FACTOR) {
+        const departure = await this.record(bus, stop || { id: state.currentStop.id, name: null }, 'departure', location, {
+          dwellSeconds: Math.round((fixAt - state.currentStop.arrivedAt) / 1000)
+        });
+        recorded.push(departure);
+
+        state.lastDeparture = { id: state.currentStop.id, at: fixAt };
+        state.currentStop = null;
+      }
+    }
+
+    if (!state.currentStop) {
+      const justLeft = state.lastDeparture && state.lastDeparture.at === fixAt ? state.lastDeparture.id : null;
+      const nearest = geometry.stops
+        .filter(stop => stop.id !== justLeft)
+        .map(stop => ({ stop, distance: distanceTo(stop) }))
+        .filter(({ stop, distance }) => distance <= stop.radiusMeters)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (nearest) {
+        const arrival = await this.record(bus, nearest.stop, 'arrival', location);
+        recorded.push(arrival);
+
+        state.currentStop = { id: nearest.stop.id, arrivedAt: fixAt };
+        await this.learnSegmentTime(bus, geometry, state.lastDeparture, nearest.stop, fixAt);
+      }
+    }
+
+    return recorded;
+  }
+
+  static async record(bus, stop, eventType, location, { dwellSeconds = null } = {}) {
+    const stopEvent = await stopEvents().create({
+      busNumber: bus.busNumber,
+      routeId: bus.routeId,
+      tripId: bus.currentTripId,
+      stopId: stop.id,
+      eventType,
+      occurredAt: location.timestamp,
+      dwellSeconds,
+      latitude: location.latitude,
+      longitude: location.longitude
+    });
+
+    console.log(eventType === 'arrival'
+      ? `🚏 Bus ${bus.busNumber} arrived at ${stop.name || `stop ${stop.id}`}`
+      : `🚌 Bus ${bus.busNumber} left ${stop.name || `stop ${stop.id}`} after ${dwellSeconds}s`);
+
+    publishStopEvent(stopEvent, stop);
+    return stopEvent;
+  }
+
+  /**
+   * Departure from one stop to arrival at the next one on the route is a segment traversal
+   */
+  static async learnSegmentTime(bus, geometry, lastDeparture, stop, arrivedAt) {
+    if (!lastDeparture) return;
+
+    const from = geometry.stops.find(candidate => candidate.id === lastDeparture.id);
+    if (!from || stop.stopOrder !== from.stopOrder + 1) return;
+
+    const seconds = (arrivedAt - lastDeparture.at) / 1000;
+    if (seconds < MIN_SEGMENT_SECONDS || seconds > MAX_SEGMENT_SECONDS) return;
+
+    await segmentTimes().recordTraversal(bus.routeId, from.id, stop.id, seconds);
+  }
+
+  /**
+   * Cached detection state, rebuilt from the last recorded event after a cache miss
+   */
+  static async loadState(busNumber) {
+    const cached = await cache().get(`stop-state:${busNumber}`);
+    if (cached) return cached;
+
+    const state = emptyState();
+    const latest = await stopEvents().getLatestForBus(busNumber);
+    if (!latest) return state;
+
+    const at = new Date(latest.occurredAt).getTime();
+    if (Date.now() - at > STATE_TTL) return state;
+
+    if (latest.eventType === 'arrival') {
+      state.currentStop = { id: latest.stopId, arrivedAt: at };
+    } else {
+      state.lastDeparture = { id: latest.stopId, at };
+    }
+    state.lastFixAt = at;
+    return state;
+  }
+
+  /**
+   * Mirror a stop event recorded by another worker into this worker's state cache
+   */
+  static async applyRemoteEvent(event) {
+    const state = (await cache().get(`stop-state:${event.busNumber}`)) || emptyState();
+    const at = new Date(event.occurredAt).getTime();
+
+    if (event.type === EVENT_TYPES.STOP_ARRIVAL) {
+      state.currentStop = { id: event.stop.id, arrivedAt: at };
+    } else {
+      state.currentStop = null;
+      state.lastDeparture = { id: event.stop.id, at };
+    }
+    state.lastFixAt = Math.max(state.lastFixAt || 0, at);
+
+    await cache().set(`stop-state:${event.busNumber}`, state, STATE_TTL);
+  }
+
+  static async clearState(busNumber) {
+    await cache().delete(`stop-state:${busNumber}`);
+  }
+
+  /**
+   * A bus's arrivals and departures for one day (defaults to today)
+   */
+  static async getStopEvents(busNumber, date = today()) {
+    try {
+      const events = await stopEvents().getByBusAndDate(busNumber, date, REPORT_TIMEZONE);
+
+      return {
+        busNumber,
+        date,
+        timezone: REPORT_TIMEZONE,
+        events,
+        count: events.length
+      };
+    } catch (error) {
+      console.error(`❌ Error getting stop events for bus ${busNumber}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = StopEventService;
@@ -0,0 +1,147 @@
+const { getRepositories } = require('../repositories');
+const { TRACK_FORMATS } = require('../utils/trackFormats');
+
+// A gap this long between fixes starts a new track segment (signal loss, app in background)
+const SEGMENT_GAP_MS = 5 * 60 * 1000; // 5 minutes
+
+// Media types served for Accept negotiation; JSON comes first so */* keeps the JSON API
+const NEGOTIABLE_TYPES = ['application/json', ...Object.values(TRACK_FORMATS).map(format => format.contentType)];
+
+const describeTrip = (trip) => [
+  trip.driverName && `Driver ${trip.driverName}`,
+  trip.routeId && `route ${trip.routeId}`,
+  `started ${new Date(trip.startedAt).toISOString()}`,
+  trip.endedAt ? `ended ${new Date(trip.endedAt).toISOString()}` : 'in progress'
+].filter(Boolean).join(', ');
+
+const tripTrack = (trip) => ({
+  name: `Bus ${trip.busNumber} trip ${trip.id}`,
+  description: describeTrip(trip),
+  busNumber: trip.busNumber,
+  tripId: trip.id,
+  points: getRepositories().locations.streamByTripId(trip.id)
+});
+
+class TrackExportService {
+  /**
+   * Export format requested via ?format= or the Accept header, or null for the JSON API
+   */
+  static negotiateFormat(req) {
+    const requested = req.query.format;
+    if (requested) {
+      return TRACK_FORMATS[requested] ? requested : null;
+    }
+
+    const type = req.accepts(NEGOTIABLE_TYPES);
+    return Object.keys(TRACK_FORMATS).find(name => TRACK_FORMATS[name].contentType === type) || null;
+  }
+
+  /**
+   * Raw fixes for a bus over the last N hours as one track
+   */
+  static async streamHistory(res, format, bus, hours) {
+    const track = {
+      name: `Bus ${bus.busNumber} (last ${hours}h)`,
+      busNumber: bus.busNumber,
+      points: getRepositories().locations.streamByBusNumberSince(bus.busNumber, hours)
+    };
+
+    await this.streamTracks(res, format, `bus-${bus.busNumber}-history`, [track]);
+  }
+
+  /**
+   * Trips as one track each
+   */
+  static async streamTrips(res, format, filename, trips) {
+    await this.streamTracks(res, format, filename, trips.map(tripTrack));
+  }
+
+  /**
+   * Write tracks to the response as they are read. Fixes are split into segments on long
+   * gaps and when the trip changes. Stops early if the client disconnects.
+   */
+  static async streamTracks(res, format, filename, tracks) {
+    const { contentType, extension, createWriter } = TRACK_FORMATS[format];
+    const writer = createWriter();
+
+    let closed = false;
+    res.once('close', () => { closed = true; });
+
+    // Output is held until the first fix arrives, so a failing query can still get a normal
+    // error response instead of a truncated file
+    let head = '';
+    let streaming = false;
+
+    const write = async (chunk) => {
+      if (!chunk || closed) return;
+      if (!streaming) {
+        head += chunk;
+        return;
+      }
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    };
+
+    const startStreaming = async () => {
+      if (streaming) return;
+      streaming = true;
+      res.status(200).set({
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+        'Cache-Control': 'no-store'
+      });
+      await write(head);
+    };
+
+    try {
+      await write(writer.start({ title: tracks[0]?.name || filename, generatedAt: new Date().toISOString() }));
+
+      for (const track of tracks) {
+        await write(writer.trackStart(track));
+
+        let previous = null;
+        for await (const point of track.points) {
+          if (closed) break;
+          await startStreaming();
+
+          const newSegment = !previous ||
+            new Date(point.timestamp) - new Date(previous.timestamp) > SEGMENT_GAP_MS ||
+            point.tripId !== previous.tripId;
+
+          if (newSegment) {
+            if (previous) await write(writer.segmentEnd());
+            await write(writer.segmentStart());
+          }
+
+          await write(writer.point(point));
+          previous = point;
+        }
+
+        if (previous) await write(writer.segmentEnd());
+        await write(writer.trackEnd());
+        if (closed) break;
+      }
+
+      await write(writer.end());
+      await startStreaming();
+      res.end();
+    } catch (error) {
+      if (!streaming) throw error;
+
+      // Headers and part of the body are already out, so the error handler can't answer
+      console.error(`❌ Error exporting ${filename}.${extension}:`, error.message);
+      res.destroy(error);
+    }
+  }
+}
+
+module.exports = TrackExportService;
@@ -0,0 +1,117 @@
+const { getRepositories } = require('../repositories');
+const { haversineDistance } = require('../utils/geo');
+const { REPORT_TIMEZONE } = require('../utils/reportDate');
+const httpError = require('../utils/httpError');
+
+const trips = () => getRepositories().trips;
+const stopEvents = () => getRepositories().stopEvents;
+
+// Fixes closer together than this are too noisy to derive a speed from
+const MIN_SPEED_INTERVAL_SECONDS = 2;
+
+class TripService {
+  /**
+   * Open a trip for a bus that just started tracking
+   */
+  static async openTrip(bus, { driverId, driverName }) {
+    const trip = await trips().create({
+      busNumber: bus.busNumber,
+      driverId,
+      driverName,
+      routeId: bus.routeId
+    });
+
+    console.log(`🛣️  Opened trip ${trip.id} for bus ${bus.busNumber}`);
+    return trip;
+  }
+
+  /**
+   * Close a running trip, storing distance, max speed and point count from its fixes
+   */
+  static async closeTrip(tripId) {
+    try {
+      const stats = this.computeStats(await getRepositories().locations.getByTripId(tripId));
+      const trip = await trips().close(tripId, stats);
+
+      if (trip) {
+        console.log(`🏁 Closed trip ${trip.id} for bus ${trip.busNumber}: ${(stats.distanceMeters / 1000).toFixed(1)} km, ${stats.pointCount} points`);
+      }
+      return trip;
+    } catch (error) {
+      console.error(`❌ Error closing trip ${tripId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Totals for a list of fixes in time order
+   */
+  static computeStats(locations) {
+    let distanceMeters = 0;
+    let maxSpeedKmh = 0;
+
+    for (let i = 1; i < locations.length; i++) {
+      const previous = locations[i - 1];
+      const current = locations[i];
+      const meters = haversineDistance(previous.latitude, previous.longitude, current.latitude, current.longitude);
+      const seconds = (new Date(current.timestamp) - new Date(previous.timestamp)) / 1000;
+
+      distanceMeters += meters;
+      if (seconds >= MIN_SPEED_INTERVAL_SECONDS) {
+        maxSpeedKmh = Math.max(maxSpeedKmh, (meters / seconds) * 3.6);
+      }
+    }
+
+    return {
+      distanceMeters: Math.round(distanceMeters * 100) / 100,
+      maxSpeedKmh: Math.round(maxSpeedKmh * 100) / 100,
+      pointCount: locations.length
+    };
+  }
+
+  /**
+   * Shape a trip for API responses. Running trips get totals computed from their fixes so far.
+   */
+  static async describe(trip) {
+    if (!trip.endedAt) {
+      Object.assign(trip, this.computeStats(await getRepositories().locations.getByTripId(trip.id)));
+    }
+
+    const endedAt = trip.endedAt ? new Date(trip.endedAt) : new Date();
+
+    return {
+      ...trip,
+      status: trip.endedAt ? 'completed' : 'in-progress',
+      durationSeconds: Math.round((endedAt - new Date(trip.startedAt)) / 1000)
+    };
+  }
+
+  /**
+   * A bus's trips, newest first (?date=YYYY-MM-DD narrows to one day)
+   */
+  static async getTripsForBus(busNumber, { date, limit } = {}) {
+    try {
+      const busTrips = await trips().getByBusNumber(busNumber, { date, timezone: REPORT_TIMEZONE, limit });
+      return Promise.all(busTrips.map(trip => this.describe(trip)));
+    } catch (error) {
+      console.error(`❌ Error getting trips for bus ${busNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * One trip with its stop-by-stop log
+   */
+  static async getTrip(tripId) {
+    const trip = await trips().findById(tripId);
+    if (!trip) {
+      throw httpError(404, `Trip ${tripId} not found`);
+    }
+
+    const described = await this.describe(trip);
+    described.stopEvents = await stopEvents().getByTripId(tripId);
+    return described;
+  }
+}
+
+module.exports = TripService;
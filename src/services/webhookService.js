@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { busEvents, EVENT_TYPES } = require('./busEvents');
+const { MemoryCacheStore } = require('./cacheStore');
+const { getRepositories } = require('../repositories');
+const httpError = require('../utils/httpError');
+
+const webhooks = () => getRepositories().webhooks;
+const webhookDeliveries = () => getRepositories().webhookDeliveries;
+const webhookDeadLetters = () => getRepositories().webhookDeadLetters;
+
+// Every tracking event except raw locations (one every few seconds per bus) can be subscribed to
+const WEBHOOK_EVENT_TYPES = Object.values(EVENT_TYPES).filter(type => type !== EVENT_TYPES.LOCATION);
+
+// A failed delivery is retried after 30s, 1m, 2m, 4m... (capped at an hour) until it has
+// been tried WEBHOOK_MAX_ATTEMPTS times, then it moves to webhook_dead_letters
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// How long a worker holds a delivery it is attempting before others may retry it
+const LEASE_SECONDS = 60;
+const RETRY_BATCH_SIZE = 20;
+
+// Delivered and dead deliveries stay in the log this long
+const DELIVERY_LOG_DAYS = 30;
+
+// Active webhooks with their secrets, kept in this worker only so secrets never reach Redis.
+// Changes made on another worker show up within the TTL.
+const WEBHOOKS_TTL = 60000; // 1 minute
+const webhookCache = new MemoryCacheStore();
+
+const stats = {
+  delivered: 0,
+  failed: 0,
+  deadLettered: 0
+};
+
+// Attempts still running, awaited on shutdown
+const inFlight = new Set();
+
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Signature receivers recompute to check a delivery: HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const onEvent = (event, meta) => {
+  // The worker that raised the event delivers it
+  if (meta && meta.remote) return;
+
+  WebhookService.dispatch(event).catch(error => {
+    console.error(`❌ Failed to queue webhooks for ${event.type}:`, error.message);
+  });
+};
+
+class WebhookService {
+  static async listWebhooks() {
+    const all = await webhooks().getAll();
+    return all.map(withoutSecret);
+  }
+
+  static async getWebhook(id) {
+    const webhook = await webhooks().findById(id);
+    if (!webhook) {
+      throw httpError(404, `Webhook ${id} not found`);
+    }
+    return withoutSecret(webhook);
+  }
+
+  /**
+   * Register a webhook; its signing secret is only returned here
+   */
+  static async createWebhook({ url, description, eventTypes }) {
+    this.assertEventTypes(eventTypes);
+
+    const webhook = await webhooks().create({
+      url,
+      description,
+      eventTypes,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`
+    });
+    await webhookCache.clear();
+
+    console.log(`🪝 Registered webhook ${webhook.id} for ${eventTypes.join(', ')}`);
+    return webhook;
+  }
+
+  static async updateWebhook(id, webhookData) {
+    if (webhookData.eventTypes !== undefined) {
+      this.assertEventTypes(webhookData.eventTypes);
+    }
+
+    const webhook = await webhooks().update(id, webhookData);
+    if (!webhook) {
+      throw httpError(404, `Webhook ${id} not found`);
+    }
+
+    await webhookCache.clear();
+    return withoutSecret(webhook);
+  }
+
+  static async deleteWebhook(id) {
+    const deleted = await webhooks().delete(id);
+    if (!deleted) {
+      throw httpError(404, `Webhook ${id} not found`);
+    }
+
+    await webhookCache.clear();
+    console.log(`🗑️  Deleted webhook ${id}`);
+  }
+
+  static assertEventTypes(eventTypes) {
+    const unknown = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown event types: ${unknown.join(', ')}. Available: ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Delivery log for one webhook, newest first (optionally one status)
+   */
+  static async getDeliveries(webhookId, options) {
+    await this.getWebhook(webhookId);
+    return webhookDeliveries().getByWebhookId(webhookId, options);
+  }
+
+  static async getDeadLetters(options) {
+    return webhookDeadLetters().getAll(options);
+  }
+
+  /**
+   * Queue a dead-lettered event for delivery again, with a fresh set of attempts
+   */
+  static async replayDeadLetter(id) {
+    const deadLetter = await webhookDeadLetters().findById(id);
+    if (!deadLetter) {
+      throw httpError(404, `Dead letter ${id} not found`);
+    }
+
+    const webhook = await webhooks().findById(deadLetter.webhookId);
+    const delivery = await webhookDeliveries().create({
+      webhookId: deadLetter.webhookId,
+      eventId: deadLetter.payload.id,
+      eventType: deadLetter.eventType,
+      payload: deadLetter.payload
+    }, LEASE_SECONDS);
+
+    await webhookDeadLetters().markReplayed(id);
+    this.track(this.attempt(delivery, webhook));
+    return delivery;
+  }
+
+  /**
+   * Active webhooks with secrets, from this worker's cache
+   */
+  static async getActiveWebhooks() {
+    const cached = await webhookCache.get('active');
+    if (cached) return cached;
+
+    const active = await webhooks().getActive();
+    await webhookCache.set('active', active, WEBHOOKS_TTL);
+    return active;
+  }
+
+  /**
+   * Record a delivery for every webhook subscribed to an event and make the first attempt
+   */
+  static async dispatch(event) {
+    const webhooks = (await this.getActiveWebhooks()).filter(webhook => webhook.eventTypes.includes(event.type));
+
+    for (const webhook of webhooks) {
+      const delivery = await webhookDeliveries().create({
+        webhookId: webhook.id,
+        eventId: event.id,
+        eventType: event.type,
+        payload: event
+      }, LEASE_SECONDS);
+
+      this.track(this.attempt(delivery, webhook));
+    }
+  }
+
+  /**
+   * POST one delivery, then mark it delivered, schedule a retry or dead-letter it
+   */
+  static async attempt(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error;
+
+    try {
+      if (!webhook || !webhook.isActive) {
+        error = 'Webhook deleted or disabled';
+      } else {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SVCE-Bus-Tracker-Webhooks',
+            'X-Webhook-Id': String(webhook.id),
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Event': delivery.eventType,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        statusCode = response.status;
+        await response.body?.cancel();
+
+        if (!response.ok) {
+          error = `HTTP ${statusCode}`;
+        }
+      }
+    } catch (requestError) {
+      // fetch reports network failures as "fetch failed" with the reason in cause
+      const cause = requestError.cause && (requestError.cause.code || requestError.cause.message);
+      error = requestError.name === 'TimeoutError'
+        ? `Timed out after ${TIMEOUT_MS}ms`
+        : cause ? `${requestError.message} (${cause})` : requestError.message;
+    }
+
+    if (!error) {
+      stats.delivered++;
+      try {
+        await webhookDeliveries().markDelivered(delivery.id, statusCode);
+      } catch (recordError) {
+        // The receiver has it, so never schedule a retry: the lease just runs out
+        console.error(`❌ Failed to record webhook delivery ${delivery.id} as delivered:`, recordError.message);
+      }
+      return;
+    }
+
+    try {
+      const attempts = delivery.attempts + 1;
+      stats.failed++;
+
+      if (attempts >= MAX_ATTEMPTS || !webhook || !webhook.isActive) {
+        await webhookDeliveries().moveToDeadLetters(delivery.id, { statusCode, error });
+        stats.deadLettered++;
+        console.error(`☠️  Webhook delivery ${delivery.id} (${delivery.eventType}) dead-lettered after ${attempts} attempt(s): ${error}`);
+      } else {
+        const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+        await webhookDeliveries().scheduleRetry(delivery.id, { statusCode, error, delaySeconds });
+        console.warn(`⚠️  Webhook delivery ${delivery.id} failed (${error}), retrying in ${delaySeconds}s`);
+      }
+    } catch (recordError) {
+      // The lease runs out and the retry job picks the delivery up again
+      console.error(`❌ Failed to record webhook delivery ${delivery.id}:`, recordError.message);
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed (run on a schedule)
+   */
+  static async processDueDeliveries() {
+    const deliveries = await webhookDeliveries().claimDue(RETRY_BATCH_SIZE, LEASE_SECONDS);
+    const webhooksById = new Map();
+
+    for (const delivery of deliveries) {
+      if (!webhooksById.has(delivery.webhookId)) {
+        webhooksById.set(delivery.webhookId, await webhooks().findById(delivery.webhookId));
+      }
+      await this.track(this.attempt(delivery, webhooksById.get(delivery.webhookId)));
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Drop finished deliveries older than `days` from the log
+   */
+  static async cleanupDeliveries(days = DELIVERY_LOG_DAYS) {
+    return webhookDeliveries().cleanupDelivered(days);
+  }
+
+  // Attempts run in the background, so a failure is logged here rather than left unhandled
+  static track(promise) {
+    const tracked = promise
+      .catch(error => console.error('❌ Webhook delivery attempt failed:', error.message))
+      .finally(() => inFlight.delete(tracked));
+    inFlight.add(tracked);
+    return tracked;
+  }
+
+  /**
+   * Start delivering this worker's events (call once per worker)
+   */
+  static start() {
+    WEBHOOK_EVENT_TYPES.forEach(type => busEvents.on(type, onEvent));
+  }
+
+  /**
+   * Stop taking new events and wait for attempts already running
+   */
+  static async stop() {
+    WEBHOOK_EVENT_TYPES.forEach(type => busEvents.off(type, onEvent));
+    await Promise.allSettled([...inFlight]);
+  }
+
+  /**
+   * Counts since this worker started
+   */
+  static getStats() {
+    return {
+      eventTypes: WEBHOOK_EVENT_TYPES,
+      inFlight: inFlight.size,
+      ...stats
+    };
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,190 @@
+// Geometry helpers for GPS work. Paths are arrays of [lat, lng] pairs.
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points in meters
+ */
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Initial compass bearing from the first point to the second (0-360, 0 = north)
+ */
+const bearing = (lat1, lng1, lat2, lng2) => {
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Running distance in meters at each vertex of a path (first entry is 0)
+ */
+const cumulativeDistances = (path) => {
+  const distances = [0];
+  for (let i = 1; i < path.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(path[i - 1][0], path[i - 1][1], path[i][0], path[i][1]));
+  }
+  return distances;
+};
+
+/**
+ * Closest point on the segment start-end to a point: how far along the segment it is (0-1)
+ * and the distance to it in meters. Uses a local flat-earth approximation, which is accurate
+ * at city scale.
+ */
+const projectOntoSegment = (lat, lng, [lat1, lng1], [lat2, lng2]) => {
+  // Meters east/north relative to the segment start
+  const scale = Math.cos(toRadians(lat1));
+  const toLocal = (pLat, pLng) => [
+    toRadians(pLng - lng1) * scale * EARTH_RADIUS_METERS,
+    toRadians(pLat - lat1) * EARTH_RADIUS_METERS
+  ];
+  const [sx, sy] = toLocal(lat2, lng2);
+  const [px, py] = toLocal(lat, lng);
+
+  const lengthSquared = sx * sx + sy * sy;
+  const t = lengthSquared > 0
+    ? Math.max(0, Math.min(1, (px * sx + py * sy) / lengthSquared))
+    : 0;
+
+  return { t, offsetMeters: Math.hypot(px - t * sx, py - t * sy) };
+};
+
+/**
+ * Snap a point onto a path, searching segments from startIndex onwards.
+ * Returns how far along the path the snapped point is and how far the point is from it.
+ */
+const projectOntoPath = (lat, lng, path, distances = cumulativeDistances(path), startIndex = 0) => {
+  let best = null;
+
+  for (let i = Math.max(0, startIndex); i < path.length - 1; i++) {
+    const { t, offsetMeters } = projectOntoSegment(lat, lng, path[i], path[i + 1]);
+
+    if (!best || offsetMeters < best.offsetMeters) {
+      best = {
+        segmentIndex: i,
+        distanceAlong: distances[i] + t * (distances[i + 1] - distances[i]),
+        offsetMeters
+      };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Whether a point lies inside a polygon of [lat, lng] vertices (ray casting; the ring closes
+ * itself, so the first vertex needn't be repeated)
+ */
+const pointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+
+    if ((latI > lat) !== (latJ > lat) &&
+      lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Distance in meters from a point to the nearest edge of a polygon
+ */
+const distanceToPolygonEdge = (lat, lng, polygon) => {
+  let nearest = Infinity;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    nearest = Math.min(nearest, projectOntoSegment(lat, lng, polygon[j], polygon[i]).offsetMeters);
+  }
+
+  return nearest;
+};
+
+/**
+ * Douglas-Peucker simplification of a path.
+ * Scores every point with the largest tolerance (meters) at which the algorithm would still
+ * keep it; endpoints score Infinity. Keeping the points scoring above T gives exactly the
+ * Douglas-Peucker result for tolerance T, so callers can pick T to hit a point budget.
+ */
+const douglasPeuckerScores = (path) => {
+  const scores = new Array(path.length).fill(0);
+  if (path.length === 0) return scores;
+
+  scores[0] = Infinity;
+  scores[path.length - 1] = Infinity;
+
+  // Iterative to stay clear of the call stack limit on week-long histories
+  const stack = [[0, path.length - 1, Infinity]];
+  while (stack.length > 0) {
+    const [start, end, parentScore] = stack.pop();
+    if (end - start < 2) continue;
+
+    let farthest = -1;
+    let farthestOffset = -1;
+    for (let i = start + 1; i < end; i++) {
+      const { offsetMeters } = projectOntoSegment(path[i][0], path[i][1], path[start], path[end]);
+      if (offsetMeters > farthestOffset) {
+        farthest = i;
+        farthestOffset = offsetMeters;
+      }
+    }
+
+    // A point can't outlive the split that exposed it
+    const score = Math.min(farthestOffset, parentScore);
+    scores[farthest] = score;
+    stack.push([start, farthest, score], [farthest, end, score]);
+  }
+
+  return scores;
+};
+
+/**
+ * Indexes of the points to keep: the Douglas-Peucker result for toleranceMeters, with the
+ * tolerance raised as needed so no more than maxPoints remain. Returns the tolerance used.
+ */
+const simplifyPath = (path, toleranceMeters, maxPoints = Infinity) => {
+  const scores = douglasPeuckerScores(path);
+  let tolerance = toleranceMeters;
+
+  const kept = scores.filter(score => score > tolerance).length;
+  if (kept > maxPoints) {
+    // The largest score left out once only the top maxPoints remain
+    const sorted = [...scores].sort((a, b) => b - a);
+    tolerance = Math.max(tolerance, sorted[Math.max(maxPoints, 2)]);
+  }
+
+  const indexes = [];
+  scores.forEach((score, index) => {
+    if (score > tolerance) indexes.push(index);
+  });
+
+  return { indexes, toleranceMeters: tolerance };
+};
+
+module.exports = {
+  haversineDistance,
+  bearing,
+  cumulativeDistances,
+  projectOntoSegment,
+  projectOntoPath,
+  pointInPolygon,
+  distanceToPolygonEdge,
+  simplifyPath
+};
@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status the error middleware should respond with, and optionally a
+ * machine-readable code for clients
+ */
+const httpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+module.exports = httpError;
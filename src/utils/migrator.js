@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('../config/optimizedDatabase');
+
+// Numbered SQL migrations: NNN_name.up.sql applies a change, NNN_name.down.sql reverts it
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Applied versions are recorded here, in the same transaction as the migration itself
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+`;
+
+// Held while migrating so two deploys can't migrate the same database at once
+const MIGRATION_LOCK_ID = 72130491;
+
+// A worker exits with this code when the schema isn't current, so the master stops
+// restarting it (EX_CONFIG)
+const SCHEMA_NOT_CURRENT_EXIT_CODE = 78;
+
+// "007_location_fix_ids", as in the file names
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+/**
+ * Migrations on disk, oldest first: [{ version, name, up, down }]
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, number, name, direction] = match;
+    const version = parseInt(number, 10);
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${number} has two names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (migration.up === undefined || migration.down === undefined) {
+      const missing = migration.up === undefined ? 'up' : 'down';
+      throw new Error(`Migration ${label(migration)} has no ${missing}.sql file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Versions recorded in schema_migrations, oldest first (none if the table doesn't exist yet)
+ */
+const getAppliedMigrations = async (client) => {
+  const table = await client.query(`SELECT to_regclass('schema_migrations') AS name`);
+  if (!table.rows[0].name) return [];
+
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+};
+
+// Run a callback on one connection while holding the migration lock
+const withMigrationLock = async (callback) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await client.query(SCHEMA_MIGRATIONS_SQL);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Apply or revert one migration and record it, all or nothing
+const runMigration = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label(migration)} (${direction}) failed: ${error.message}`);
+  }
+};
+
+/**
+ * Apply every pending migration in order. Returns the migrations applied.
+ */
+const migrate = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${label(migration)}...`);
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending;
+  });
+};
+
+/**
+ * Revert the newest `steps` applied migrations. Returns the migrations reverted.
+ */
+const rollback = async (steps = 1) => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${label(row)} is applied but its files are missing`);
+      }
+
+      console.log(`⬇️  Reverting ${label(migration)}...`);
+      await runMigration(client, migration, 'down');
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+/**
+ * Every migration on disk with when it was applied (null if pending), plus applied
+ * versions that have no files here (a database migrated by newer code)
+ */
+const getStatus = async () => {
+  const migrations = loadMigrations();
+  const client = await getPool().connect();
+
+  try {
+    const applied = await getAppliedMigrations(client);
+    const appliedAt = new Map(applied.map(row => [row.version, row.appliedAt]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+      migrations: migrations.map(({ version, name }) => ({
+        version,
+        name,
+        appliedAt: appliedAt.get(version) || null
+      })),
+      unknown: applied.filter(row => !known.has(row.version))
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Throw unless every migration on disk is applied and the database has none this code
+ * doesn't know about
+ */
+const assertSchemaCurrent = async () => {
+  const { migrations, unknown } = await getStatus();
+  const pending = migrations.filter(migration => !migration.appliedAt);
+
+  if (pending.length > 0) {
+    const names = pending.map(label).join(', ');
+    throw new Error(`Database schema is out of date, ${pending.length} pending migration(s): ${names}. Run "npm run migrate"`);
+  }
+
+  if (unknown.length > 0) {
+    const names = unknown.map(label).join(', ');
+    throw new Error(`Database has migrations this version doesn't know about: ${names}. Deploy the newer code or roll them back`);
+  }
+};
+
+/**
+ * Every up migration plus the matching schema_migrations rows, as one script for
+ * databases that can only be set up through an SQL editor
+ */
+const getMigrationSQL = () => {
+  const migrations = loadMigrations();
+
+  const steps = migrations.map(migration => [
+    `-- Migration ${label(migration)}`,
+    migration.up.trim(),
+    `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}') ON CONFLICT (version) DO NOTHING;`
+  ].join('\n\n'));
+
+  return [SCHEMA_MIGRATIONS_SQL.trim(), ...steps].join('\n\n') + '\n';
+};
+
+module.exports = {
+  SCHEMA_NOT_CURRENT_EXIT_CODE,
+  loadMigrations,
+  migrate,
+  rollback,
+  getStatus,
+  assertSchemaCurrent,
+  getMigrationSQL
+};
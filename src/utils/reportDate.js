@@ -0,0 +1,15 @@
+// Day-based reports (stop logs, trips) split days in this timezone rather than the server's
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'UTC';
+
+/**
+ * Today's date as YYYY-MM-DD in the report timezone
+ */
+const today = () => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIMEZONE }).format(new Date());
+};
+
+module.exports = {
+  REPORT_TIMEZONE,
+  today
+};
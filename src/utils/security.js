@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// Password hashing (scrypt) and signed tokens (HS256 JWT) without extra dependencies
+const SCRYPT_KEY_LENGTH = 64;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const getTokenSecret = () => {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_TOKEN_SECRET environment variable is required');
+  }
+  return secret;
+};
+
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+const verifyPassword = (password, storedHash) => {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+const sign = (data) => {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+};
+
+/**
+ * Create a signed token that expires after ttlSeconds
+ */
+const signToken = (claims, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+/**
+ * Return the token's claims, or null if it is malformed, tampered with or expired
+ */
+const verifyToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken
+};
@@ -1,4 +1,5 @@
 const { getSupabase } = require('../config/database');
+const { getMigrationSQL } = require('./migrator');
 
 /**
  * Setup database tables and policies
@@ -35,41 +36,27 @@ const setupDatabase = async () => {
   }
 };
 
-// SQL for creating tables (to be run in Supabase SQL editor)
+// SQL for creating tables (to be run in Supabase SQL editor): the migrations in migrations/,
+// recorded in schema_migrations so the optimized server sees the schema as current
 const getTableCreationSQL = () => {
   return `
--- Create buses table
-CREATE TABLE IF NOT EXISTS buses (
-  id SERIAL PRIMARY KEY,
-  bus_number VARCHAR(20) UNIQUE NOT NULL,
-  driver_name VARCHAR(100) DEFAULT 'Unknown',
-  is_active BOOLEAN DEFAULT true,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Create locations table
-CREATE TABLE IF NOT EXISTS locations (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  bus_number VARCHAR(20) NOT NULL,
-  latitude DECIMAL(10, 8) NOT NULL,
-  longitude DECIMAL(11, 8) NOT NULL,
-  accuracy DECIMAL(8, 2) DEFAULT 0,
-  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  FOREIGN KEY (bus_number) REFERENCES buses(bus_number) ON DELETE CASCADE
-);
-
--- Create indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_buses_number ON buses(bus_number);
-CREATE INDEX IF NOT EXISTS idx_buses_active ON buses(is_active);
-CREATE INDEX IF NOT EXISTS idx_locations_bus_number ON locations(bus_number);
-CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON locations(timestamp);
-CREATE INDEX IF NOT EXISTS idx_locations_created_at ON locations(created_at);
-
+${getMigrationSQL()}
 -- Create RLS policies
 ALTER TABLE buses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE drivers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE routes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stops ENABLE ROW LEVEL SECURITY;
+ALTER TABLE route_stops ENABLE ROW LEVEL SECURITY;
+ALTER TABLE segment_travel_times ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stop_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE trips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE geofences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE geofence_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_dead_letters ENABLE ROW LEVEL SECURITY;
 
 -- Allow all operations for authenticated users (adjust as needed)
 CREATE POLICY IF NOT EXISTS "Allow all for authenticated users" ON buses
@@ -77,21 +64,6 @@ CREATE POLICY IF NOT EXISTS "Allow all for authenticated users" ON buses
 
 CREATE POLICY IF NOT EXISTS "Allow all for authenticated users" ON locations
   FOR ALL USING (auth.role() = 'authenticated' OR auth.role() = 'anon');
-
--- Function to update updated_at timestamp
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = NOW();
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Trigger to automatically update updated_at
-CREATE TRIGGER IF NOT EXISTS update_buses_updated_at 
-  BEFORE UPDATE ON buses 
-  FOR EACH ROW 
-  EXECUTE FUNCTION update_updated_at_column();
 `;
 };
 
@@ -0,0 +1,166 @@
+// Streaming writers for GPS track exports. Each writer turns a sequence of calls
+//   start(meta) -> [trackStart(track) -> [segmentStart() -> point()* -> segmentEnd()]* -> trackEnd()]* -> end()
+// into text chunks. Points are { latitude, longitude, accuracy, timestamp }.
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const gpx = () => ({
+  start: (meta) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="SVCE Bus Tracker" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `  <metadata><name>${escapeXml(meta.title)}</name><time>${meta.generatedAt}</time></metadata>\n`,
+  trackStart: (track) =>
+    `  <trk>\n    <name>${escapeXml(track.name)}</name>\n` +
+    (track.description ? `    <desc>${escapeXml(track.description)}</desc>\n` : ''),
+  segmentStart: () => '    <trkseg>\n',
+  point: (point) =>
+    `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${isoTime(point.timestamp)}</time></trkpt>\n`,
+  segmentEnd: () => '    </trkseg>\n',
+  trackEnd: () => '  </trk>\n',
+  end: () => '</gpx>\n'
+});
+
+// gx:Track wants every <when> before the first <gx:coord>, so coordinates are held for one segment
+const kml = () => {
+  let segment = 0;
+  let coords = [];
+
+  return {
+    start: (meta) =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+      `<Document>\n  <name>${escapeXml(meta.title)}</name>\n`,
+    trackStart: (track) => {
+      segment = 0;
+      return `  <Folder>\n    <name>${escapeXml(track.name)}</name>\n` +
+        (track.description ? `    <description>${escapeXml(track.description)}</description>\n` : '');
+    },
+    segmentStart: () => {
+      segment++;
+      coords = [];
+      return `    <Placemark>\n      <name>Segment ${segment}</name>\n      <gx:Track>\n`;
+    },
+    point: (point) => {
+      coords.push(`        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>\n`);
+      return `        <when>${isoTime(point.timestamp)}</when>\n`;
+    },
+    segmentEnd: () => {
+      const chunk = coords.join('') + '      </gx:Track>\n    </Placemark>\n';
+      coords = [];
+      return chunk;
+    },
+    trackEnd: () => '  </Folder>\n',
+    end: () => '</Document>\n</kml>\n'
+  };
+};
+
+// One LineString feature per segment. Timestamps go in a coordTimes property after the
+// geometry, held for one segment; a segment with a single fix becomes a Point.
+const geojson = () => {
+  let features = 0;
+  let track = null;
+  let segment = 0;
+  let first = null;
+  let times = [];
+
+  const position = (point) => `[${point.longitude},${point.latitude}]`;
+
+  return {
+    start: (meta) => `{"type":"FeatureCollection","name":${JSON.stringify(meta.title)},"features":[\n`,
+    trackStart: (current) => {
+      track = current;
+      segment = 0;
+      return '';
+    },
+    segmentStart: () => {
+      segment++;
+      first = null;
+      times = [];
+      return '';
+    },
+    point: (point) => {
+      times.push(isoTime(point.timestamp));
+      if (times.length === 1) {
+        first = point;
+        return '';
+      }
+
+      const opening = times.length === 2
+        ? `${features++ > 0 ? ',\n' : ''}{"type":"Feature","geometry":{"type":"LineString","coordinates":[${position(first)}`
+        : '';
+      return `${opening},${position(point)}`;
+    },
+    segmentEnd: () => {
+      const properties = JSON.stringify({
+        name: track.name,
+        busNumber: track.busNumber,
+        tripId: first.tripId ?? track.tripId ?? null,
+        segment,
+        startTime: times[0],
+        endTime: times[times.length - 1],
+        coordTimes: times
+      });
+
+      if (times.length === 1) {
+        return `${features++ > 0 ? ',\n' : ''}{"type":"Feature","geometry":{"type":"Point","coordinates":${position(first)}},"properties":${properties}}`;
+      }
+      return `]},"properties":${properties}}`;
+    },
+    trackEnd: () => '',
+    end: () => '\n]}\n'
+  };
+};
+
+const csv = () => {
+  let track = null;
+  let segment = 0;
+
+  return {
+    start: () => 'bus_number,trip_id,track,segment,timestamp,latitude,longitude,accuracy\n',
+    trackStart: (current) => {
+      track = current;
+      segment = 0;
+      return '';
+    },
+    segmentStart: () => {
+      segment++;
+      return '';
+    },
+    point: (point) => [
+      escapeCsv(track.busNumber),
+      point.tripId ?? '',
+      escapeCsv(track.name),
+      segment,
+      isoTime(point.timestamp),
+      point.latitude,
+      point.longitude,
+      point.accuracy
+    ].join(',') + '\n',
+    segmentEnd: () => '',
+    trackEnd: () => '',
+    end: () => ''
+  };
+};
+
+const TRACK_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', createWriter: gpx },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', createWriter: kml },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', createWriter: geojson },
+  csv: { contentType: 'text/csv', extension: 'csv', createWriter: csv }
+};
+
+module.exports = {
+  TRACK_FORMATS
+};
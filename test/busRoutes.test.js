@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, resetState, createApiKey } = require('./helpers/testServer');
+
+describe('basic bus routes', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startTestServer({ basic: true });
+    request = server.request;
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetState();
+  });
+
+  // Driver devices send no key
+  const asDriver = (method, path, body) => request(method, path, { body });
+
+  describe('POST /start-tracking', () => {
+    it('creates the bus and returns it in `bus`', async () => {
+      const res = await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1', driverName: 'Ravi Kumar' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Bus SVCE-1 tracking started successfully');
+      assert.equal(res.body.bus.busNumber, 'SVCE-1');
+      assert.equal(res.body.bus.driverName, 'Ravi Kumar');
+      assert.equal(res.body.bus.isActive, true);
+    });
+
+    it('reactivates a stopped bus', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      await asDriver('POST', '/api/buses/stop-tracking', { busNumber: 'SVCE-1' });
+
+      const res = await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+
+      assert.equal(res.body.bus.isActive, true);
+    });
+
+    it('needs no API key', async () => {
+      const res = await request('POST', '/api/buses/start-tracking', { body: { busNumber: 'SVCE-1' } });
+
+      assert.equal(res.status, 200);
+    });
+
+    it('validates the body', async () => {
+      const res = await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE_1', driverName: 'R' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Validation errors');
+      assert.deepEqual(res.body.errors.map(error => error.msg), [
+        'Bus number can only contain letters, numbers, and hyphens',
+        'Driver name must be between 2 and 50 characters'
+      ]);
+    });
+  });
+
+  describe('POST /stop-tracking', () => {
+    it('deactivates the bus', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+
+      const res = await asDriver('POST', '/api/buses/stop-tracking', { busNumber: 'SVCE-1' });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { success: true, message: 'Bus SVCE-1 tracking stopped successfully' });
+
+      const active = await request('GET', '/api/buses/active');
+      assert.deepEqual(active.body.data, []);
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      const res = await asDriver('POST', '/api/buses/stop-tracking', { busNumber: 'SVCE-9' });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.message, 'Bus SVCE-9 not found');
+    });
+
+    it('validates the bus number', async () => {
+      const res = await asDriver('POST', '/api/buses/stop-tracking', {});
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].msg, 'Bus number is required');
+    });
+  });
+
+  describe('POST /:busNumber/location', () => {
+    it('stores the fix and returns it in `location`', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+
+      const res = await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.9868, longitude: 79.9718, accuracy: 5 });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.location.busNumber, 'SVCE-1');
+      assert.equal(res.body.location.latitude, 12.9868);
+      assert.equal(res.body.location.accuracy, 5);
+    });
+
+    it('returns 404 BUS_NOT_FOUND before tracking starts', async () => {
+      const res = await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.9868, longitude: 79.9718 });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'BUS_NOT_FOUND');
+    });
+
+    it('returns 409 BUS_NOT_TRACKING after tracking stops', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      await asDriver('POST', '/api/buses/stop-tracking', { busNumber: 'SVCE-1' });
+
+      const res = await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.9868, longitude: 79.9718 });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'BUS_NOT_TRACKING');
+    });
+
+    it('validates the coordinates', async () => {
+      const res = await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 95, longitude: 200 });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.msg), [
+        'Latitude must be between -90 and 90',
+        'Longitude must be between -180 and 180'
+      ]);
+
+      const missing = await asDriver('POST', '/api/buses/SVCE-1/location', { longitude: 79.97 });
+      assert.equal(missing.body.errors[0].msg, 'Latitude is required');
+    });
+  });
+
+  describe('GET /:busNumber/location', () => {
+    it('returns the latest fix', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.98, longitude: 79.97, timestamp: '2024-05-01T08:00:00.000Z' });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.99, longitude: 79.98, timestamp: '2024-05-01T08:01:00.000Z' });
+
+      const res = await request('GET', '/api/buses/SVCE-1/location');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.latitude, 12.99);
+    });
+
+    it('returns 404 when the bus has no fixes', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/location');
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(res.body, { success: false, message: 'No location data found for bus SVCE-1' });
+    });
+  });
+
+  describe('GET /active and /dashboard', () => {
+    it('lists active buses with their latest location', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-2' });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.98, longitude: 79.97 });
+
+      const res = await request('GET', '/api/buses/active');
+
+      assert.equal(res.status, 200);
+      const latest = Object.fromEntries(res.body.data.map(entry => [entry.bus.busNumber, entry.latestLocation]));
+      assert.deepEqual(Object.keys(latest).sort(), ['SVCE-1', 'SVCE-2']);
+      assert.equal(latest['SVCE-2'], null);
+
+      // The whole stored location, as GET /:busNumber/location returns it
+      const current = await request('GET', '/api/buses/SVCE-1/location');
+      assert.deepEqual(latest['SVCE-1'], current.body.data);
+      assert.equal(latest['SVCE-1'].busNumber, 'SVCE-1');
+      assert.equal(latest['SVCE-1'].latitude, 12.98);
+    });
+
+    it('summarises the active buses', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.98, longitude: 79.97 });
+
+      const res = await request('GET', '/api/buses/dashboard');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalActiveBuses, 1);
+      assert.equal(res.body.data.recentLocations.length, 1);
+    });
+  });
+
+  describe('GET /:busNumber/history', () => {
+    it('returns the fixes of the last hours, oldest first', async () => {
+      await asDriver('POST', '/api/buses/start-tracking', { busNumber: 'SVCE-1' });
+      const earlier = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const longAgo = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.97, longitude: 79.97, timestamp: longAgo });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.98, longitude: 79.97, timestamp: earlier });
+      await asDriver('POST', '/api/buses/SVCE-1/location', { latitude: 12.99, longitude: 79.97 });
+
+      const res = await request('GET', '/api/buses/SVCE-1/history?hours=2');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalLocations, 2);
+      assert.deepEqual(res.body.data.locations.map(location => location.latitude), [12.98, 12.99]);
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      const res = await request('GET', '/api/buses/SVCE-9/history');
+
+      assert.equal(res.status, 404);
+    });
+
+    it('validates the hours', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/history?hours=0');
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].msg, 'Hours must be between 1 and 168 (1 week)');
+    });
+  });
+
+  describe('DELETE /cleanup', () => {
+    it('needs an admin key', async () => {
+      const anonymous = await request('DELETE', '/api/buses/cleanup');
+      assert.equal(anonymous.status, 401);
+
+      const res = await request('DELETE', '/api/buses/cleanup', {
+        headers: { 'X-API-Key': await createApiKey('driver') }
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'This endpoint requires the admin role');
+    });
+
+    it('deletes old locations', async () => {
+      const res = await request('DELETE', '/api/buses/cleanup?days=7', {
+        headers: { 'X-API-Key': await createApiKey('admin') }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Cleaned up location data older than 7 days');
+      assert.deepEqual(res.body.data, { deletedLocations: 0 });
+    });
+
+    it('validates the days', async () => {
+      const res = await request('DELETE', '/api/buses/cleanup?days=90', {
+        headers: { 'X-API-Key': await createApiKey('admin') }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].msg, 'Days must be between 1 and 30');
+    });
+  });
+
+  it('answers unknown routes with the 404 envelope', async () => {
+    const res = await request('GET', '/api/buses/SVCE-1/unknown');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, '🔍 Not Found - /api/buses/SVCE-1/unknown');
+    assert.equal(res.body.path, '/api/buses/SVCE-1/unknown');
+    assert.equal(res.body.method, 'GET');
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testServer'); // Quiet application logging
+const express = require('express');
+const httpError = require('../src/utils/httpError');
+const { errorHandler, notFound } = require('../src/middleware/errorMiddleware');
+
+describe('error middleware', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.get('/crash', () => {
+      throw new Error('Something broke');
+    });
+    app.get('/database', () => {
+      // Driver errors carry their own codes, which clients should not see
+      throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+    });
+    app.get('/conflict', (req, res, next) => {
+      next(httpError(409, 'Bus SVCE-1 is not currently being tracked', 'BUS_NOT_TRACKING'));
+    });
+    app.get('/forbidden', (req, res, next) => {
+      next(httpError(403, 'Token is not valid for bus SVCE-2'));
+    });
+    app.post('/echo', (req, res) => res.json(req.body));
+    app.use(notFound);
+    app.use(errorHandler);
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+  });
+
+  const get = async (path, options) => {
+    const response = await fetch(`${url}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('answers unexpected errors with 500 and no code', async () => {
+    const { status, body } = await get('/crash');
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.equal(body.message, 'Something broke');
+    assert.equal(body.path, '/crash');
+    assert.equal(body.method, 'GET');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+    assert.equal('code' in body, false);
+    assert.equal('stack' in body, false);
+  });
+
+  it('hides codes of errors without an HTTP status', async () => {
+    const { status, body } = await get('/database');
+
+    assert.equal(status, 500);
+    assert.equal('code' in body, false);
+  });
+
+  it('uses the status and code of an httpError', async () => {
+    const { status, body } = await get('/conflict');
+
+    assert.equal(status, 409);
+    assert.equal(body.message, 'Bus SVCE-1 is not currently being tracked');
+    assert.equal(body.code, 'BUS_NOT_TRACKING');
+  });
+
+  it('leaves out the code when an httpError has none', async () => {
+    const { status, body } = await get('/forbidden');
+
+    assert.equal(status, 403);
+    assert.equal('code' in body, false);
+  });
+
+  it('answers unknown routes with 404', async () => {
+    const { status, body } = await get('/missing?page=2');
+
+    assert.equal(status, 404);
+    assert.equal(body.message, '🔍 Not Found - /missing?page=2');
+    assert.equal(body.path, '/missing?page=2');
+  });
+
+  it('answers malformed JSON with 400', async () => {
+    const { status, body } = await get('/echo', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"busNumber":'
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  it('includes the stack trace only in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const { body } = await get('/crash');
+
+    assert.match(body.stack, /^Error: Something broke/);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testServer'); // Quiet application logging
+const GpsFilterService = require('../src/services/gpsFilterService');
+const { getCacheStore } = require('../src/services/cacheStore');
+
+// Around the SVCE campus
+const CAMPUS = { latitude: 12.9868, longitude: 79.9718 };
+const START = Date.parse('2024-05-01T08:00:00Z');
+
+const fixAt = (seconds, metersNorth = 0, accuracy = 5) => ({
+  latitude: CAMPUS.latitude + metersNorth / 111320,
+  longitude: CAMPUS.longitude,
+  accuracy,
+  timestamp: new Date(START + seconds * 1000).toISOString()
+});
+
+const filterOne = async (fix) => GpsFilterService.filterFixes('SVCE-1', [fix]);
+
+describe('GPS filter', () => {
+  beforeEach(() => getCacheStore().clear());
+
+  it('keeps no state when every fix is rejected', async () => {
+    const { rejected } = await filterOne(fixAt(0, 0, 500));
+
+    assert.equal(rejected[0].reason, 'accuracy');
+    assert.equal(await getCacheStore().get('gps-filter:SVCE-1'), null);
+  });
+
+  it('starts afresh when fixes keep failing the speed check', async () => {
+    // A stale position 50 km away is the first fix the filter sees
+    await filterOne(fixAt(0, 50000));
+
+    const results = [];
+    for (let seconds = 10; seconds <= 40; seconds += 10) {
+      results.push(await filterOne(fixAt(seconds, seconds)));
+    }
+
+    assert.deepEqual(results.map(result => result.accepted.length), [0, 0, 1, 1]);
+    assert.deepEqual(results.slice(0, 2).map(result => result.rejected[0].reason), ['speed', 'speed']);
+  });
+
+  it('counts only rejections in a row', async () => {
+    await filterOne(fixAt(0));
+
+    const outlier = await filterOne(fixAt(10, 50000));
+    const good = await filterOne(fixAt(20, 100));
+    const outliers = [await filterOne(fixAt(30, 50000)), await filterOne(fixAt(40, 50000))];
+
+    assert.equal(outlier.rejected[0].reason, 'speed');
+    assert.equal(good.accepted.length, 1);
+    assert.deepEqual(outliers.map(result => result.accepted.length), [0, 0]);
+  });
+});
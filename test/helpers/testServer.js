@@ -0,0 +1,112 @@
+// Test configuration, set before any application module reads it
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CACHE_BACKEND = 'memory';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+// The services log every request; keep the test report readable (TEST_VERBOSE=1 to see them)
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const express = require('express');
+const { initRepositories, getRepositories } = require('../../src/repositories');
+const { getCacheStore } = require('../../src/services/cacheStore');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const eventStream = require('../../src/services/eventStreamService');
+const locationWriteBuffer = require('../../src/services/locationWriteBuffer');
+const { signToken } = require('../../src/utils/security');
+const { errorHandler, notFound } = require('../../src/middleware/errorMiddleware');
+
+/**
+ * The API routers mounted the way the servers mount them, listening on a free port.
+ * `basic` serves busRoutes and locationRoutes (src/server.js); otherwise optimizedBusRoutes
+ * (src/optimizedServer.js). Rate limiters are left out so tests can make as many requests
+ * as they need.
+ */
+const startTestServer = async ({ basic = false } = {}) => {
+  await initRepositories();
+
+  const app = express();
+  app.use(express.json());
+
+  if (basic) {
+    app.use('/api/buses', require('../../src/routes/busRoutes'));
+    app.use('/api/locations', require('../../src/routes/locationRoutes'));
+  } else {
+    app.use('/api/buses', require('../../src/routes/optimizedBusRoutes'));
+  }
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request; resolves to { status, headers, body } with JSON bodies parsed
+   */
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text
+    };
+  };
+
+  const close = async () => {
+    eventStream.close();
+    await locationWriteBuffer.drain();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return { url, request, close };
+};
+
+/**
+ * Forget every bus, location, key, trip and cached value between tests
+ */
+const resetState = async () => {
+  await locationWriteBuffer.drain();
+  getRepositories().clear();
+  await getCacheStore().clear();
+};
+
+/**
+ * A driver tracking token scoped to one bus
+ */
+const driverToken = (busNumber, { driverId = 1, driverName = 'Test Driver' } = {}) => {
+  return signToken({ sub: driverId, name: driverName, bus: busNumber, scope: 'driver' }, 3600);
+};
+
+const driverAuth = (busNumber) => ({ Authorization: `Bearer ${driverToken(busNumber)}` });
+
+/**
+ * A raw API key with the given role, stored where the server under test looks for it
+ */
+const createApiKey = async (role) => {
+  const { key } = await ApiKeyService.createKey(`test-${role}`, role);
+  return key;
+};
+
+module.exports = {
+  startTestServer,
+  resetState,
+  driverToken,
+  driverAuth,
+  createApiKey
+};
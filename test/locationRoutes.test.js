@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BusService = require('../src/services/busService');
+const { startTestServer, resetState } = require('./helpers/testServer');
+
+const LATITUDES = [12.91, 12.92, 12.93, 12.94, 12.95];
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('location routes', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startTestServer({ basic: true });
+    request = server.request;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => resetState());
+
+  describe('GET /recent', () => {
+    it('returns the latest fix of each bus heard from recently', async () => {
+      await BusService.startTracking('SVCE-1');
+      await BusService.startTracking('SVCE-2');
+      await BusService.updateLocation('SVCE-1', { latitude: 12.98, longitude: 79.97, timestamp: minutesAgo(5) });
+      await BusService.updateLocation('SVCE-1', { latitude: 12.99, longitude: 79.97, timestamp: minutesAgo(1) });
+      await BusService.updateLocation('SVCE-2', { latitude: 12.90, longitude: 79.90, timestamp: minutesAgo(45) });
+
+      const res = await request('GET', '/api/locations/recent');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Recent locations from last 30 minutes');
+      assert.deepEqual(res.body.data.map(location => [location.busNumber, location.latitude]), [['SVCE-1', 12.99]]);
+
+      const wider = await request('GET', '/api/locations/recent?minutes=60');
+      assert.equal(wider.body.data.length, 2);
+    });
+  });
+
+  describe('GET /bus/:busNumber', () => {
+    beforeEach(async () => {
+      await BusService.startTracking('SVCE-1');
+      // Oldest last, so the newest fix is LATITUDES[0]
+      for (let i = LATITUDES.length - 1; i >= 0; i--) {
+        await BusService.updateLocation('SVCE-1', { latitude: LATITUDES[i], longitude: 79.97, timestamp: minutesAgo(i + 1) });
+      }
+    });
+
+    it('pages through fixes, newest first', async () => {
+      const first = await request('GET', '/api/locations/bus/SVCE-1?limit=2');
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body.data.map(location => location.latitude), [12.91, 12.92]);
+      assert.deepEqual(first.body.pagination, { limit: 2, offset: 0, total: 2 });
+
+      const second = await request('GET', '/api/locations/bus/SVCE-1?limit=2&offset=2');
+      assert.deepEqual(second.body.data.map(location => location.latitude), [12.93, 12.94]);
+      assert.deepEqual(second.body.pagination, { limit: 2, offset: 2, total: 2 });
+
+      const last = await request('GET', '/api/locations/bus/SVCE-1?limit=2&offset=4');
+      assert.deepEqual(last.body.data.map(location => location.latitude), [12.95]);
+    });
+
+    it('returns an empty page for an unknown bus', async () => {
+      const res = await request('GET', '/api/locations/bus/SVCE-9');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data, []);
+    });
+  });
+
+  describe('POST /bulk', () => {
+    it('stores what it can and counts the failures', async () => {
+      await BusService.startTracking('SVCE-1');
+
+      const res = await request('POST', '/api/locations/bulk', {
+        body: {
+          locations: [
+            { busNumber: 'SVCE-1', latitude: 12.98, longitude: 79.97 },
+            { busNumber: 'SVCE-1', latitude: 12.99 },
+            { busNumber: 'SVCE-9', latitude: 12.98, longitude: 79.97 }
+          ]
+        }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.processed, 3);
+      assert.equal(res.body.data.successful, 1);
+      assert.equal(res.body.data.failed, 2);
+      assert.equal(res.body.data.results[0].busNumber, 'SVCE-1');
+    });
+
+    it('accepts fixes for buses that are not tracking', async () => {
+      await BusService.startTracking('SVCE-1');
+      await BusService.stopTracking('SVCE-1');
+
+      const res = await request('POST', '/api/locations/bulk', {
+        body: { locations: [{ busNumber: 'SVCE-1', latitude: 12.98, longitude: 79.97 }] }
+      });
+
+      assert.equal(res.body.data.successful, 1);
+      assert.equal((await BusService.getCurrentLocation('SVCE-1')).latitude, 12.98);
+    });
+
+    it('rejects an empty or missing array', async () => {
+      for (const body of [{ locations: [] }, {}]) {
+        const res = await request('POST', '/api/locations/bulk', { body });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body, { success: false, message: 'Locations array is required and must not be empty' });
+      }
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { resetState } = require('./helpers/testServer');
+const { initRepositories, getRepositories } = require('../src/repositories');
+const locationWriteBuffer = require('../src/services/locationWriteBuffer');
+
+const row = (busNumber, latitude) => ({ id: randomUUID(), busNumber, latitude, longitude: 79.97 });
+
+// Rows added together go out in one flush
+const addAll = (rows) => Promise.allSettled(rows.map(entry => locationWriteBuffer.add(entry)));
+
+const failWith = (code, message = 'write failed') => Object.assign(new Error(message), { code });
+
+describe('location write buffer', () => {
+  before(() => initRepositories());
+
+  beforeEach(async () => {
+    await resetState();
+    await getRepositories().buses.create({ busNumber: 'SVCE-1' });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects only the rows the database refuses', async () => {
+    const results = await addAll([
+      row('SVCE-1', 12.91),
+      row('SVCE-1', 12.92),
+      row('SVCE-9', 12.93),
+      row('SVCE-1', 12.94),
+      row('SVCE-1', 12.95)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    assert.equal(results[2].reason.message, 'Bus SVCE-9 not found');
+
+    const stored = await getRepositories().locations.getByBusNumber('SVCE-1', 10);
+    assert.deepEqual(stored.map(location => location.latitude).sort(), [12.91, 12.92, 12.94, 12.95]);
+  });
+
+  it('retries a flush the database rolled back', async () => {
+    const { locations } = getRepositories();
+    const batchCreate = locations.batchCreate;
+    const calls = mock.method(locations, 'batchCreate', async function (rows) {
+      if (calls.mock.callCount() === 0) throw failWith('40P01', 'deadlock detected');
+      return batchCreate.call(this, rows);
+    });
+
+    const results = await addAll([row('SVCE-1', 12.91), row('SVCE-1', 12.92)]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled']);
+    assert.equal(calls.mock.callCount(), 2);
+  });
+
+  it('does not retry a flush that may have been stored', async () => {
+    const calls = mock.method(getRepositories().locations, 'batchCreate', async () => {
+      throw failWith('ECONNRESET', 'Connection terminated unexpectedly');
+    });
+
+    const results = await addAll([row('SVCE-1', 12.91), row('SVCE-1', 12.92)]);
+
+    assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.equal(calls.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../src/repositories/memoryRepository');
+
+describe('memory repositories', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories();
+  });
+
+  it('drops a deleted stop from its routes and travel times', async () => {
+    const { routes, stops, segmentTimes } = repositories;
+    const gate = await stops.create({ name: 'Main Gate', latitude: 12.9868, longitude: 79.9718 });
+    const library = await stops.create({ name: 'Library', latitude: 13.0048, longitude: 79.9718 });
+    const route = await routes.create({ code: 'R1', name: 'Route 1' });
+    await routes.setStops(route.id, [gate.id, library.id]);
+    await segmentTimes.recordTraversal(route.id, gate.id, library.id, 300);
+
+    assert.equal(await stops.delete(gate.id), true);
+
+    assert.deepEqual((await routes.getStops(route.id)).map(stop => stop.name), ['Library']);
+    assert.deepEqual(await segmentTimes.getForRoute(route.id), {});
+  });
+
+  it('averages traversals like the database does', async () => {
+    const { segmentTimes } = repositories;
+
+    await segmentTimes.recordTraversal(1, 1, 2, 300);
+    const segment = await segmentTimes.recordTraversal(1, 1, 2, 400);
+
+    assert.equal(segment.avgSeconds, 350);
+    assert.equal(segment.sampleCount, 2);
+  });
+
+  it('keeps dead letters when their delivery is cleaned up', async () => {
+    const { webhooks, webhookDeliveries, webhookDeadLetters } = repositories;
+    const webhook = await webhooks.create({ url: 'http://127.0.0.1/hook', eventTypes: ['bus-status'], secret: 'whsec_test' });
+    const delivery = await webhookDeliveries.create({ webhookId: webhook.id, eventId: 'e1', eventType: 'bus-status', payload: {} }, 0);
+
+    await webhookDeliveries.moveToDeadLetters(delivery.id, { statusCode: 500, error: 'HTTP 500' });
+    assert.equal(await webhookDeliveries.cleanupDelivered(-1), 1);
+
+    const [deadLetter] = await webhookDeadLetters.getAll();
+    assert.equal(deadLetter.deliveryId, null);
+    assert.equal(deadLetter.attempts, 1);
+    assert.equal(deadLetter.lastError, 'HTTP 500');
+  });
+
+  it('reads calendar days in the report timezone', async () => {
+    const { stops, stopEvents } = repositories;
+    const stop = await stops.create({ name: 'Main Gate', latitude: 12.9868, longitude: 79.9718 });
+    await stopEvents.create({ busNumber: 'SVCE-1', stopId: stop.id, eventType: 'arrival', occurredAt: '2024-04-30T20:00:00Z' });
+
+    assert.equal((await stopEvents.getByBusAndDate('SVCE-1', '2024-05-01', 'Asia/Kolkata')).length, 1);
+    assert.equal((await stopEvents.getByBusAndDate('SVCE-1', '2024-05-01', 'UTC')).length, 0);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testServer'); // Quiet application logging
+const express = require('express');
+const metrics = require('../src/services/metricsService');
+const { MemoryCacheStore } = require('../src/services/cacheStore');
+const { errorHandler, notFound } = require('../src/middleware/errorMiddleware');
+
+// Histogram buckets are 25% wide
+const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) <= expected * 0.25, `expected ~${expected}, got ${actual}`);
+};
+
+describe('metrics service', () => {
+  beforeEach(() => metrics.resetMetrics());
+
+  describe('request latency', () => {
+    it('estimates percentiles from the histogram', () => {
+      for (let ms = 1; ms <= 1000; ms++) {
+        metrics.recordRequest('GET', '/api/buses/active', 200, ms);
+      }
+
+      const { requests } = metrics.summarize(metrics.getSnapshot());
+
+      assert.equal(requests.count, 1000);
+      assert.equal(requests.avg, 500.5);
+      assert.equal(requests.max, 1000);
+      assertClose(requests.p50, 500);
+      assertClose(requests.p95, 950);
+      assertClose(requests.p99, 990);
+      assert.ok(requests.p99 <= 1000);
+    });
+
+    it('keeps latency and status codes per route, busiest first', () => {
+      metrics.recordRequest('GET', '/api/buses/active', 200, 5);
+      metrics.recordRequest('POST', '/api/buses/:busNumber/location', 200, 20);
+      metrics.recordRequest('POST', '/api/buses/:busNumber/location', 409, 10);
+      metrics.recordRequest('GET', null, 404, 1);
+
+      const { routes, requests } = metrics.summarize(metrics.getSnapshot());
+
+      assert.deepEqual(routes.map(route => [route.route, route.count]), [
+        ['POST /api/buses/:busNumber/location', 2],
+        ['GET /api/buses/active', 1],
+        ['(unmatched)', 1]
+      ]);
+      assert.deepEqual(routes[0].statusCodes, { 200: 1, 409: 1 });
+      assert.deepEqual(requests.statusCodes, { 200: 2, 404: 1, 409: 1 });
+    });
+
+    it('counts only 5xx responses as errors', () => {
+      metrics.recordRequest('GET', '/health', 200, 1);
+      metrics.recordRequest('GET', '/health', 404, 1);
+      metrics.recordRequest('GET', '/health', 429, 1);
+      metrics.recordRequest('GET', '/health', 503, 1);
+
+      assert.equal(metrics.summarize(metrics.getSnapshot()).requests.errorRate, 25);
+    });
+  });
+
+  describe('cache lookups', () => {
+    it('counts hits and misses by key prefix', async () => {
+      const store = new MemoryCacheStore();
+      await store.set('bus:SVCE-1', { busNumber: 'SVCE-1' });
+
+      await store.get('bus:SVCE-1');
+      await store.get('bus:SVCE-2');
+      await store.get('location:SVCE-1');
+      await store.get('bus:SVCE-1');
+
+      const { cache } = metrics.summarize(metrics.getSnapshot());
+      assert.equal(cache.hits, 2);
+      assert.equal(cache.misses, 2);
+      assert.equal(cache.hitRate, 50);
+      assert.deepEqual(cache.byPrefix.bus, { hits: 2, misses: 1, hitRate: 66.7 });
+      assert.deepEqual(cache.byPrefix.location, { hits: 0, misses: 1, hitRate: 0 });
+    });
+
+    it('does not count throttle checks as lookups', async () => {
+      const store = new MemoryCacheStore();
+
+      await store.acquire('throttle:SVCE-1', 8000);
+      await store.acquire('throttle:SVCE-1', 8000);
+
+      const { cache } = metrics.summarize(metrics.getSnapshot());
+      assert.equal(cache.hits + cache.misses, 0);
+      assert.equal(cache.hitRate, null);
+    });
+  });
+
+  describe('database queries', () => {
+    it('times queries and counts slow and failed ones', () => {
+      metrics.recordQuery(4);
+      metrics.recordQuery(150);
+      metrics.recordQuery(30, true);
+
+      const { database } = metrics.summarize(metrics.getSnapshot());
+      assert.equal(database.queries.count, 3);
+      assert.equal(database.queries.max, 150);
+      assert.equal(database.slow, 1);
+      assert.equal(database.errors, 1);
+    });
+  });
+
+  describe('across workers', () => {
+    it('adds up snapshots from several workers', () => {
+      for (let ms = 1; ms <= 100; ms++) metrics.recordRequest('GET', '/api/buses/active', 200, ms);
+      metrics.recordCacheLookup('bus:SVCE-1', true);
+      metrics.recordQuery(10);
+      const first = { ...metrics.getSnapshot(), pid: 101 };
+
+      metrics.resetMetrics();
+      for (let ms = 101; ms <= 200; ms++) metrics.recordRequest('GET', '/api/buses/active', 200, ms);
+      metrics.recordRequest('GET', '/api/buses/dashboard', 500, 40);
+      metrics.recordCacheLookup('bus:SVCE-1', false);
+      metrics.recordQuery(20, true);
+      const second = { ...metrics.getSnapshot(), pid: 102 };
+
+      const summary = metrics.summarize(metrics.mergeSnapshots([first, second]));
+
+      assert.equal(summary.workers, 2);
+      assert.equal(summary.since, new Date(Math.min(first.startedAt, second.startedAt)).toISOString());
+      assert.equal(summary.requests.count, 201);
+      assert.deepEqual(summary.requests.statusCodes, { 200: 200, 500: 1 });
+      assert.equal(summary.routes[0].count, 200);
+      assertClose(summary.routes[0].p50, 100);
+      assert.equal(summary.routes[0].max, 200);
+      assert.deepEqual(summary.cache.byPrefix.bus, { hits: 1, misses: 1, hitRate: 50 });
+      assert.equal(summary.database.queries.count, 2);
+      assert.equal(summary.database.errors, 1);
+    });
+
+    it('reports this worker alone outside a cluster', async () => {
+      metrics.recordRequest('GET', '/health', 200, 2);
+
+      const summary = await metrics.getClusterMetrics();
+
+      assert.equal(summary.workers, 1);
+      assert.equal(summary.complete, true);
+      assert.equal(summary.requests.count, 1);
+    });
+  });
+
+  describe('route patterns', () => {
+    it('records the full pattern, also for errors handled outside the router', async () => {
+      const seen = [];
+      const app = express();
+      app.use((req, res, next) => {
+        const routePattern = metrics.trackRoutePattern(req);
+        res.on('finish', () => seen.push([routePattern(), res.statusCode]));
+        next();
+      });
+
+      const router = express.Router();
+      router.get('/:busNumber/history', (req, res) => res.json({ success: true }));
+      router.get('/:busNumber/eta', (req, res, next) => next(new Error('Route lookup failed')));
+      app.use('/api/buses', router);
+      app.use(notFound);
+      app.use(errorHandler);
+
+      const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        for (const path of ['/api/buses/SVCE-1/history', '/api/buses/SVCE-1/eta', '/api/unknown']) {
+          await (await fetch(`${url}${path}`)).text();
+        }
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      assert.deepEqual(seen, [
+        ['/api/buses/:busNumber/history', 200],
+        ['/api/buses/:busNumber/eta', 500],
+        [null, 404]
+      ]);
+    });
+  });
+});
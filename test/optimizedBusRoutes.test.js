@@ -0,0 +1,728 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startTestServer,
+  resetState,
+  driverAuth,
+  createApiKey
+} = require('./helpers/testServer');
+const { getRepositories } = require('../src/repositories');
+const RouteService = require('../src/services/routeService');
+
+// Around the SVCE campus
+const CAMPUS = { latitude: 12.9868, longitude: 79.9718 };
+const nearCampus = (metersNorth = 0) => ({
+  latitude: CAMPUS.latitude + metersNorth / 111320,
+  longitude: CAMPUS.longitude,
+  accuracy: 5
+});
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+// A route through new stops, in the given order
+const addRoute = async ({ code, stops = [] }) => {
+  const stopIds = [];
+  for (const stop of stops) {
+    stopIds.push((await RouteService.createStop(stop)).id);
+  }
+  return RouteService.createRoute({ code, name: `Route ${code}`, stopIds });
+};
+
+// Newest first
+const tripsOf = (busNumber) => getRepositories().trips.getByBusNumber(busNumber);
+
+describe('optimized bus routes', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startTestServer();
+    request = server.request;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => resetState());
+
+  const startTracking = (busNumber, body = {}) => request('POST', '/api/buses/start-tracking', {
+    body: { busNumber, ...body },
+    headers: driverAuth(busNumber)
+  });
+
+  const stopTracking = (busNumber) => request('POST', '/api/buses/stop-tracking', {
+    body: { busNumber },
+    headers: driverAuth(busNumber)
+  });
+
+  const sendLocation = (busNumber, body) => request('POST', `/api/buses/${busNumber}/location`, {
+    body,
+    headers: driverAuth(busNumber)
+  });
+
+  const sendBatch = (busNumber, locations) => request('POST', '/api/buses/locations/batch', {
+    body: { locations },
+    headers: driverAuth(busNumber)
+  });
+
+  describe('POST /start-tracking', () => {
+    it('returns the bus in `data` for the Android app', async () => {
+      const res = await startTracking('SVCE-1', { driverName: 'Ravi Kumar' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.message, 'Bus SVCE-1 tracking started successfully');
+      assert.equal(res.body.data.busNumber, 'SVCE-1');
+      assert.equal(res.body.data.driverName, 'Ravi Kumar');
+      assert.equal(res.body.data.isActive, true);
+      assert.equal(res.body.bus, undefined);
+    });
+
+    it('opens a trip for the run', async () => {
+      const res = await startTracking('SVCE-1');
+
+      const trips = await tripsOf('SVCE-1');
+      assert.equal(trips.length, 1);
+      assert.equal(res.body.data.currentTripId, trips[0].id);
+    });
+
+    it('closes the open trip when tracking starts again without a stop', async () => {
+      await startTracking('SVCE-1');
+      await startTracking('SVCE-1');
+
+      const [second, first] = await tripsOf('SVCE-1');
+      assert.ok(first.endedAt);
+      assert.equal(second.endedAt, null);
+    });
+
+    it('assigns the bus to a route', async () => {
+      const route = await addRoute({ code: 'R1' });
+
+      const res = await startTracking('SVCE-1', { routeId: route.id });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.routeId, route.id);
+    });
+
+    it('rejects an unknown route', async () => {
+      const res = await startTracking('SVCE-1', { routeId: 99 });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, 'Route 99 not found');
+    });
+
+    it('requires a driver token', async () => {
+      const res = await request('POST', '/api/buses/start-tracking', { body: { busNumber: 'SVCE-1' } });
+
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, message: 'Driver authentication required' });
+    });
+
+    it('rejects an invalid token', async () => {
+      const res = await request('POST', '/api/buses/start-tracking', {
+        body: { busNumber: 'SVCE-1' },
+        headers: { Authorization: 'Bearer not-a-token' }
+      });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, 'Invalid or expired token, please log in again');
+    });
+
+    it('rejects a token scoped to another bus', async () => {
+      const res = await request('POST', '/api/buses/start-tracking', {
+        body: { busNumber: 'SVCE-2' },
+        headers: driverAuth('SVCE-1')
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Token is not valid for bus SVCE-2');
+    });
+
+    it('validates the body', async () => {
+      const res = await startTracking('SVCE 1!', { driverName: 'R2-D2', routeId: 'abc' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.message, 'Validation errors');
+      assert.deepEqual(res.body.errors.map(error => error.path).sort(), ['busNumber', 'driverName', 'routeId']);
+    });
+  });
+
+  describe('POST /stop-tracking', () => {
+    it('deactivates the bus and closes its trip', async () => {
+      await startTracking('SVCE-1');
+
+      const res = await stopTracking('SVCE-1');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        success: true,
+        message: 'Bus SVCE-1 tracking stopped successfully',
+        data: null
+      });
+      const [trip] = await tripsOf('SVCE-1');
+      assert.ok(trip.endedAt);
+
+      const active = await request('GET', '/api/buses/active');
+      assert.equal(active.body.count, 0);
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      const res = await stopTracking('SVCE-9');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, 'Bus SVCE-9 not found');
+    });
+
+    it('validates the bus number', async () => {
+      const res = await request('POST', '/api/buses/stop-tracking', { body: {}, headers: driverAuth('SVCE-1') });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].msg, 'Bus number is required');
+    });
+  });
+
+  describe('POST /:busNumber/location', () => {
+    it('stores a fix for a tracking bus', async () => {
+      await startTracking('SVCE-1');
+
+      const res = await sendLocation('SVCE-1', { ...nearCampus(), fixId: 'fix-1' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.message, 'Location updated for bus SVCE-1');
+      assert.equal(res.body.data.rateLimited, false);
+      assert.deepEqual(res.body.data.storedFixIds, ['fix-1']);
+
+      const stream = await request('GET', '/api/buses/SVCE-1/location/stream');
+      assert.equal(stream.body.location.lat, CAMPUS.latitude);
+      assert.equal(stream.body.location.lng, CAMPUS.longitude);
+    });
+
+    it('throttles each bus to one stored update every 8 seconds', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+      await startTracking('SVCE-1');
+      await startTracking('SVCE-2');
+
+      const first = await sendLocation('SVCE-1', nearCampus());
+      assert.equal(first.body.data.rateLimited, false);
+
+      t.mock.timers.tick(7999);
+      const tooSoon = await sendLocation('SVCE-1', nearCampus(10));
+      assert.equal(tooSoon.status, 200);
+      assert.equal(tooSoon.body.data.rateLimited, true);
+      assert.equal(tooSoon.body.message, 'Location cached for bus SVCE-1');
+
+      // Other buses have their own throttle
+      const otherBus = await sendLocation('SVCE-2', nearCampus());
+      assert.equal(otherBus.body.data.rateLimited, false);
+
+      t.mock.timers.tick(1);
+      const afterInterval = await sendLocation('SVCE-1', nearCampus(20));
+      assert.equal(afterInterval.body.data.rateLimited, false);
+      assert.equal(afterInterval.body.message, 'Location updated for bus SVCE-1');
+    });
+
+    it('releases the throttle when the fix is rejected', async () => {
+      await startTracking('SVCE-1');
+
+      const rejected = await sendLocation('SVCE-1', { ...nearCampus(), accuracy: 500 });
+      assert.equal(rejected.body.data.rejected, true);
+
+      const next = await sendLocation('SVCE-1', nearCampus());
+      assert.equal(next.body.data.rateLimited, false);
+      assert.equal(next.body.data.rejected, false);
+    });
+
+    it('stores an older fix as backfill without throttling it', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await sendLocation('SVCE-1', { ...nearCampus(), timestamp: secondsAgo(120), fixId: 'queued-1' });
+
+      assert.equal(res.body.data.rateLimited, false);
+      assert.equal(res.body.data.backfilled, true);
+      assert.deepEqual(res.body.data.storedFixIds, ['queued-1']);
+
+      const repeat = await sendLocation('SVCE-1', { ...nearCampus(), timestamp: secondsAgo(120), fixId: 'queued-1' });
+      assert.equal(repeat.body.data.duplicate, true);
+      assert.deepEqual(repeat.body.data.duplicateFixIds, ['queued-1']);
+    });
+
+    it('stores every fix of a queue replayed oldest-first', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', { ...nearCampus(), timestamp: secondsAgo(40) });
+
+      const queued = [30, 20, 10].map((age, i) => ({ ...nearCampus((i + 1) * 100), timestamp: secondsAgo(age), fixId: `queued-${i + 1}` }));
+      for (const fix of queued) {
+        const res = await sendLocation('SVCE-1', fix);
+        assert.equal(res.body.data.rateLimited, false);
+        assert.equal(res.body.data.backfilled, false);
+        assert.deepEqual(res.body.data.storedFixIds, [fix.fixId]);
+      }
+
+      const stored = await getRepositories().locations.getByBusNumber('SVCE-1', 10);
+      assert.equal(stored.length, 4);
+    });
+
+    it('returns 404 BUS_NOT_FOUND before tracking starts', async () => {
+      const res = await sendLocation('SVCE-1', nearCampus());
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'BUS_NOT_FOUND');
+    });
+
+    it('returns 409 BUS_NOT_TRACKING after tracking stops', async () => {
+      await startTracking('SVCE-1');
+      await stopTracking('SVCE-1');
+
+      const res = await sendLocation('SVCE-1', nearCampus());
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'BUS_NOT_TRACKING');
+    });
+
+    it('rejects a token scoped to another bus', async () => {
+      await startTracking('SVCE-2');
+
+      const res = await request('POST', '/api/buses/SVCE-2/location', {
+        body: nearCampus(),
+        headers: driverAuth('SVCE-1')
+      });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('validates coordinates, accuracy, timestamp and fix id', async () => {
+      const res = await sendLocation('SVCE-1', {
+        latitude: 91,
+        longitude: -181,
+        accuracy: -1,
+        timestamp: 'yesterday',
+        fixId: ''
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.msg), [
+        'Latitude must be between -90 and 90',
+        'Longitude must be between -180 and 180',
+        'Accuracy must be a positive number',
+        'Timestamp must be a valid ISO 8601 date',
+        'Fix ID must be between 1 and 64 characters'
+      ]);
+    });
+  });
+
+  describe('POST /locations/batch', () => {
+    const track = (busNumber, count) => Array.from({ length: count }, (_, i) => ({
+      busNumber,
+      ...nearCampus(i * 20),
+      timestamp: secondsAgo((count - i) * 10),
+      fixId: `fix-${i}`
+    }));
+
+    it('stores every fix in the batch', async () => {
+      await startTracking('SVCE-1');
+
+      const res = await sendBatch('SVCE-1', track('SVCE-1', 3));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Batch processed 3 locations');
+      assert.equal(res.body.data.processed, 3);
+      assert.deepEqual(res.body.data.storedFixIds, ['fix-0', 'fix-1', 'fix-2']);
+      assert.deepEqual(res.body.data.results.map(result => result.status), [201, 201, 201]);
+    });
+
+    it('accepts 50 locations', async () => {
+      await startTracking('SVCE-1');
+
+      const res = await sendBatch('SVCE-1', track('SVCE-1', 50));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.processed, 50);
+    });
+
+    it('rejects more than 50 locations', async () => {
+      const res = await sendBatch('SVCE-1', track('SVCE-1', 51));
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { success: false, message: 'Maximum 50 locations per batch request' });
+    });
+
+    it('rejects an empty or missing array', async () => {
+      for (const locations of [[], undefined, 'nope']) {
+        const res = await sendBatch('SVCE-1', locations);
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'Locations array is required and must not be empty');
+      }
+    });
+
+    it('reports failed elements with 207 and stores the rest', async () => {
+      await startTracking('SVCE-1');
+      const [valid] = track('SVCE-1', 1);
+
+      const res = await sendBatch('SVCE-1', [
+        valid,
+        { ...valid, latitude: 100, fixId: 'bad-latitude' },
+        { ...valid, busNumber: 'SVCE-2', fixId: 'other-bus' },
+        { ...valid, accuracy: 500, fixId: 'inaccurate' }
+      ]);
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.message, 'Batch processed 1 locations, 3 failed');
+      assert.deepEqual(res.body.data.results.map(result => result.error ? result.error.code : result.result), [
+        'stored',
+        'VALIDATION_FAILED',
+        'BUS_FORBIDDEN',
+        'GPS_REJECTED'
+      ]);
+      assert.deepEqual(res.body.data.rejectedFixIds, ['inaccurate']);
+    });
+
+    it('reports fixes already stored as duplicates', async () => {
+      await startTracking('SVCE-1');
+      const fixes = track('SVCE-1', 2);
+      await sendBatch('SVCE-1', fixes);
+
+      const res = await sendBatch('SVCE-1', [...fixes, fixes[0]]);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.processed, 0);
+      assert.deepEqual(res.body.data.results.map(result => result.result), ['duplicate', 'duplicate', 'duplicate']);
+    });
+
+    it('fails every fix of a bus that is not tracking', async () => {
+      const res = await sendBatch('SVCE-1', track('SVCE-1', 2));
+
+      assert.equal(res.status, 207);
+      assert.equal(res.body.success, false);
+      assert.deepEqual(res.body.data.results.map(result => result.error.code), ['BUS_NOT_FOUND', 'BUS_NOT_FOUND']);
+    });
+  });
+
+  describe('GET /active', () => {
+    it('lists tracking buses with their latest location and status', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await request('GET', '/api/buses/active');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.data[0].bus.busNumber, 'SVCE-1');
+      assert.equal(res.body.data[0].latestLocation.latitude, CAMPUS.latitude);
+      assert.equal(res.body.data[0].status, 'live');
+      assert.match(res.headers.get('cache-control'), /max-age=30/);
+    });
+
+    it('answers 304 when the ETag still matches', async () => {
+      await startTracking('SVCE-1');
+
+      const first = await request('GET', '/api/buses/active');
+      const etag = first.headers.get('etag');
+      assert.ok(etag);
+
+      const again = await request('GET', '/api/buses/active', { headers: { 'If-None-Match': etag } });
+      assert.equal(again.status, 304);
+      assert.equal(again.body, '');
+    });
+
+    it('changes the ETag when the list changes', async () => {
+      await startTracking('SVCE-1');
+      const first = await request('GET', '/api/buses/active');
+      const etag = first.headers.get('etag');
+
+      await startTracking('SVCE-2');
+      const res = await request('GET', '/api/buses/active', { headers: { 'If-None-Match': etag } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 2);
+      assert.notEqual(res.headers.get('etag'), etag);
+    });
+  });
+
+  describe('GET /nearby and /within', () => {
+    beforeEach(async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+    });
+
+    it('finds buses within a radius, with distance', async () => {
+      const near = await request('GET', `/api/buses/nearby?lat=${CAMPUS.latitude + 0.009}&lng=${CAMPUS.longitude}&radius=1500`);
+      assert.equal(near.status, 200);
+      assert.equal(near.body.count, 1);
+      assert.ok(Math.abs(near.body.data[0].distanceMeters - 1002) <= 2);
+
+      const far = await request('GET', `/api/buses/nearby?lat=${CAMPUS.latitude + 0.009}&lng=${CAMPUS.longitude}&radius=500`);
+      assert.equal(far.body.count, 0);
+    });
+
+    it('validates the point and radius', async () => {
+      const res = await request('GET', '/api/buses/nearby?lat=95&radius=0');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual([...new Set(res.body.errors.map(error => error.path))], ['lat', 'lng', 'radius']);
+    });
+
+    it('finds buses inside a bounding box', async () => {
+      const inside = await request('GET', '/api/buses/within?bbox=79.9,12.9,80.0,13.0');
+      assert.equal(inside.status, 200);
+      assert.equal(inside.body.data[0].bus.busNumber, 'SVCE-1');
+
+      const outside = await request('GET', '/api/buses/within?bbox=80.1,13.1,80.2,13.2');
+      assert.equal(outside.body.count, 0);
+    });
+
+    it('validates the bounding box', async () => {
+      const res = await request('GET', '/api/buses/within?bbox=80.0,13.0,79.9,12.9');
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].msg, 'bbox minimums must not exceed its maximums');
+    });
+  });
+
+  describe('GET /dashboard', () => {
+    it('summarises active buses and stored locations', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await request('GET', '/api/buses/dashboard');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalActiveBuses, 1);
+      assert.equal(res.body.data.statistics.totalLocations, 1);
+      assert.equal(res.body.data.statistics.uniqueBuses, 1);
+      assert.equal(res.body.data.cacheStatus.backend, 'memory');
+    });
+  });
+
+  describe('GET /:busNumber/history', () => {
+    beforeEach(async () => {
+      await startTracking('SVCE-1');
+      await sendBatch('SVCE-1', [0, 1, 2].map(i => ({
+        busNumber: 'SVCE-1',
+        ...nearCampus(i * 50),
+        timestamp: secondsAgo(60 - i * 10)
+      })));
+    });
+
+    it('returns the simplified track, newest first', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/history?hours=1&maxPoints=10');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totalLocations, 3);
+      assert.equal(res.body.data.simplification.algorithm, 'douglas-peucker');
+      const times = res.body.data.locations.map(location => location.timestamp);
+      assert.deepEqual(times, [...times].sort().reverse());
+    });
+
+    it('exports every fix as a track file', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/history?hours=1&format=csv');
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/csv/);
+      assert.match(res.headers.get('content-disposition'), /bus-SVCE-1-history\.csv/);
+      assert.equal(res.body.trim().split('\n').length, 4); // Header and three fixes
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      const res = await request('GET', '/api/buses/SVCE-9/history');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, 'Bus SVCE-9 not found');
+    });
+
+    it('validates the query', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/history?hours=200&maxPoints=1&tolerance=-1&format=pdf');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.path), ['hours', 'maxPoints', 'tolerance', 'format']);
+    });
+  });
+
+  describe('GET /:busNumber/trips', () => {
+    it('lists trips with their totals', async () => {
+      await startTracking('SVCE-1');
+      await stopTracking('SVCE-1');
+
+      const res = await request('GET', '/api/buses/SVCE-1/trips');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.data[0].status, 'completed');
+      assert.equal(res.body.data[0].busNumber, 'SVCE-1');
+    });
+
+    it('exports trips as GeoJSON', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await request('GET', '/api/buses/SVCE-1/trips', { headers: { Accept: 'application/geo+json' } });
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^application\/geo\+json/);
+      assert.equal(JSON.parse(res.body).type, 'FeatureCollection');
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      const res = await request('GET', '/api/buses/SVCE-9/trips');
+
+      assert.equal(res.status, 404);
+    });
+
+    it('validates the date and limit', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/trips?date=2024-13-01&limit=500');
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors.map(error => error.msg), [
+        'Date must be in YYYY-MM-DD format',
+        'Limit must be between 1 and 100'
+      ]);
+    });
+  });
+
+  describe('GET /:busNumber/stop-events and /geofence-events', () => {
+    it('records arrivals at the stops of the bus route', async () => {
+      const route = await addRoute({
+        code: 'R1',
+        stops: [
+          { name: 'Main Gate', ...CAMPUS },
+          { name: 'Library', ...nearCampus(2000) }
+        ]
+      });
+      await startTracking('SVCE-1', { routeId: route.id });
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await request('GET', '/api/buses/SVCE-1/stop-events');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.count, 1);
+      assert.equal(res.body.data.events[0].eventType, 'arrival');
+    });
+
+    it('lists geofence events', async () => {
+      await startTracking('SVCE-1');
+
+      const res = await request('GET', '/api/buses/SVCE-1/geofence-events?date=2024-05-01');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.date, '2024-05-01');
+      assert.deepEqual(res.body.data.events, []);
+    });
+
+    it('returns 404 for an unknown bus', async () => {
+      for (const path of ['stop-events', 'geofence-events']) {
+        const res = await request('GET', `/api/buses/SVCE-9/${path}`);
+        assert.equal(res.status, 404);
+      }
+    });
+
+    it('validates the date', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/stop-events?date=01-05-2024');
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /:busNumber/eta', () => {
+    it('estimates arrivals at the stops ahead', async () => {
+      const route = await addRoute({
+        code: 'R1',
+        stops: [
+          { name: 'Main Gate', ...CAMPUS },
+          { name: 'Library', ...nearCampus(2000) }
+        ]
+      });
+      await startTracking('SVCE-1', { routeId: route.id });
+      await sendLocation('SVCE-1', nearCampus(500));
+
+      const res = await request('GET', '/api/buses/SVCE-1/eta');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.route.code, 'R1');
+      assert.deepEqual(res.body.data.stops.map(stop => stop.name), ['Library']);
+    });
+
+    it('needs the bus to be on a route', async () => {
+      await startTracking('SVCE-1');
+      await sendLocation('SVCE-1', nearCampus());
+
+      const res = await request('GET', '/api/buses/SVCE-1/eta');
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.message, 'Bus SVCE-1 is not assigned to a route');
+    });
+  });
+
+  describe('GET /:busNumber/location/stream', () => {
+    it('returns 404 before the first fix', async () => {
+      const res = await request('GET', '/api/buses/SVCE-1/location/stream');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, 'No location data found for bus SVCE-1');
+    });
+  });
+
+  describe('GET /events', () => {
+    it('streams tracking events', async () => {
+      const controller = new AbortController();
+      const response = await fetch(`${server.url}/api/buses/events?bus=SVCE-1`, { signal: controller.signal });
+      const reader = response.body.getReader();
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+      const received = [];
+      const readUntil = async (pattern) => {
+        while (!pattern.test(received.join(''))) {
+          const { value } = await reader.read();
+          received.push(Buffer.from(value).toString());
+        }
+      };
+
+      await readUntil(/^retry: \d+/);
+      await startTracking('SVCE-1');
+      await readUntil(/event: tracking-started/);
+
+      controller.abort();
+    });
+  });
+
+  describe('system endpoints', () => {
+    it('needs an operator key for metrics', async () => {
+      const anonymous = await request('GET', '/api/buses/system/metrics');
+      assert.equal(anonymous.status, 401);
+
+      const viewer = await request('GET', '/api/buses/system/metrics', {
+        headers: { 'X-API-Key': await createApiKey('viewer') }
+      });
+      assert.equal(viewer.status, 403);
+
+      const operator = await request('GET', '/api/buses/system/metrics', {
+        headers: { 'X-API-Key': await createApiKey('operator') }
+      });
+      assert.equal(operator.status, 200);
+      assert.equal(operator.body.data.database.storage, 'memory');
+    });
+
+    it('rejects an unknown key', async () => {
+      const res = await request('GET', '/api/buses/system/metrics', { headers: { 'X-API-Key': 'svce_unknown' } });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, 'Invalid or revoked API key');
+    });
+
+    it('needs an admin key for cleanup', async () => {
+      const operator = await request('POST', '/api/buses/system/cleanup', {
+        headers: { 'X-API-Key': await createApiKey('operator') }
+      });
+      assert.equal(operator.status, 403);
+
+      const admin = await request('POST', '/api/buses/system/cleanup', {
+        headers: { 'X-API-Key': await createApiKey('admin') }
+      });
+      assert.equal(admin.status, 200);
+      assert.deepEqual(admin.body.data, { deletedLocations: 0, deletedWebhookDeliveries: 0 });
+    });
+  });
+});
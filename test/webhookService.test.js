@@ -0,0 +1,66 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { resetState } = require('./helpers/testServer');
+const { initRepositories, getRepositories } = require('../src/repositories');
+const WebhookService = require('../src/services/webhookService');
+
+describe('webhook service', () => {
+  let receiver;
+  let received;
+  let url;
+
+  before(async () => {
+    await initRepositories();
+    receiver = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        received++;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  after(() => new Promise(resolve => receiver.close(resolve)));
+
+  beforeEach(async () => {
+    await resetState();
+    received = 0;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const createDelivery = async () => {
+    const { webhooks, webhookDeliveries } = getRepositories();
+    const webhook = await webhooks.create({ url, eventTypes: ['bus-status'], secret: 'whsec_test' });
+    const delivery = await webhookDeliveries.create({ webhookId: webhook.id, eventId: 'e1', eventType: 'bus-status', payload: { id: 'e1' } }, 60);
+    return { webhook, delivery };
+  };
+
+  it('never retries a delivery the receiver accepted', async () => {
+    const { webhookDeliveries } = getRepositories();
+    const { webhook, delivery } = await createDelivery();
+    mock.method(webhookDeliveries, 'markDelivered', async () => {
+      throw new Error('connection lost');
+    });
+    const scheduleRetry = mock.method(webhookDeliveries, 'scheduleRetry');
+    const moveToDeadLetters = mock.method(webhookDeliveries, 'moveToDeadLetters');
+
+    await WebhookService.attempt(delivery, webhook);
+
+    assert.equal(received, 1);
+    assert.equal(scheduleRetry.mock.callCount(), 0);
+    assert.equal(moveToDeadLetters.mock.callCount(), 0);
+  });
+
+  it('handles an attempt that throws', async () => {
+    const { webhook, delivery } = await createDelivery();
+    delivery.payload = { size: 1n }; // JSON.stringify can't serialize a BigInt
+
+    await WebhookService.track(WebhookService.attempt(delivery, webhook));
+
+    assert.equal(received, 0);
+  });
+});